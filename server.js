@@ -3,7 +3,11 @@ require('dotenv').config();
 
 const express = require('express');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const { GoogleGenAI } = require('@google/genai');
+const multer = require('multer');
 
 // ✅ Node 18+: 전역 fetch, 그 미만은 node-fetch 동적 import
 const fetch =
@@ -11,9 +15,6 @@ const fetch =
     ? globalThis.fetch.bind(globalThis)
     : (...args) => import('node-fetch').then(({ default: f }) => f(...args));
 
-// Gemini 초기화
-const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-
 const app = express();
 const port = 3001; // 유저님이 사용하시던 3001 포트
 
@@ -23,35 +24,480 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+/* ========================== 로컬 저장소 (JSONL) ========================== */
+
+// 런타임 데이터(분석 기록 등)는 storage/ 아래 JSON-lines 파일로 보관
+const STORAGE_DIR = process.env.YAKSON_STORAGE_DIR || path.join(__dirname, 'storage');
+
+function newId(bytes = 6) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// 파일 하나 = 레코드 목록. 시작 시 전부 메모리로 읽고, 디스크 쓰기는 순서대로 비동기 처리
+//   - 추가는 한 줄 append. maxRows를 넘긴 오래된 줄은 메모리에서만 빼고, 파일 줄 수가 상한의
+//     JSONL_COMPACT_RATIO배를 넘을 때 한 번에 압축(임시 파일에 쓰고 rename)
+//   - 수정·삭제는 드물어서 그때마다 전체 재작성 예약
+const JSONL_COMPACT_RATIO = 1.25;
+
+function createJsonlStore(name, { maxRows = 0 } = {}) {
+  const file = path.join(STORAGE_DIR, `${name}.jsonl`);
+  let rows = [];
+  try {
+    rows = fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => { try { return JSON.parse(line); } catch { return null; } })
+      .filter(Boolean);
+  } catch {}
+  let fileRows = rows.length; // 파일에 있는 줄 수 (압축 전까지는 메모리보다 많을 수 있음)
+  if (maxRows && rows.length > maxRows) rows = rows.slice(rows.length - maxRows);
+
+  // 쓰기 작업은 예약 시점의 내용으로 직렬화해 두고 한 줄로 실행 (append와 재작성이 섞여도 순서 유지)
+  let pending = Promise.resolve();
+  function enqueue(write) {
+    pending = pending
+      .then(() => fs.promises.mkdir(STORAGE_DIR, { recursive: true }))
+      .then(write)
+      .catch((e) => console.error(`[store:${name}] 저장 실패:`, e.message));
+    return pending;
+  }
+  function scheduleRewrite() {
+    const body = rows.map((r) => JSON.stringify(r)).join('\n') + (rows.length ? '\n' : '');
+    fileRows = rows.length;
+    const tmp = `${file}.tmp`;
+    enqueue(async () => {
+      await fs.promises.writeFile(tmp, body);
+      await fs.promises.rename(tmp, file);
+    });
+  }
+
+  return {
+    all: () => rows,
+    get: (id) => rows.find((r) => r.id === id) || null,
+    insert(row) {
+      rows.push(row);
+      if (maxRows && rows.length > maxRows) rows = rows.slice(rows.length - maxRows);
+      if (maxRows && fileRows + 1 > maxRows * JSONL_COMPACT_RATIO) {
+        scheduleRewrite();
+      } else {
+        const line = JSON.stringify(row) + '\n';
+        fileRows++;
+        enqueue(() => fs.promises.appendFile(file, line));
+      }
+      return row;
+    },
+    update(id, patch) {
+      const row = rows.find((r) => r.id === id);
+      if (!row) return null;
+      Object.assign(row, patch);
+      scheduleRewrite();
+      return row;
+    },
+    remove(id) {
+      const before = rows.length;
+      rows = rows.filter((r) => r.id !== id);
+      if (rows.length === before) return false;
+      scheduleRewrite();
+      return true;
+    },
+    // 예약된 쓰기가 모두 끝나면 resolve (테스트·종료 처리용)
+    flush: () => pending,
+  };
+}
+
 /* ========================== 캐시 & 타임아웃 ========================== */
 
-const HTML_CACHE = new Map();
-const EXTRACT_CACHE = new Map();
-const CACHE_TTL_MS = 6 * 60 * 60 * 1000; // 6h
+// LRU 캐시: 네임스페이스별 TTL + 항목 수/바이트 상한, 선택적으로 디스크 계층(재시작 후에도 유지)
+// 디스크 파일 형식: 1행 = {"key","expires"} 메타, 2행 = 값(JSON)
+//   디스크 쓰기·삭제는 createJsonlStore처럼 순서대로 비동기 처리하고 기다리지 않음. 인덱스·바이트 수는 메모리에서 바로 갱신
+const CACHE_DIR = process.env.YAKSON_CACHE_DIR || path.join(STORAGE_DIR, 'cache');
+const CACHE_DISK_ENABLED = /^(1|true|on)$/i.test(process.env.YAKSON_CACHE_DISK || '');
+const CACHES = new Map(); // namespace → cache (관리자 통계/삭제용)
+
+function createLruCache(namespace, { ttlMs, maxEntries = 500, maxBytes = 64 * 1024 * 1024, disk = false, maxDiskBytes = 256 * 1024 * 1024 } = {}) {
+  const mem = new Map(); // key → { value, expires, bytes } (삽입 순서 = 최근 사용 순서)
+  const stats = { hits: 0, diskHits: 0, misses: 0, sets: 0, evictions: 0, expired: 0 };
+  let memBytes = 0;
+
+  const diskDir = path.join(CACHE_DIR, namespace);
+  const diskIndex = new Map(); // key → { file, expires, bytes, written? } (삽입 순서 = 최근 사용 순서)
+  let diskBytes = 0;
+  const useDisk = disk && CACHE_DISK_ENABLED;
+  const diskFile = (key) => path.join(diskDir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+
+  function readDiskMeta(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+      const buf = Buffer.alloc(4096);
+      const n = fs.readSync(fd, buf, 0, buf.length, 0);
+      const nl = buf.subarray(0, n).indexOf(10);
+      return nl > 0 ? JSON.parse(buf.subarray(0, nl).toString('utf8')) : null;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // 시작 시 디스크 인덱스 구성 (메타 행만 읽음, 오래 안 쓴 파일부터)
+  if (useDisk) {
+    let files = [];
+    try { files = fs.readdirSync(diskDir).filter(f => f.endsWith('.json')); } catch {}
+    const found = [];
+    for (const f of files) {
+      const file = path.join(diskDir, f);
+      try {
+        const meta = readDiskMeta(file);
+        const st = fs.statSync(file);
+        if (!meta || Date.now() > meta.expires) { fs.rmSync(file, { force: true }); continue; }
+        found.push({ key: meta.key, file, expires: meta.expires, bytes: st.size, mtime: st.mtimeMs });
+      } catch { fs.rmSync(file, { force: true }); }
+    }
+    for (const { key, file, expires, bytes } of found.sort((a, b) => a.mtime - b.mtime)) {
+      diskIndex.set(key, { file, expires, bytes });
+      diskBytes += bytes;
+    }
+  }
+
+  let diskQueue = Promise.resolve();
+  function enqueueDisk(op) {
+    diskQueue = diskQueue.then(op).catch((e) => console.error(`[cache:${namespace}] 디스크 작업 실패:`, e.message));
+    return diskQueue;
+  }
+
+  function forgetDisk(key) {
+    const ent = diskIndex.get(key);
+    if (!ent) return null;
+    diskIndex.delete(key);
+    diskBytes -= ent.bytes;
+    return ent;
+  }
+  function dropDisk(key) {
+    const ent = forgetDisk(key);
+    if (ent) enqueueDisk(() => fs.promises.rm(ent.file, { force: true }));
+  }
+  function dropMem(key) {
+    const ent = mem.get(key);
+    if (!ent) return;
+    mem.delete(key);
+    memBytes -= ent.bytes;
+  }
+
+  // 같은 파일을 덮어쓰므로 이전 항목은 인덱스에서만 빼고, 용량을 넘으면 가장 오래 안 쓴 파일부터 삭제
+  function writeDisk(key, json, expires) {
+    const file = diskFile(key);
+    const body = JSON.stringify({ key, expires }) + '\n' + json;
+    const bytes = Buffer.byteLength(body);
+    if (bytes > maxDiskBytes) return dropDisk(key);
+    forgetDisk(key);
+    // written: 이 파일 쓰기가 끝나는 시점 (그 전에 디스크에서 읽으려 하면 기다림)
+    const written = enqueueDisk(async () => {
+      await fs.promises.mkdir(diskDir, { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, body);
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    diskIndex.set(key, { file, expires, bytes, written });
+    diskBytes += bytes;
+    while (diskBytes > maxDiskBytes) {
+      dropDisk(diskIndex.keys().next().value);
+      stats.evictions++;
+    }
+  }
+
+  function putMem(key, value, expires, bytes) {
+    dropMem(key);
+    if (bytes > maxBytes) return;
+    mem.set(key, { value, expires, bytes });
+    memBytes += bytes;
+    while (mem.size > maxEntries || memBytes > maxBytes) {
+      dropMem(mem.keys().next().value); // 가장 오래 안 쓴 항목
+      stats.evictions++;
+    }
+  }
 
-function getCache(map, key) {
-  const v = map.get(key);
-  if (!v) return null;
-  if (Date.now() > v.expires) {
-    map.delete(key);
+  async function get(key) {
+    if (CASSETTE_CONTEXT.getStore()) return null; // 녹화/재생 중에는 실제 요청이 카세트에 남도록 캐시를 거치지 않음
+    const ent = mem.get(key);
+    if (ent) {
+      if (Date.now() > ent.expires) {
+        dropMem(key);
+        dropDisk(key);
+        stats.expired++;
+      } else {
+        mem.delete(key); // 최근 사용으로 갱신
+        mem.set(key, ent);
+        stats.hits++;
+        return ent.value;
+      }
+    }
+    const d = diskIndex.get(key);
+    if (d) {
+      if (Date.now() > d.expires) {
+        dropDisk(key);
+        stats.expired++;
+      } else {
+        try {
+          await d.written;
+          const raw = await fs.promises.readFile(d.file, 'utf8');
+          const body = raw.slice(raw.indexOf('\n') + 1);
+          const value = JSON.parse(body);
+          // 읽는 동안 새 값으로 바뀌었으면 그대로 둠
+          if (diskIndex.get(key) === d) {
+            diskIndex.delete(key); // 최근 사용으로 갱신
+            diskIndex.set(key, d);
+            putMem(key, value, d.expires, Buffer.byteLength(body));
+          }
+          stats.diskHits++;
+          return value;
+        } catch {
+          if (diskIndex.get(key) === d) dropDisk(key);
+        }
+      }
+    }
+    stats.misses++;
     return null;
   }
-  return v.value;
+
+  function set(key, value, ttl = ttlMs) {
+    if (CASSETTE_CONTEXT.getStore()) return; // 재생 결과가 캐시에 섞이지 않도록
+    const expires = Date.now() + ttl;
+    const json = JSON.stringify(value) ?? '';
+    putMem(key, value, expires, Buffer.byteLength(json));
+    if (useDisk) writeDisk(key, json, expires);
+    stats.sets++;
+  }
+
+  // predicate(key)가 true인 항목을 메모리/디스크에서 모두 삭제
+  function purge(predicate = () => true) {
+    let removed = 0;
+    for (const key of [...new Set([...mem.keys(), ...diskIndex.keys()])]) {
+      if (!predicate(key)) continue;
+      dropMem(key);
+      dropDisk(key);
+      removed++;
+    }
+    return removed;
+  }
+
+  const cache = {
+    namespace,
+    get,
+    set,
+    purge,
+    // 예약된 디스크 작업이 모두 끝나면 resolve (테스트용)
+    flush: () => diskQueue,
+    stats: () => ({
+      namespace,
+      ttlMs,
+      ...stats,
+      hitRate: stats.hits + stats.diskHits + stats.misses
+        ? +((stats.hits + stats.diskHits) / (stats.hits + stats.diskHits + stats.misses)).toFixed(3)
+        : null,
+      entries: mem.size,
+      bytes: memBytes,
+      maxEntries,
+      maxBytes,
+      disk: useDisk ? { entries: diskIndex.size, bytes: diskBytes, maxBytes: maxDiskBytes, dir: diskDir } : null,
+    }),
+  };
+  CACHES.set(namespace, cache);
+  return cache;
 }
-function setCache(map, key, value, ttl = CACHE_TTL_MS) {
-  map.set(key, { value, expires: Date.now() + ttl });
-  if (map.size > 500) map.delete(map.keys().next().value);
+
+const HTML_CACHE = createLruCache('html', { ttlMs: 6 * 60 * 60 * 1000, maxEntries: 300, maxBytes: 48 * 1024 * 1024, disk: true }); // 6h
+const EXTRACT_CACHE = createLruCache('extract', { ttlMs: 6 * 60 * 60 * 1000, maxEntries: 1000, maxBytes: 8 * 1024 * 1024, disk: true }); // 6h
+const FALLBACK_CACHE = createLruCache('fallback', { ttlMs: 30 * 60 * 1000, maxEntries: 500, maxBytes: 1024 * 1024 }); // FAST_MODE_FALLBACK 30m
+
+// 캐시 키에 들어있는 URL 추출 (예: "ko:https://...", "cm:ko:https://...")
+function cacheKeyUrl(key) {
+  const m = key.match(/https?:\/\/\S+/);
+  if (!m) return null;
+  try { return new URL(m[0]); } catch { return null; }
 }
+
 async function fetchWithTimeout(url, opts = {}, timeoutMs = 2000) {
+  const cassette = CASSETTE_CONTEXT.getStore();
+  if (cassette?.mode === 'replay') return replayFetch(cassette, url, opts);
   const controller = new AbortController();
   const id = setTimeout(() => controller.abort(), timeoutMs);
   try {
-    return await fetch(url, { ...opts, signal: controller.signal });
+    const doFetch = () => fetch(url, { ...opts, signal: controller.signal });
+    return await (cassette ? recordFetch(cassette, url, opts, doFetch) : doFetch());
   } finally {
     clearTimeout(id);
   }
 }
 
+/* ========================= 녹화/재생 (카세트) ========================= */
+
+// YAKSON_CASSETTE=record → 분석마다 외부 요청(fetchWithTimeout)과 모델 호출을 storage/cassettes/<id>.json에 저장
+// 재생은 카세트의 응답만 사용하고 네트워크·모델은 호출하지 않음 (관리자 API 또는 replayCassette)
+//   요청 키: fetch = 메서드 + URL (+ 본문 해시), 모델 = 시스템 지시 + 사용자 메시지 + 도구 + 사진 해시
+//   같은 키는 녹화 순서대로 재생. 키가 맞는 녹화가 없으면 다른 응답으로 대신하지 않고 CASSETTE_MISS 오류
+//   (프롬프트를 고친 뒤에는 다시 녹화해야 함)
+// 녹화 중에는 캐시를 거치지 않으므로 같은 페이지를 두 번 받을 수 있음 (운영에서는 필요할 때만 켤 것)
+const CASSETTE_DIR = path.join(STORAGE_DIR, 'cassettes');
+const CASSETTE_RECORD = /^record$/i.test(process.env.YAKSON_CASSETTE || '');
+const CASSETTE_MAX_FILES = Number(process.env.YAKSON_CASSETTE_MAX_FILES) || 500;
+const CASSETTE_ID_RE = /^[\w-]{4,32}$/;
+const CASSETTE_CONTEXT = new AsyncLocalStorage();
+// 본문을 글자로 저장할 응답 (그 외는 base64)
+const CASSETTE_TEXT_TYPE = /^(text\/|application\/(json|xml|javascript|[\w.+-]+\+(json|xml)))/i;
+
+function sha1(data) {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+function fetchCassetteKey(url, opts = {}) {
+  const method = (opts.method || 'GET').toUpperCase();
+  return `${method} ${String(url)}${opts.body ? ` #${sha1(String(opts.body))}` : ''}`;
+}
+
+function modelCassetteKey({ systemInstruction, userText, tools, images = [] }) {
+  const imageHashes = images.map((img) => img.sha1 || sha1(img.buffer));
+  return `MODEL ${sha1(JSON.stringify([systemInstruction, userText, tools || null, imageHashes]))}`;
+}
+
+// 카세트 = { id, createdAt, input, requests: [{ key, kind, request, response | error }], result | error }
+function createCassette(data, mode) {
+  const used = new Set(); // 재생한 requests 인덱스
+  const misses = []; // 카세트에 없던 요청
+
+  function take(key, kind) {
+    const i = data.requests.findIndex((it, j) => !used.has(j) && it.key === key);
+    if (i === -1) {
+      misses.push({ kind, key });
+      const err = new Error(`카세트에 없는 요청입니다: ${key}`);
+      err.code = 'CASSETTE_MISS';
+      throw err;
+    }
+    used.add(i);
+    return data.requests[i];
+  }
+
+  return { id: data.id, mode, data, misses, take, record: (it) => data.requests.push(it) };
+}
+
+function cassetteResponse({ status, statusText, headers, encoding, body }) {
+  const nullBody = [204, 205, 304].includes(status);
+  return new Response(nullBody ? null : Buffer.from(body, encoding), { status, statusText, headers });
+}
+
+async function recordFetch(cassette, url, opts, doFetch) {
+  const key = fetchCassetteKey(url, opts);
+  const request = { method: (opts.method || 'GET').toUpperCase(), url: String(url) };
+  let res;
+  try {
+    res = await doFetch();
+  } catch (e) {
+    cassette.record({ key, kind: 'fetch', request, error: { name: e.name, message: e.message } });
+    throw e;
+  }
+  // 본문은 한 번만 읽을 수 있으므로 읽어서 저장하고 같은 내용의 Response를 새로 만들어 돌려줌
+  const buf = Buffer.from(await res.arrayBuffer());
+  const headers = Object.fromEntries(res.headers.entries());
+  const encoding = CASSETTE_TEXT_TYPE.test(headers['content-type'] || '') ? 'utf8' : 'base64';
+  const response = { status: res.status, statusText: res.statusText, headers, encoding, body: buf.toString(encoding) };
+  cassette.record({ key, kind: 'fetch', request, response });
+  return cassetteResponse(response);
+}
+
+async function replayFetch(cassette, url, opts) {
+  const it = cassette.take(fetchCassetteKey(url, opts), 'fetch');
+  if (it.error) throw Object.assign(new Error(it.error.message), { name: it.error.name });
+  return cassetteResponse(it.response);
+}
+
+// 모델 호출 녹화/재생 (서킷 브레이커 바깥에 둬서 재생은 브레이커 상태와 무관하게 동작)
+function withCassette(provider) {
+  return {
+    ...provider,
+    async generate(args) {
+      const cassette = CASSETTE_CONTEXT.getStore();
+      if (!cassette) return provider.generate(args);
+      const key = modelCassetteKey(args);
+      if (cassette.mode === 'replay') {
+        const it = cassette.take(key, 'model');
+        if (it.error) throw Object.assign(new Error(it.error.message), it.error);
+        return it.response;
+      }
+      const request = {
+        systemInstruction: args.systemInstruction,
+        userText: args.userText,
+        tools: args.tools || null,
+        images: (args.images || []).map((img) => ({ name: img.name, mimeType: img.mimeType, bytes: img.buffer.length, sha1: sha1(img.buffer) })),
+      };
+      try {
+        const out = await provider.generate(args);
+        cassette.record({ key, kind: 'model', request, response: out });
+        return out;
+      } catch (e) {
+        cassette.record({ key, kind: 'model', request, error: { message: e.message, code: e.code || null, retryAfterMs: e.retryAfterMs || null } });
+        throw e;
+      }
+    },
+  };
+}
+
+function cassetteFile(id) {
+  return path.join(CASSETTE_DIR, `${id}.json`);
+}
+
+function loadCassette(id) {
+  if (!CASSETTE_ID_RE.test(id || '')) return null;
+  try { return JSON.parse(fs.readFileSync(cassetteFile(id), 'utf8')); } catch { return null; }
+}
+
+// 저장 후 오래된 카세트 정리 (오류 신고에 첨부된 카세트는 남김)
+function saveCassette(data) {
+  try {
+    fs.mkdirSync(CASSETTE_DIR, { recursive: true });
+    fs.writeFileSync(`${cassetteFile(data.id)}.tmp`, JSON.stringify(data));
+    fs.renameSync(`${cassetteFile(data.id)}.tmp`, cassetteFile(data.id));
+
+    const files = fs.readdirSync(CASSETTE_DIR).filter((f) => f.endsWith('.json'));
+    if (files.length <= CASSETTE_MAX_FILES) return;
+    const pinned = new Set(REPORT_STORE.all().map((r) => r.cassetteId).filter(Boolean));
+    const removable = files
+      .map((f) => ({ id: f.slice(0, -5), mtime: fs.statSync(path.join(CASSETTE_DIR, f)).mtimeMs }))
+      .filter((c) => !pinned.has(c.id))
+      .sort((a, b) => a.mtime - b.mtime);
+    for (const c of removable.slice(0, files.length - CASSETTE_MAX_FILES)) fs.rmSync(cassetteFile(c.id), { force: true });
+  } catch (e) {
+    console.error('카세트 저장 실패:', e.message);
+  }
+}
+
+// 분석 한 번을 녹화. 실패한 분석도 저장하고 오류에 cassetteId를 붙임 (오류 신고에 첨부)
+//   input: 재생에 필요한 입력만 (복용 약·건강 프로필은 남기지 않음, 사진은 해시·크기만)
+async function recordCassette(input, fn) {
+  const cassette = createCassette({ id: newId(), createdAt: new Date().toISOString(), input, requests: [] }, 'record');
+  try {
+    const result = await CASSETTE_CONTEXT.run(cassette, fn);
+    const { interactions, unmatchedMedications, personalization, ...stored } = result; // 개인 건강 정보 제외
+    cassette.data.result = stored;
+    return result;
+  } catch (e) {
+    cassette.data.error = { message: e.message, code: e.code || null };
+    e.cassetteId = cassette.id;
+    throw e;
+  } finally {
+    saveCassette(cassette.data);
+  }
+}
+
+// 카세트의 입력으로 분석을 다시 실행 → { result, error, misses } (네트워크·모델 호출 없음, 분석 기록도 남기지 않음)
+async function replayCassette(data) {
+  const cassette = createCassette(data, 'replay');
+  const { productInfo = '', lang = 'ko', images = [] } = data.input || {};
+  // 사진은 해시로만 대조하므로 크기만 같은 빈 버퍼로 대신함 (프롬프트의 KB 표기 유지)
+  const replayImages = images.map((img) => ({ ...img, buffer: Buffer.alloc(img.bytes || 0) }));
+  try {
+    const result = await CASSETTE_CONTEXT.run(cassette, () => runAnalysis(productInfo, lang, { images: replayImages }));
+    return { result, error: null, misses: cassette.misses };
+  } catch (e) {
+    return { result: null, error: { message: e.message, code: e.code || null }, misses: cassette.misses };
+  }
+}
+
 /* ========================= 유틸 & 언어 처리 ========================= */
 
 // 🔥 [버그 수정] 구매링크 식별 로직 강화 (검색/카테고리 제외)
@@ -103,6 +549,54 @@ function extractH1Candidates(html) {
   return hs;
 }
 function decodeJSONString(s) { try { return JSON.parse(`"${s}"`); } catch { return s; } }
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// RFC 4180 CSV 파싱 (따옴표/줄바꿈 포함 필드, CRLF, BOM 처리) → 행 배열
+function parseCsv(text) {
+  const src = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim()));
+}
+function toCsv(rows) {
+  const cell = (v) => {
+    const str = v == null ? '' : String(v);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return rows.map(r => r.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+// 동시 실행 수를 제한해 items를 fn으로 처리 (결과 순서 유지)
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
 function getLangFromReq(req) {
   const bodyLang = (req.body && req.body.lang) || '';
@@ -112,6 +606,12 @@ function getLangFromReq(req) {
   const al = (req.headers['accept-language'] || '').toString().toLowerCase();
   return al.includes('en') ? 'en' : 'ko';
 }
+// 분석 기록 소유자: 브라우저가 localStorage에 만들어 둔 임의 id (로그인 없이 자기 기록만 보고 지움)
+const CLIENT_ID_RE = /^[\w-]{16,64}$/;
+function clientIdFromReq(req) {
+  const id = String(req.headers['x-yakson-client-id'] || '');
+  return CLIENT_ID_RE.test(id) ? id : null;
+}
 function acceptLanguageHeader(lang) {
   return lang === 'en'
     ? 'en-US,en;q=0.9,ko;q=0.6'
@@ -120,12 +620,121 @@ function acceptLanguageHeader(lang) {
 
 /* ============================ YouTube ============================== */
 
+const YT_CAPTION_MAX_CHARS = 6000; // SOURCE_TEXT에 넣을 자막 최대 길이
+const YT_CAPTION_LINE_SECONDS = 8;  // 이 간격 안의 자막 조각은 한 줄로 묶음
+
+function youTubeVideoId(url) {
+  try {
+    const u = new URL(url);
+    if (u.hostname.endsWith('youtu.be')) return u.pathname.slice(1).split('/')[0] || '';
+    if (u.searchParams.get('v')) return u.searchParams.get('v');
+    const m = u.pathname.match(/\/(?:shorts|embed|live)\/([\w-]{6,})/);
+    return m ? m[1] : '';
+  } catch { return ''; }
+}
+
+// 시청 페이지 HTML → 제목/채널/설명 + 자막 트랙 목록 (fixtures/youtube/*.html 로 확인 가능)
+function extractYouTubeFromHtml(html) {
+  const player = pickEmbeddedJson(html, 'ytInitialPlayerResponse =') || pickEmbeddedJson(html, 'ytInitialPlayerResponse=') || {};
+  const details = player.videoDetails || {};
+  const out = {
+    title: details.title || '',
+    author: details.author || '',
+    description: details.shortDescription || '',
+    captionTracks: (player.captions?.playerCaptionsTracklistRenderer?.captionTracks || []).map((t) => ({
+      baseUrl: t.baseUrl || '',
+      languageCode: t.languageCode || '',
+      kind: t.kind || '',
+      name: t.name?.simpleText || (t.name?.runs || []).map((r) => r.text).join('') || '',
+    })).filter((t) => t.baseUrl),
+  };
+  if (!out.description) {
+    const m = html.match(/"shortDescription":"([^"]+)"/);
+    if (m) out.description = decodeJSONString(m[1]);
+  }
+  if (!out.title) out.title = pickMeta(html, 'og:title');
+  if (!out.author) {
+    const ma = html.match(/"channelMetadataRenderer":\{"title":"([^"]+)"/);
+    if (ma) out.author = ma[1];
+  }
+  return out;
+}
+
+// 자막 우선순위: 한국어 수동 > 한국어 자동 생성 > 기타 수동 > 기타 자동 생성
+function pickCaptionTrack(tracks = []) {
+  const rank = (t) => (/^ko/i.test(t.languageCode) ? 0 : 2) + (t.kind === 'asr' ? 1 : 0);
+  return [...tracks].sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+// timedtext 응답 → [{ start(초), text }]
+//   - json3: { events: [{ tStartMs, segs: [{ utf8 }] }] }
+//   - XML (기본): <text start="1.2" dur="..">..</text>
+//   - XML (srv3): <p t="1200" d="..">..<s>..</s></p>
+function parseTimedText(body) {
+  const src = String(body || '').trim();
+  const cues = [];
+  if (src.startsWith('{')) {
+    let data = {};
+    try { data = JSON.parse(src); } catch {}
+    for (const e of data.events || []) {
+      const text = (e.segs || []).map((sg) => sg.utf8 || '').join('').replace(/\s+/g, ' ').trim();
+      if (text) cues.push({ start: (e.tStartMs || 0) / 1000, text });
+    }
+    return cues;
+  }
+  const re = /<(text|p)\b([^>]*)>([\s\S]*?)<\/\1>/gi;
+  let m;
+  while ((m = re.exec(src))) {
+    const attr = (name) => (m[2].match(new RegExp(`\\b${name}="([\\d.]+)"`)) || [])[1];
+    const start = m[1].toLowerCase() === 'text' ? Number(attr('start') || 0) : Number(attr('t') || 0) / 1000;
+    // 자막 본문은 엔티티가 두 번 이스케이프되어 오는 경우가 있어 두 번 복원
+    const text = htmlToText(htmlToText(m[3]));
+    if (text) cues.push({ start, text });
+  }
+  return cues;
+}
+
+function formatTimestamp(sec) {
+  const s = Math.max(0, Math.floor(sec));
+  const hh = Math.floor(s / 3600), mm = Math.floor((s % 3600) / 60), ss = s % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  return hh ? `${hh}:${pad(mm)}:${pad(ss)}` : `${pad(mm)}:${pad(ss)}`;
+}
+
+// 자막 조각을 "[mm:ss] 문장" 줄로 묶음 (최대 길이 넘으면 뒤는 자름)
+function formatTranscript(cues, maxChars = YT_CAPTION_MAX_CHARS) {
+  const lines = [];
+  let cur = null;
+  for (const c of cues) {
+    if (cur && c.start - cur.start < YT_CAPTION_LINE_SECONDS) cur.text += ` ${c.text}`;
+    else lines.push(cur = { start: c.start, text: c.text });
+  }
+  const out = [];
+  let len = 0;
+  for (const l of lines) {
+    const line = `[${formatTimestamp(l.start)}] ${l.text}`;
+    if (len + line.length > maxChars) break;
+    out.push(line);
+    len += line.length + 1;
+  }
+  return out.join('\n');
+}
+
+async function fetchYouTubeTranscript(track, lang) {
+  if (!track) return '';
+  try {
+    const r = await fetchWithTimeout(track.baseUrl, { headers: { 'User-Agent': 'Mozilla/5.0', 'Accept-Language': acceptLanguageHeader(lang) } }, 2500);
+    if (!r?.ok) return '';
+    return formatTranscript(parseTimedText(await r.text()));
+  } catch { return ''; }
+}
+
 async function extractYouTubeContext(url, lang) {
   const cacheKey = `yt:${lang}:${url}`;
-  const c = getCache(EXTRACT_CACHE, cacheKey);
+  const c = await EXTRACT_CACHE.get(cacheKey);
   if (c) return c;
 
-  const out = { url, title: '', author: '', description: '' };
+  const out = { url, videoId: youTubeVideoId(url), title: '', author: '', description: '', captionLang: '', captionKind: '', transcript: '' };
 
   try {
     const o = await fetchWithTimeout(
@@ -139,6 +748,7 @@ async function extractYouTubeContext(url, lang) {
     }
   } catch {}
 
+  let track = null;
   try {
     const r = await fetchWithTimeout(
       url,
@@ -146,28 +756,30 @@ async function extractYouTubeContext(url, lang) {
       2000
     );
     if (r?.ok) {
-      const html = await r.text();
-      const m = html.match(/"shortDescription":"([^"]+)"/);
-      if (m) out.description = decodeJSONString(m[1]);
-      if (!out.title) {
-        const mt = html.match(/<meta property="og:title" content="([^"]+)"/i);
-        if (mt) out.title = mt[1];
-      }
-      if (!out.author) {
-        const ma = html.match(/"channelMetadataRenderer":\{"title":"([^"]+)"/);
-        if (ma) out.author = ma[1];
-      }
+      const page = extractYouTubeFromHtml(await r.text());
+      out.description = page.description;
+      if (!out.title) out.title = page.title;
+      if (!out.author) out.author = page.author;
+      track = pickCaptionTrack(page.captionTracks);
     }
   } catch {}
 
+  // 🔥 광고의 실제 주장은 말로 나오므로 자막(타임스탬프 포함)까지 분석 대상에 넣음
+  out.transcript = await fetchYouTubeTranscript(track, lang);
+  if (out.transcript) {
+    out.captionLang = track.languageCode;
+    out.captionKind = track.kind === 'asr' ? 'auto' : 'manual';
+  }
+
   const source = [
     `TITLE: ${out.title}`,
     `CHANNEL: ${out.author}`,
-    `DESCRIPTION: ${out.description}`,
-  ].join('\n').slice(0, 8000);
+    `DESCRIPTION: ${out.description.slice(0, 3000)}`,
+    ...(out.transcript ? [`TRANSCRIPT (${out.captionLang}, ${out.captionKind}):`, out.transcript] : []),
+  ].join('\n').slice(0, 8000 + YT_CAPTION_MAX_CHARS);
 
   const ctx = { ...out, source };
-  setCache(EXTRACT_CACHE, cacheKey, ctx);
+  EXTRACT_CACHE.set(cacheKey, ctx);
   return ctx;
 }
 
@@ -336,7 +948,7 @@ async function fetchWithRetry(url, opts = {}, retries = 2) {
 
 async function getHtmlFast(url, lang) {
   const norm = normalizeCommerceUrl(url);
-  const cached = getCache(HTML_CACHE, `${lang}:${norm}`);
+  const cached = await HTML_CACHE.get(`${lang}:${norm}`);
   if (cached) return cached;
   
   try {
@@ -373,7 +985,7 @@ async function getHtmlFast(url, lang) {
         return null;
       }
       
-      setCache(HTML_CACHE, `${lang}:${norm}`, html);
+      HTML_CACHE.set(`${lang}:${norm}`, html);
       return html;
     }
   } catch (err) {
@@ -381,21 +993,291 @@ async function getHtmlFast(url, lang) {
   }
   return null;
 }
-async function extractCommerceContext(url, lang) {
-  const cacheKey = `cm:${lang}:${url}`;
-  const cached = getCache(EXTRACT_CACHE, cacheKey);
-  if (cached) return cached;
+/* ===================== 커머스 사이트별 어댑터 ===================== */
 
-  const html = await getHtmlFast(url, lang);
-  if (!html) {
-    let productId = '';
-    try { productId = new URL(url).pathname.match(/\/products\/(\d+)/)?.[1] || ''; } catch {}
-    const quickSource = [`URL: ${url}`, productId && `PRODUCT_ID_HINT: ${productId}`, 'NOTE: FAST_MODE_FALLBACK'].filter(Boolean).join('\n');
-    const quickCtx = { productName:'', brand:'', manufacturer:'', seller:'', sku:'', category:'', description:'', source:quickSource };
-    setCache(EXTRACT_CACHE, cacheKey, quickCtx, 30 * 60 * 1000);
-    return quickCtx;
+// 태그 제거 + 주요 HTML 엔티티 복원 + 공백 정리
+function htmlToText(s) {
+  return String(s || '')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// class/id가 일치하는 첫 요소의 텍스트 (같은 태그가 중첩되지 않는 말단 요소용)
+function pickByClass(html, cls) {
+  const re = new RegExp(`<(\\w+)[^>]*\\sclass=["'][^"']*\\b${cls}\\b[^"']*["'][^>]*>([\\s\\S]*?)</\\1>`, 'i');
+  const m = html.match(re);
+  return m ? htmlToText(m[2]) : '';
+}
+function pickById(html, id) {
+  const re = new RegExp(`<(\\w+)[^>]*\\sid=["']${id}["'][^>]*>([\\s\\S]*?)</\\1>`, 'i');
+  const m = html.match(re);
+  return m ? htmlToText(m[2]) : '';
+}
+function pickAttrById(html, id, attr) {
+  const m = html.match(new RegExp(`<\\w+[^>]*\\sid=["']${id}["'][^>]*>`, 'i'));
+  const a = m && m[0].match(new RegExp(`\\s${attr}=["']([^"']*)["']`, 'i'));
+  return a ? htmlToText(a[1]) : '';
+}
+
+// `marker = { ... }` 형태로 심어진 JSON을 괄호 짝을 맞춰 추출
+function pickEmbeddedJson(html, marker) {
+  const at = html.indexOf(marker);
+  if (at < 0) return null;
+  const start = html.indexOf('{', at + marker.length);
+  if (start < 0) return null;
+  let depth = 0, inStr = false;
+  for (let i = start; i < html.length; i++) {
+    const c = html[i];
+    if (inStr) {
+      if (c === '\\') i++;
+      else if (c === '"') inStr = false;
+    } else if (c === '"') inStr = true;
+    else if (c === '{') depth++;
+    else if (c === '}' && --depth === 0) {
+      try { return JSON.parse(html.slice(start, i + 1)); } catch { return null; }
+    }
+  }
+  return null;
+}
+
+// <th>/<td>, <dt>/<dd> 쌍 → { 라벨: 값 } (상품정보 제공고시, 상세 스펙 표)
+function parseSpecTable(html) {
+  const spec = {};
+  const re = /<(th|dt)[^>]*>([\s\S]*?)<\/\1>\s*<(td|dd)[^>]*>([\s\S]*?)<\/\3>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    const k = htmlToText(m[2]).replace(/[:：]$/, '');
+    const v = htmlToText(m[4]);
+    if (k && v && !(k in spec)) spec[k] = v;
+  }
+  return spec;
+}
+function specValue(spec, ...patterns) {
+  for (const [k, v] of Object.entries(spec)) if (patterns.some((p) => p.test(k))) return v;
+  return '';
+}
+
+// 영양성분 표 (성분명 | 함량 | %기준치) → [{ name, amount }]
+function parseNutritionRows(tableHtml) {
+  const rows = [];
+  const re = /<tr[^>]*>([\s\S]*?)<\/tr>/gi;
+  let m;
+  while ((m = re.exec(tableHtml || ''))) {
+    const cells = [...m[1].matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)].map((c) => htmlToText(c[1]));
+    if (!/<td/i.test(m[1])) continue; // 머리글 행
+    if (cells.length >= 2 && /\d/.test(cells[1])) rows.push({ name: cells[0], amount: cells[1] });
   }
+  return rows;
+}
+function pickTableAfter(html, labelRe) {
+  const at = html.search(labelRe);
+  if (at < 0) return '';
+  const m = html.slice(at).match(/<table[\s\S]*?<\/table>/i);
+  return m ? m[0] : '';
+}
+// "12,345개 상품평", "(1,234건)" → 12345
+function parseCount(s) {
+  const m = String(s || '').match(/\d[\d,]*/);
+  return m ? Number(m[0].replace(/,/g, '')) : null;
+}
+// "$24.99" → 24.99, "15,900원" → 15900. 통화 기호/코드는 parseCurrency로 따로
+function parsePrice(s) {
+  if (typeof s === 'number') return Number.isFinite(s) ? s : null;
+  const m = String(s ?? '').replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  return m ? Number(m[0]) : null;
+}
+const CURRENCY_SYMBOLS = { '$': 'USD', '₩': 'KRW', '원': 'KRW', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+function parseCurrency(s) {
+  const str = String(s ?? '');
+  const code = str.match(/\b([A-Z]{3})\b/);
+  if (code) return code[1];
+  const sym = Object.keys(CURRENCY_SYMBOLS).find((k) => str.includes(k));
+  return sym ? CURRENCY_SYMBOLS[sym] : null;
+}
+function parseRating(s) {
+  const m = String(s || '').match(/\d+(?:\.\d+)?/);
+  return m ? Number(m[0]) : null;
+}
+// "100g(2g x 50포)" → "50포", "120 Veggie Capsules" → "120 Veggie Capsules". 개수 단위가 없으면 중량/용량
+function parseUnitCount(s) {
+  const str = String(s || '');
+  const m = str.match(/(\d[\d,]*)\s*(정|캡슐|포|알|개입|스틱|(?:veggie |fish gelatin )?(?:tablets?|capsules?|softgels?)|gummies|count|ct)(?![A-Za-z])/i)
+    || str.match(/(\d[\d,]*)\s*(ml|g)(?![A-Za-z])/i);
+  if (!m) return '';
+  return /^[a-z]/i.test(m[2]) && !/^(ml|g)$/i.test(m[2]) ? `${m[1].replace(/,/g, '')} ${m[2]}` : `${m[1].replace(/,/g, '')}${m[2]}`;
+}
+
+// 스펙 표에서 공통으로 얻을 수 있는 항목
+function specFields(spec) {
+  const count = specValue(spec, /내용량|용량|수량|중량|unit count|package quantity|count/i);
+  return {
+    manufacturer: specValue(spec, /제조업자|제조사|제조원|manufacturer/i).split(' / ')[0],
+    unitCount: parseUnitCount(count) || count,
+    ingredientsText: specValue(spec, /원재료|주요\s*성분|영양성분|ingredients/i),
+  };
+}
+
+// 어댑터: hosts 정규식이 맞으면 extract(html, url)로 부분 필드를 얻고, 빈 값은 일반 경로(JSON-LD/OG/H1/title) 결과 유지
+const COMMERCE_ADAPTERS = [
+  {
+    name: 'coupang',
+    hosts: /(^|\.)coupang\.com$/,
+    extract(html) {
+      const sdp = pickEmbeddedJson(html, 'exports.sdp =') || {};
+      const spec = parseSpecTable(html);
+      return {
+        productName: sdp.title || sdp.itemName || pickByClass(html, 'prod-buy-header__title'),
+        brand: sdp.brand || pickByClass(html, 'prod-brand-name'),
+        seller: sdp.vendor?.name || pickByClass(html, 'prod-sale-vendor-name'),
+        price: sdp.price?.salePrice ?? parseCount(pickByClass(html, 'total-price')),
+        rating: sdp.ratingAverage ?? null,
+        reviewCount: sdp.ratingCount ?? parseCount(pickByClass(html, 'prod-review-count')),
+        ...specFields(spec),
+        unitCount: parseUnitCount(sdp.itemName) || specFields(spec).unitCount,
+        nutrition: parseNutritionRows(pickTableAfter(html, /영양\s*정보|영양성분/)),
+      };
+    },
+  },
+  {
+    name: 'smartstore',
+    hosts: /(^|\.)(smartstore|brand)\.naver\.com$/,
+    extract(html) {
+      const state = pickEmbeddedJson(html, 'window.__PRELOADED_STATE__=') || pickEmbeddedJson(html, 'window.__PRELOADED_STATE__ =') || {};
+      const p = state.product?.A || {};
+      const info = p.naverShoppingSearchInfo || {};
+      const spec = parseSpecTable(html);
+      return {
+        productName: p.name,
+        brand: info.brandName,
+        manufacturer: info.manufacturerName || specFields(spec).manufacturer,
+        seller: p.channel?.channelName,
+        price: p.discountedSalePrice ?? p.salePrice ?? null,
+        rating: p.reviewAmount?.averageReviewScore ?? null,
+        reviewCount: p.reviewAmount?.totalReviewCount ?? null,
+        category: p.category?.wholeCategoryName,
+        unitCount: parseUnitCount(p.name) || specFields(spec).unitCount,
+        ingredientsText: specFields(spec).ingredientsText,
+        nutrition: parseNutritionRows(pickTableAfter(html, /영양\s*정보|영양성분/)),
+      };
+    },
+  },
+  {
+    name: '11st',
+    hosts: /(^|\.)11st\.co\.kr$/,
+    extract(html) {
+      const spec = parseSpecTable(html);
+      const name = pickByClass(html, 'c_product_info_title');
+      return {
+        productName: name,
+        brand: pickByClass(html, 'c_product_brand'),
+        seller: pickByClass(html, 'c_product_seller_title'),
+        price: parseCount(pickByClass(html, 'c_product_price_value')),
+        rating: parseRating(pickByClass(html, 'c_product_review_score')),
+        reviewCount: parseCount(pickByClass(html, 'c_product_review_count')),
+        ...specFields(spec),
+        unitCount: parseUnitCount(name) || specFields(spec).unitCount,
+        nutrition: parseNutritionRows(pickTableAfter(html, /영양\s*정보|영양성분/)),
+      };
+    },
+  },
+  {
+    name: 'gmarket',
+    hosts: /(^|\.)(gmarket\.co\.kr|auction\.co\.kr)$/,
+    extract(html) {
+      const spec = parseSpecTable(html);
+      const name = pickByClass(html, 'itemtit');
+      return {
+        productName: name,
+        brand: pickByClass(html, 'text__brand'),
+        seller: pickByClass(html, 'text__seller'),
+        price: parseCount(pickByClass(html, 'price_real')),
+        rating: parseRating(pickByClass(html, 'text__score')),
+        reviewCount: parseCount(pickByClass(html, 'text__num')),
+        ...specFields(spec),
+        unitCount: parseUnitCount(name) || specFields(spec).unitCount,
+        nutrition: parseNutritionRows(pickTableAfter(html, /영양\s*정보|영양성분/)),
+      };
+    },
+  },
+  {
+    name: 'iherb',
+    hosts: /(^|\.)iherb\.com$/,
+    extract(html) {
+      const specs = {};
+      const list = html.match(/<ul[^>]*id=["']product-specs-list["'][^>]*>([\s\S]*?)<\/ul>/i);
+      for (const li of (list ? list[1].match(/<li[^>]*>[\s\S]*?<\/li>/gi) || [] : [])) {
+        const t = htmlToText(li);
+        const i = t.indexOf(':');
+        if (i > 0) specs[t.slice(0, i).trim()] = t.slice(i + 1).trim();
+      }
+      const facts = html.match(/<div[^>]*class=["'][^"']*supplement-facts-container[^"']*["'][^>]*>[\s\S]*?(<table[\s\S]*?<\/table>)/i);
+      return {
+        brand: pickById(html, 'brand').replace(/^By\s+/i, ''),
+        unitCount: parseUnitCount(specValue(specs, /package quantity/i)) || specValue(specs, /package quantity/i),
+        sku: specValue(specs, /product code/i),
+        ingredientsText: htmlToText((html.match(/<h3[^>]*>\s*Other Ingredients\s*<\/h3>\s*<div[^>]*>([\s\S]*?)<\/div>/i) || [])[1]),
+        nutrition: parseNutritionRows(facts ? facts[1] : ''),
+      };
+    },
+  },
+  {
+    name: 'oliveyoung',
+    hosts: /(^|\.)oliveyoung\.co\.kr$/,
+    extract(html) {
+      const spec = parseSpecTable(html);
+      const name = pickByClass(html, 'prd_name');
+      return {
+        productName: name,
+        brand: pickByClass(html, 'prd_brand'),
+        seller: '올리브영',
+        price: parseCount(pickByClass(html, 'price-2')),
+        rating: parseRating(pickByClass(html, 'review_point')),
+        reviewCount: parseCount(pickByClass(html, 'review_count')),
+        ...specFields(spec),
+        unitCount: parseUnitCount(name) || specFields(spec).unitCount,
+        nutrition: parseNutritionRows(pickTableAfter(html, /영양\s*정보|영양성분/)),
+      };
+    },
+  },
+  {
+    name: 'amazon',
+    hosts: /(^|\.)amazon\.(com|co\.jp|co\.uk|de)$/,
+    extract(html) {
+      const spec = parseSpecTable(html);
+      const byline = pickById(html, 'bylineInfo');
+      const name = pickById(html, 'productTitle');
+      const price = html.match(/<span[^>]*class=["']a-offscreen["'][^>]*>\s*([^<]+)<\/span>/i);
+      return {
+        productName: name,
+        brand: specValue(spec, /^brand$/i) || byline.replace(/^Visit the\s+|\s+Store$|^Brand:\s*/gi, ''),
+        manufacturer: specValue(spec, /manufacturer/i),
+        seller: pickById(html, 'sellerProfileTriggerId'),
+        price: price ? parsePrice(price[1]) : null,
+        currency: price ? parseCurrency(price[1]) : null,
+        rating: parseRating(pickAttrById(html, 'acrPopover', 'title')),
+        reviewCount: parseCount(pickById(html, 'acrCustomerReviewText')),
+        unitCount: parseUnitCount(specValue(spec, /unit count|item form|number of items/i)) || parseUnitCount(name),
+        ingredientsText: htmlToText((html.match(/<h4[^>]*>\s*Ingredients\s*<\/h4>([\s\S]*?)<\/div>/i) || [])[1]),
+        nutrition: [],
+      };
+    },
+  },
+];
 
+function findCommerceAdapter(url) {
+  let host = '';
+  try { host = new URL(url).hostname.toLowerCase(); } catch {}
+  return COMMERCE_ADAPTERS.find((a) => a.hosts.test(host)) || null;
+}
+
+// HTML → 커머스 컨텍스트 (네트워크 없이 fixtures/commerce/*.html 로도 확인 가능)
+function extractCommerceFromHtml(url, html) {
   const ogTitle = pickMeta(html, 'og:title');
   const ogDesc = pickMeta(html, 'og:description');
   const ogSite = pickMeta(html, 'og:site_name');
@@ -405,6 +1287,7 @@ async function extractCommerceContext(url, lang) {
   const host = (()=>{ try { return new URL(url).hostname.toLowerCase(); } catch { return ''; } })(); // <-- [ADD]
 
   let productName='', brand='', manufacturer='', sku='', category='', seller='', description='';
+  let price=null, currency=null, rating=null, reviewCount=null;
 
   if (products.length) {
     const p = products[0];
@@ -414,7 +1297,14 @@ async function extractCommerceContext(url, lang) {
     manufacturer = (p.manufacturer?.name) || p.manufacturer || '';
     sku = p.sku || '';
     category = p.category || '';
-    if (p.offers?.seller) seller = (p.offers.seller.name || '').trim();
+    const offer = Array.isArray(p.offers) ? p.offers[0] : p.offers;
+    if (offer?.seller) seller = (offer.seller.name || '').trim();
+    if (offer?.price != null) price = parsePrice(offer.price);
+    if (offer?.priceCurrency) currency = String(offer.priceCurrency).toUpperCase();
+    if (p.aggregateRating) {
+      rating = parseRating(p.aggregateRating.ratingValue);
+      reviewCount = parseCount(p.aggregateRating.reviewCount ?? p.aggregateRating.ratingCount);
+    }
     description = p.description || '';
   }
 
@@ -431,6 +1321,28 @@ async function extractCommerceContext(url, lang) {
   if (!description) description = ogDesc;
   if (!seller) seller = ogSite;
 
+  // 사이트별 어댑터 값이 있으면 우선
+  const adapter = findCommerceAdapter(url);
+  let extra = {};
+  if (adapter) {
+    try { extra = adapter.extract(html, url) || {}; }
+    catch (e) { console.error(`[commerce:${adapter.name}] 추출 실패:`, e.message); }
+  }
+  const pick = (v, fb) => (v !== undefined && v !== null && v !== '' ? v : fb);
+  productName = pick(extra.productName && cleanSiteSuffixes(extra.productName, host), productName);
+  brand = pick(extra.brand, brand);
+  manufacturer = pick(extra.manufacturer, manufacturer);
+  seller = pick(extra.seller, seller);
+  sku = pick(extra.sku, sku);
+  category = pick(extra.category, category);
+  price = parsePrice(pick(extra.price, price));
+  currency = pick(extra.currency, currency);
+  rating = pick(extra.rating, rating);
+  reviewCount = pick(extra.reviewCount, reviewCount);
+  const unitCount = extra.unitCount || '';
+  const ingredientsText = (extra.ingredientsText || '').slice(0, 1500);
+  const nutrition = Array.isArray(extra.nutrition) ? extra.nutrition.slice(0, 40) : [];
+
   const lines = [`URL: ${url}`];
   if (productName) lines.push(`PRODUCT_NAME: ${productName}`);
   if (brand) lines.push(`BRAND: ${brand}`);
@@ -438,374 +1350,373 @@ async function extractCommerceContext(url, lang) {
   if (seller) lines.push(`SELLER: ${seller}`);
   if (sku) lines.push(`SKU: ${sku}`);
   if (category) lines.push(`CATEGORY: ${category}`);
+  if (price != null) lines.push(`PRICE: ${price}${currency ? ` ${currency}` : ''}`);
+  if (unitCount) lines.push(`UNIT_COUNT: ${unitCount}`);
+  if (rating != null) lines.push(`RATING: ${rating}${reviewCount != null ? ` (${reviewCount} reviews)` : ''}`);
+  else if (reviewCount != null) lines.push(`REVIEW_COUNT: ${reviewCount}`);
+  if (nutrition.length) lines.push(`NUTRITION: ${nutrition.map((n) => `${n.name} ${n.amount}`).join('; ')}`);
+  if (ingredientsText) lines.push(`INGREDIENTS: ${ingredientsText}`);
   if (description) lines.push(`DESCRIPTION: ${description}`);
 
   const source = lines.join('\n').slice(0, 8000);
-  const ctx = { productName, brand, manufacturer, seller, sku, category, description, source };
-  setCache(EXTRACT_CACHE, cacheKey, ctx);
-  return ctx;
+  return {
+    productName, brand, manufacturer, seller, sku, category, description,
+    price, currency, unitCount, rating, reviewCount, nutrition, ingredientsText,
+    adapter: adapter ? adapter.name : 'generic',
+    source,
+  };
 }
 
-/* ======================= 브랜드 티어/표준화 (개선) ======================= */
+async function extractCommerceContext(url, lang) {
+  const cacheKey = `cm:${lang}:${url}`;
+  const cached = (await EXTRACT_CACHE.get(cacheKey)) || (await FALLBACK_CACHE.get(cacheKey));
+  if (cached) return cached;
 
-// 대기업 브랜드 목록
-const BRAND_ALIASES = {
-  // A-Tier: 대기업
-  '정관장': ['정관장','KGC 정관장','KGC','케이지씨'],
-  'KGC인삼공사': ['KGC인삼공사','Korea Ginseng Corp','KGC Corporation'],
-  'CJ제일제당': ['CJ제일제당','CJ CheilJedang','씨제이제일제당','CJ'],
-  '유한양행': ['유한양행','Yuhan','유한'],
-  '종근당': ['종근당','CKD','Chong Kun Dang','종근당건강'],
-  'GC녹십자': ['GC녹십자','녹십자','Green Cross','지씨녹십자'],
-  '대웅제약': ['대웅제약','Daewoong','대웅','대웅바이오'],
-  '동아제약': ['동아제약','Donga','동아에스티'],
-  '일동제약': ['일동제약','Ildong','일동'],
-  '한미약품': ['한미약품','Hanmi','한미'],
-  '광동제약': ['광동제약','Kwangdong','광동'],
-  '일양약품': ['일양약품','Ilyang','일양'],
-  '삼성제약': ['삼성제약','Samsung Pharm'],
-  'LG생활건강': ['LG생활건강','LG H&H','엘지생활건강','LG'],
-  'Amorepacific': ['Amorepacific','아모레퍼시픽','아모레'],
-  'Pfizer': ['Pfizer','Pfizer Inc.','화이자','화이자제약'],
-  'Bayer': ['Bayer','바이엘','바이엘코리아'],
-  'GSK': ['GSK','GlaxoSmithKline','글락소스미스클라인'],
-  'Johnson & Johnson': ['Johnson & Johnson','존슨앤드존슨','존슨앤존슨','존슨'],
-  'Reckitt': ['Reckitt','레킷벤키저','레킷'],
-  'Abbott': ['Abbott','애보트','애벗'],
-  'Sanofi': ['Sanofi','사노피'],
-  'Novartis': ['Novartis','노바티스'],
-  'Merck': ['Merck','머크'],
-  '보령제약': ['보령제약', '보령'],
-  '한독': ['한독'],
-  '동국제약': ['동국제약'],
-  'JW중외제약': ['JW중외제약', '중외제약'],
-  '대원제약': ['대원제약'],
-  '오뚜기': ['오뚜기', 'Ottogi'],
-  '농심': ['농심', 'Nongshim'],
-  '대상': ['대상', 'Daesang'],
-  '풀무원': ['풀무원', 'Pulmuone'],
-  '롯데': ['롯데', 'Lotte'],
-  '매일유업': ['매일유업', 'Maeil'],
-  '남양유업': ['남양유업', 'Namyang'],
-  'MSD': ['MSD'],
-  'Roche': ['Roche', '로슈'],
-  'Nestlé': ['Nestlé', '네슬레'],
-  'P&G': ['P&G', 'Procter & Gamble'],
-  '암웨이': ['암웨이', 'Amway'],
-  '허벌라이프': ['허벌라이프', 'Herbalife'],
-  '한미사이언스': ['한미사이언스', 'Hanmi Science'],
-  '녹십자웰빙': ['녹십자웰빙', 'GC Wellbeing'],
-  '일동홀딩스': ['일동홀딩스', 'Ildong Holdings'],
-  'JW신약': ['JW신약', 'JW Shinyak'],
-  '대웅바이오': ['대웅바이오', 'Daewoong Bio'],
-  '코오롱생명과학': ['코오롱생명과학', 'Kolon Life Science'],
-  'SK바이오팜': ['SK바이오팜', 'SK Biopharm'],
-  '셀리버리': ['셀리버리', 'Cellivery'],
-  '휴온스': ['휴온스', 'Huons'],
-  '동화약품': ['동화약품', 'Dong Wha Pharm'],
-  '비타민하우스': ['비타민하우스', 'Vitamin House'],
-  '헬스원': ['헬스원', 'Health One'],
-  '바디프랜드헬스케어': ['바디프랜드헬스케어', 'Bodyfriend Healthcare'],
-  '더블유엠': ['더블유엠', 'WM Health'],
-  '닥터바이오': ['닥터바이오', 'Dr.Bio'],
-  '내추럴웨이브': ['내추럴웨이브', 'Natural Wave'],
-  '글로벌헬스케어': ['글로벌헬스케어', 'Global Healthcare'],
-  '헬씨굿즈': ['헬씨굿즈', 'Healthy Goods'],
-  '라이프케어코리아': ['라이프케어코리아', 'LifeCare Korea'],
-  '뉴젠헬스': ['뉴젠헬스', 'NewGen Health']
-};
+  const html = await getHtmlFast(url, lang);
+  if (!html) {
+    let productId = '';
+    try { productId = new URL(url).pathname.match(/\/products\/(\d+)/)?.[1] || ''; } catch {}
+    const quickSource = [`URL: ${url}`, productId && `PRODUCT_ID_HINT: ${productId}`, 'NOTE: FAST_MODE_FALLBACK'].filter(Boolean).join('\n');
+    const quickCtx = { productName:'', brand:'', manufacturer:'', seller:'', sku:'', category:'', description:'', source:quickSource };
+    FALLBACK_CACHE.set(cacheKey, quickCtx);
+    return quickCtx;
+  }
 
-// B-Tier: 알려진 유명 브랜드 (90점 이상 목표)
-const B_TIER_KNOWN_BRANDS = {
-  '뉴트리원': ['뉴트리원', 'Nutri One'],
-  '닥터스베스트': ['닥터스베스트', "Doctor's Best", 'Doctors Best'],
-  '솔가': ['솔가', 'Solgar'],
-  '나우푸드': ['나우푸드', 'NOW Foods', 'Now'],
-  '자로우': ['자로우', 'Jarrow', 'Jarrow Formulas'],
-  '네이처스웨이': ['네이처스웨이', "Nature's Way", 'Natures Way'],
-  '네이처메이드': ['네이처메이드', 'Nature Made'],
-  '센트룸': ['센트룸', 'Centrum'],
-  '얼라이브': ['얼라이브', 'Alive'],
-  '칼슘디': ['칼슘디', 'CalciumD'],
-  '종근당건강': ['종근당건강', '종근당'],
-  '뉴트리디데이': ['뉴트리디데이', 'Nutri D-Day'],
-  '뉴트리코어': ['뉴트리코어', 'Nutricore'],
-  '닥터린': ['닥터린', 'Dr.Lin'],
-  '비타민월드': ['비타민월드', 'Vitamin World'],
-  '마이프로틴': ['마이프로틴', 'Myprotein'],
-  '옵티멈뉴트리션': ['옵티멈뉴트리션', 'Optimum Nutrition', 'ON'],
-  '머슬팜': ['머슬팜', 'MusclePharm'],
-  '뉴트리바이오틱스': ['뉴트리바이오틱스', 'Nutribiotic'],
-  'California Gold Nutrition': ['California Gold Nutrition', 'CGN', '캘리포니아골드'],
-  '스포츠리서치': ['스포츠리서치', 'Sports Research'],
-  '라이프익스텐션': ['라이프익스텐션', 'Life Extension'],
-  '유한건강생활': ['유한건강생활', '유한'],
-  '경남제약': ['경남제약'],
-  '한미양행': ['한미양행'],
-};
+  const ctx = extractCommerceFromHtml(url, html);
+  EXTRACT_CACHE.set(cacheKey, ctx);
+  return ctx;
+}
 
-// 🔥 [신규] OTC-Tier: 잘 알려진 일반의약품 (95점 이상 보장)
-const OTC_MEDICINES = {
-  // ===== 해열·진통·소염 =====
-  '타이레놀': ['타이레놀','Tylenol','타이레놀정','타이레놀8시간','타이레놀ER','아세트아미노펜'],
-  '게보린': ['게보린','Gevorin','게보린정','게보린쿨','게보린소프트'],
-  '펜잘': ['펜잘','Fenzal','펜잘정','펜잘큐','펜잘에스'],
-  '사리돈A': ['사리돈','사리돈A','Saridon'],
-  '그날엔': ['그날엔','그날엔정','그날엔큐'],
-  '이지엔6': ['이지엔6','이지엔6애니','이지엔6이브','EaseN6'],
-  '탁센': ['탁센','탁센400','탁센이브','Tarcen'],
-  '이부펜': ['이부펜','Ibupen','이부프로펜','Ibuprofen','부루펜'],
-  '나프록센': ['나프록센','Naproxen'],
-  '아스피린': ['아스피린','Aspirin','바이엘 아스피린'],
-  '맥시부펜': ['맥시부펜','Maxibufen'],
-  '폴라젠': ['폴라젠'],
-  '노바민': ['노바민'],
-  '듀알정': ['듀알정'],
-  '덱시부펜': ['덱시부프로펜','Dexibuprofen'],
-  '애니펜': ['애니펜'],
-  '게리딘': ['게리딘'],
-  '록소닌S': ['록소닌','Loxonin','록소프로펜'],
-  '볼타렌겔': ['볼타렌겔','Voltaren Gel','디클로페낙겔','Diclofenac Gel'],
-  '아세트아미노펜정': ['아세트아미노펜', 'Acetaminophen'],
-  '이부프로펜캡슐': ['이부프로펜', 'Ibuprofen'],
-  '나프록센정': ['나프록센', 'Naproxen'],
-  '아스피린코프': ['아스피린', 'Aspirin'],
-  '디클로페낙정': ['디클로페낙', 'Diclofenac'],
-  '케토프로펜정': ['케토프로펜', 'Ketoprofen'],
-  '메페남산캡슐': ['메페남산', 'Mefenamic Acid'],
-  '펜잘플러스정': ['펜잘 플러스', 'Fenzal Plus'],
-  // ===== 감기·코감기·기침·목 =====
-  '판콜': ['판콜','Pancol','판콜에이','판콜에스','판콜아이'],
-  '콜대원': ['콜대원','콜대원플러스','콜대원코프'],
-  '코푸시럽': ['코푸시럽','코푸','진해거담시럽'],
-  '화이투벤': ['화이투벤','Whytuben','화이투벤큐'],
-  '씨콜드': ['씨콜드','CCold'],
-  '테라플루': ['테라플루','Theraflu'],
-  '엑티피드': ['엑티피드','Actifed'],
-  '판키아': ['판키아'],
-  '메콜': ['메콜','Mecol'],
-  '브론치큐': ['브론치큐','Bronchi-Q'],
-  '딜라스트': ['딜라스트','Dilast','나파졸린복합감기약'],
-  '카타리나': ['카타리나'],
-  '우아밍': ['우아밍'],
-  '코앤': ['코앤','CoAn'],
-  '청심환': ['청심환'], // (의약품 취급 제품군 기준)
-  '판콜에이': ['판콜 에이', 'Pancol A'],
-  '데콜진': ['데콜진', 'Decolgen'],
-  '코푸시럽': ['코푸 시럽', 'Cough Syrup'],
-  '테라플루키즈': ['테라플루 키즈', 'Theraflu Kids'],
-  '엑티피드정': ['엑티피드', 'Actifed'],
-  '브론치큐시럽': ['브론치큐', 'Bronchi-Q Syrup'],
-  '코지엔': ['코지엔', 'CoZien'],
-  '씨콜드플러스': ['씨콜드 플러스', 'CCold Plus'],
-  // 항히스타민(OTC)
-  '지르텍': ['지르텍','Zyrtec','세티리진','Cetirizine'],
-  '클라리틴': ['클라리틴','Claritin','로라타딘','Loratadine'],
-  '알레그라': ['알레그라','Allegra','펙소페나딘','Fexofenadine'],
-  '폴라민': ['폴라민','Chlorpheniramine','클로르페니라민'],
-  '지르텍정': ['지르텍 정', 'Cetirizine'],
-  '클라리틴정': ['클라리틴 정', 'Loratadine'],
-  '알레그라정': ['알레그라 정', 'Fexofenadine'],
-  '자이잘정': ['자이잘 정', 'Levocetirizine'],
-  '폴라민정': ['폴라민 정', 'Chlorpheniramine'],
-  '알레픽점안제': ['알레픽', 'Allergic Eye Drop'],
-
-  // ===== 비강(점비제) / 충혈완화 =====
-  '오트리빈': ['오트리빈','Otrivin','자일로메타졸린'],
-  '나시딘': ['나시딘'],
-  '니오메드점비액': ['니오메드','점비액'],
-  '펜잘코프스프레이': ['코스프레이','비강스프레이'],
-
-  // ===== 안과(점안제) =====
-  '마이티나': ['마이티나'],  // 인공눈물 계열 예시
-  '리프레쉬': ['리프레쉬','Refresh','인공눈물'],
-  '아이톡': ['아이톡'],
-  '알레픽': ['알레픽'], // 알러지 점안제 계열
-  '크로모크롬': ['크로모글리산','Cromoglycate'],
-  '오트리빈스프레이': ['오트리빈 스프레이', 'Otrivin Nasal Spray'],
-  '리프레쉬인공눈물': ['리프레쉬 인공눈물', 'Refresh Eye Drops'],
-  '알레픽점안제': ['알레픽 점안제', 'Allepic Eye Drop'],
-  '크로모크롬점안액': ['크로모크롬 점안액', 'Cromoglycate Eye Drop'],
-
-  // ===== 위장(소화·제산·위염·역류) =====
-  '베아제': ['베아제','Beazyme'],
-  '훼스탈': ['훼스탈','Festal'],
-  '닥터베아제': ['닥터베아제'],
-  '겔포스': ['겔포스','Gelfos','겔포스엠'],
-  '개비스콘': ['개비스콘','Gaviscon'],
-  '스멕타': ['스멕타','Smecta','디오스멕타이트'],
-  '정로환': ['정로환','Seirogan'],
-  '미오나': ['미오나'],
-  '알마겔': ['알마겔','Almagel'],
-  '가스모틴OTC': ['가스모틴'],
-  '라니티딘대체OTC': ['파모티딘','Famotidine'],
-  '오메프라졸OTC': ['오메프라졸','Omeprazole'], // 일부 국가는 Rx, 국내 OTC 전환제품 기준 표기
-  '판토프라졸OTC': ['판토프라졸','Pantoprazole'],
-  '겔포스엠': ['겔포스 엠', 'Gelfos M'],
-  '알마겔플러스': ['알마겔 플러스', 'Almagel Plus'],
-  '훼스탈플러스': ['훼스탈 플러스', 'Festal Plus'],
-  '가스모틴정': ['가스모틴 정', 'Mosapride'],
-  '스멕타정': ['스멕타 정', 'Smecta'],
-  '개비스콘액': ['개비스콘 액', 'Gaviscon Liquid'],
-
-  // ===== 설사(지사제) / 장내균제 =====
-  '로페민': ['로페민','Loperamide','로페라마이드'],
-  '스트렙토키나제OTC': ['비스무트계','Bismuth'], // 지사 성분류 보조 인식
-  '비오플': ['비오플','Bioflor','사카로마이세스','Saccharomyces boulardii'],
-  '유산균지사OTC': ['바실루스서브틸리스','Bacillus subtilis'],
-  '로페민캡슐': ['로페민 캡슐', 'Loperamide'],
-  '비오플캡슐': ['비오플 캡슐', 'Bioflor'],
-  '유산균지사제': ['유산균 지사제', 'Probiotic Diarrhea'],
-  '비스무트제제': ['비스무트 제제', 'Bismuth Compound'],
-
-  // ===== 변비(완하제) =====
-  '둘코락스': ['둘코락스','Dulcolax','비사코딜','Bisacodyl'],
-  '마그밀': ['마그밀','수산화마그네슘','Magnesium Hydroxide'],
-  '듀파락시럽': ['듀파락','Duphalac','락툴로오스','Lactulose'],
-  '콜로크린': ['콜로크린'],
-  '센나정': ['센나','Senna','센노사이드','Sennosides'],
-  '글리세린관장': ['글리세린관장','Glycerin Enema'],
-
-  // ===== 멀미(진토·멀미) =====
-  '보나링': ['보나링','Bonaring','디멘하이드리네이트','Dimenhydrinate'],
-  '메토클로프라미드OTC': ['메토클로프라미드','Metoclopramide'], // 국가별 규제 상이, OTC 취급 제품 인식용
-  '보나링정': ['보나링 정', 'Dimenhydrinate'],
-  '시프로헵타딘캡슐': ['시프로헵타딘 캡슐', 'Cyproheptadine'],  // 예시
-  '메토클로프라미드정': ['메토클로프라미드 정', 'Metoclopramide'],
-  '멀미패치': ['멀미 패치', 'Motion Sickness Patch'],
-
-  // ===== 피부 외용(항생·항진균·소염·상처) =====
-  '마데카솔': ['마데카솔','Madecassol'],
-  '후시딘': ['후시딘','Fucidin','푸시딘'],
-  '박트로반': ['박트로반','Bactroban','뮤피로신','Mupirocin'],
-  '베타딘액': ['베타딘','Betadine','포비돈요오드','Povidone Iodine'],
-  '니조랄크림': ['니조랄','Nizoral','케토코나졸'],
-  '라미실크림': ['라미실','Lamisil','터비나핀','Terbinafine'],
-  '카네스텐크림': ['카네스텐','Canesten','클로트리마졸','Clotrimazole'],
-  '리도멕스연고': ['리도멕스','Lidomex','하이드로코르티손부티레이트'],
-  '하이키노': ['하이키노'], // 복합소염/항생 계열 예시
-  '유락신': ['유락신'], // 항생제 외용 예시
-  '버물리액': ['버물리','진정액','가려움 외용'],
-  '스타프틸': ['스타프틸'], // 항생제 외용 예시
-  '켈로코트겔': ['켈로코트','Kelo-cote'], // 흉터개선 외용(의약품 취급 제품 기준)
-  '후라시딘': ['후라시딘','Furacin','니트로푸랄'],
-
-  // ===== 파스·국소진통(의약품형) =====
-  '신신파스': ['신신파스'],
-  '제일파스': ['제일파스'],
-  '케토톱': ['케토톱','Ketotop','케토프로펜패치'],
-  '모틀론패취': ['모틀론패치'],
-  '하이렉스파스': ['하이렉스파스'],
-  '디클로페낙패치': ['디클로페낙패치','Diclofenac Patch'],
-
-  // ===== 구내염·치과(의약품) =====
-  '오라메디': ['오라메디','Oramedy','트리암시놀론구내연고'],
-  '캄겔': ['캄겔'], // 구내염 통증완화 겔 (의약품)
-  '리도카인겔OTC': ['리도카인겔','Lidocaine Gel'],
-
-  // ===== 치질(OTC 외용) =====
-  '치크린연고': ['치크린','치질연고'],
-  '프록톤': ['프록톤'],
-  '헤모큐연고': ['헤모큐'], // OTC 치질 외용제 계열
-
-  // ===== 무좀·손발톱(항진균 외용) =====
-  '라미실원스': ['라미실원스','Lamisil Once'],
-  '카네스텐액': ['카네스텐액','Clotrimazole Solution'],
-  '나프트린': ['나프트린','Naftifine'],
-  '피엠연고': ['피엠연고'], // 복합 외용 진균제
-
-  // ===== 알러지·두드러기(경구 OTC) =====
-  '폴라민정': ['폴라민','Chlorpheniramine'],
-  '지르텍정': ['지르텍정','Cetirizine'],
-  '클라리틴정': ['클라리틴정','Loratadine'],
-  '알레그라정': ['알레그라정','Fexofenadine'],
-  '자이잘정': ['자이잘','Xyzal','레보세티리진','Levocetirizine'],
-
-  // ===== 기침·거담(OTC 단일/복합) =====
-  '뮤코펙트': ['뮤코펙트','Ambroxol','암브록솔'],
-  '베나치오시럽': ['베나치오','Dextromethorphan','덱스트로메토르판'],
-  '원페넥': ['원페넥'],
-  '펜잘코프': ['펜잘코프'],
-  '실로틴': ['실로틴'], // 거담제 예시
-  '암브록솔시럽': ['암브록솔시럽','Ambroxol Syrup'],
-  '아세브로필린OTC': ['아세브로필린'], // 일부 국가 OTC, 인식용
-
-  // ===== 코감기 복합(OTC) =====
-  '콜지엔': ['콜지엔'],
-  '타리겐': ['타리겐'],
-  '코리스': ['코리스'],
-  '파라페날': ['파라세타몰복합','Paracetamol Combo'],
-
-  // ===== 기타 자주 찾는 OTC 의약품 =====
-  '보나링에이스': ['보나링에이스','Bonaring Ace'],
-  '스파졸': ['스파졸'], // 경련성 복통 진경제 계열
-  '부스코판': ['부스코판','Buscopan','히오신부틸브로마이드'],
-  '타이레놀이알': ['타이레놀이알'],
-  '아네모정': ['아네모정'],
-  '리도멕스겔': ['리도멕스겔'],
-  '에스겔': ['에스겔'], // 제산겔 계열
-  '레바미피드OTC': ['레바미피드','Rebamipide'], // 위점막보호제 계열 OTC
-
-  // ===== 어린이(OTC 의약품만) =====
-  '챔프시럽': ['챔프시럽','Ibuprofen Syrup','이부프로펜시럽'],
-  '어린이타이레놀': ['어린이타이레놀','타이레놀시럽','아세트아미노펜시럽'],
-  '어린이부루펜': ['어린이부루펜','부루펜시럽','Ibuprofen Syrup'],
-  '키즈코푸': ['키즈코푸','어린이진해거담시럽'],
-  '텐텐': ['텐텐','텐 텐'],
-
-  // ===== 살균·소독(의약품만 선별) =====
-  '알콜스왑(의약품)': ['알콜스왑','Alcohol Swab'], // 의약품 취급 스왑만 인식
-  '포비돈요오드액': ['포비돈요오드','Povidone Iodine Solution'],
-};
+/* ======================== 블로그 / 카페 후기 ======================== */
 
+// 협찬 후기는 대부분 네이버 블로그에 있으므로 본문·대가 표기·구매 링크를 직접 읽어 SOURCE_TEXT로 씀
+// 네이버 블로그 데스크톱 페이지는 본문이 <iframe id="mainFrame" src="/PostView.naver?..."> 안에 있음
+const BLOG_PLATFORMS = [
+  { name: 'naver_blog', hosts: /(^|\.)blog\.naver\.com$/ },
+  { name: 'naver_cafe', hosts: /(^|\.)cafe\.naver\.com$/ },
+  { name: 'tistory', hosts: /(^|\.)tistory\.com$/ },
+  { name: 'brunch', hosts: /(^|\.)brunch\.co\.kr$/ },
+  { name: 'velog', hosts: /(^|\.)velog\.io$/ },
+];
+const BLOG_BODY_MAX_CHARS = 6000;
+const BLOG_MAX_LINKS = 10;
 
-// 🔥 [신규] 위험 물질 블랙리스트 (0점 처리)
-const BLACKLIST_KEYWORDS = [
-  // 마약류
-  '메스암페타민', '필로폰', '히로뽕', '대마초', '코카인', '헤로인', '엑스터시', 'LSD', 'MDMA',
-  '펜타닐', 'GHB', '케타민', '크랙', '아편', '모르핀', '옥시코돈', '펜터민',
-  // 향정신성 의약품 (불법 유통)
-  '졸피뎀', '자낙스', 'Xanax', '알프라졸람', '로라제팜', '클로나제팜', '리보트릴',
-  // 불법 다이어트약
-  '살빼는약', '마약다이어트', '비만약불법', '펜터민불법',
-  // 가짜 의약품
-  '가짜비아그라', '짝퉁', '위조의약품', '밀수',
-  // 명확한 사기
-  '100%완치', '암완치', 'HIV완치', '당뇨완치', '기적의약',
-  // 검색 안 되는 제품 키워드
-  '제품을 찾을 수 없', '검색 결과 없', 'No results found', '존재하지 않는 제품',
+// 대가 표기 문구 (공정위 추천·보증 심사지침 기준)
+const BLOG_DISCLOSURES = [
+  { type: 'sponsored', re: /(소정의\s*(원고료|수수료|고료)|원고료를?\s*(지원|제공)\s*받|(제품|서비스|상품)(을|를)?\s*(무상으로\s*|무료로\s*)?(제공|지원|협찬)\s*받|업체(로부터|에서)\s*[^.\n]{0,30}(제공|지원)\s*받|협찬(을|받|으로|\s*제품|\s*광고)|체험단|대가를\s*받|유료\s*광고|#광고|\[광고\]|sponsored|#ad\b|paid partnership|in partnership with)/i },
+  { type: 'affiliate', re: /(쿠팡\s*파트너스|파트너스\s*활동|일정액의\s*수수료|수수료를\s*(제공|지급)\s*받|제휴\s*링크|affiliate|commission)/i },
+  { type: 'self_paid', re: /(내돈내산|내\s*돈\s*주고\s*산|직접\s*구매(한|했|하여)|광고\s*아님|협찬\s*(아님|없음)|not sponsored)/i },
 ];
+const AFFILIATE_LINK_RE = /(link\.coupang\.com|coupa\.ng|naver\.me|link\.naver\.com|bit\.ly|han\.gl|me2\.do|adcr\.naver\.com|ali\.ski|s\.click\.aliexpress|amzn\.to|iherb\.co\/|rcm\.|\?tag=|affiliate)/i;
 
-const A_TIER = new Set(Object.keys(BRAND_ALIASES));
-const B_TIER_KNOWN = new Set(Object.keys(B_TIER_KNOWN_BRANDS));
-const OTC_TIER = new Set(Object.keys(OTC_MEDICINES)); // 🔥 OTC 티어 추가
+function findBlogPlatform(url) {
+  let host = '';
+  try { host = new URL(url).hostname.toLowerCase(); } catch {}
+  return BLOG_PLATFORMS.find((p) => p.hosts.test(host)) || null;
+}
+function isBlogUrl(s) {
+  const m = String(s || '').match(/https?:\/\/\S+/);
+  return Boolean(m && findBlogPlatform(m[0]));
+}
 
-// 브랜드 정규화 함수 - 다양한 표기를 표준 브랜드명으로 통일
-function canonicalizeBrandFromText(sourceText) {
-  const t = (sourceText || '').toLowerCase();
-  // A-Tier 브랜드 체크
-  for (const [canon, aliases] of Object.entries(BRAND_ALIASES)) {
-    for (const a of aliases) {
-      if (t.includes(a.toLowerCase())) return canon;
-    }
+// 여는 태그부터 같은 이름의 닫는 태그까지 (중첩 div 대응)
+function sliceElement(html, openRe) {
+  const m = openRe.exec(html);
+  if (!m) return '';
+  const tag = (m[0].match(/^<(\w+)/) || [, 'div'])[1].toLowerCase();
+  const re = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+  re.lastIndex = m.index;
+  let depth = 0, t;
+  while ((t = re.exec(html))) {
+    if (t[1]) { if (--depth === 0) return html.slice(m.index, re.lastIndex); }
+    else if (!t[0].endsWith('/>')) depth++;
   }
-  // B-Tier 유명 브랜드 체크
-  for (const [canon, aliases] of Object.entries(B_TIER_KNOWN_BRANDS)) {
-    for (const a of aliases) {
-      if (t.includes(a.toLowerCase())) return canon;
-    }
+  return html.slice(m.index);
+}
+
+// 블록 태그 경계를 줄바꿈으로 살린 본문 텍스트
+function htmlToParagraphs(html) {
+  return String(html || '')
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<\/(p|div|li|h\d|blockquote|tr)>|<br\s*\/?>/gi, '\n')
+    .split('\n')
+    .map(htmlToText)
+    .filter(Boolean)
+    .join('\n');
+}
+
+// 네이버 블로그/카페 겉 페이지 → 실제 본문 iframe 주소 (이미 본문 페이지면 '')
+function findBlogFrameUrl(url, html) {
+  const platform = findBlogPlatform(url);
+  if (!platform || !/naver/.test(platform.name)) return '';
+  const m = html.match(/<iframe[^>]+id=["'](?:mainFrame|cafe_main)["'][^>]*src=["']([^"']+)["']/i)
+    || html.match(/<iframe[^>]+src=["']([^"']+)["'][^>]*id=["'](?:mainFrame|cafe_main)["']/i);
+  if (m) {
+    try { return new URL(htmlToText(m[1]), url).toString(); } catch {}
   }
-  // 🔥 OTC 일반의약품 체크
-  for (const [canon, aliases] of Object.entries(OTC_MEDICINES)) {
-    for (const a of aliases) {
-      if (t.includes(a.toLowerCase())) return canon;
+  // iframe이 없는 겉 페이지: blog.naver.com/{blogId}/{logNo} → PostView 직접 조립
+  try {
+    const u = new URL(url);
+    if (platform.name === 'naver_blog' && !/PostView/i.test(u.pathname) && !/se-main-container|postViewArea/.test(html)) {
+      const [, blogId, logNo] = u.pathname.match(/^\/([\w-]+)\/(\d+)/) || [];
+      if (blogId && logNo) return `https://blog.naver.com/PostView.naver?blogId=${blogId}&logNo=${logNo}`;
     }
+  } catch {}
+  return '';
+}
+
+function detectDisclosures(text) {
+  const out = [];
+  for (const d of BLOG_DISCLOSURES) {
+    const m = text.match(d.re);
+    if (m) out.push({ type: d.type, text: sentenceAround(text, m.index, m.index + m[0].length).slice(0, 160) });
   }
-  return null;
+  return out;
 }
 
-// 🔥 [신규] 블랙리스트 체크 함수
-function isBlacklisted(sourceText) {
+// 본문 HTML → 블로그 컨텍스트 (네트워크 없이 fixtures/blog/*.html 로도 확인 가능)
+function extractBlogFromHtml(url, html) {
+  const platform = findBlogPlatform(url)?.name || 'blog';
+  const ogTitle = htmlToText(pickMeta(html, 'og:title'));
+  const ogDesc = htmlToText(pickMeta(html, 'og:description'));
+
+  const title = pickByClass(html, 'se-title-text') || pickByClass(html, 'se_title') || pickByClass(html, 'pcol1')
+    || pickByClass(html, 'title_text') || pickByClass(html, 'tit_h3') || htmlToText((html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i) || [])[1] || '') || ogTitle || pickTitle(html);
+  const author = pickMeta(html, 'naverblog:nickname') || pickByClass(html, 'nick') || pickByClass(html, 'nickname')
+    || pickMeta(html, 'article:author') || pickMeta(html, 'og:article:author') || pickMeta(html, 'author') || '';
+  const publishedAt = pickByClass(html, 'se_publishDate') || pickByClass(html, 'date') || pickMeta(html, 'article:published_time') || '';
+
+  const bodyHtml = sliceElement(html, /<div[^>]+class=["'][^"']*\bse-main-container\b[^"']*["'][^>]*>/i)
+    || sliceElement(html, /<div[^>]+id=["']postViewArea["'][^>]*>/i)
+    || sliceElement(html, /<div[^>]+class=["'][^"']*\b(?:tt_article_useless_p_margin|entry-content|article_view|wrap_body|se_component_wrap)\b[^"']*["'][^>]*>/i)
+    || sliceElement(html, /<article\b[^>]*>/i);
+  const body = (htmlToParagraphs(bodyHtml) || ogDesc).slice(0, BLOG_BODY_MAX_CHARS);
+
+  // 본문 안의 쇼핑몰·제휴 링크 (링크 카드 포함)
+  const links = [];
+  const linkRe = /<a\b[^>]*href=["'](https?:\/\/[^"']+)["']/gi;
+  let m;
+  while ((m = linkRe.exec(bodyHtml)) && links.length < BLOG_MAX_LINKS) {
+    const href = htmlToText(m[1]);
+    if ((isLikelyCommerceUrl(href) || AFFILIATE_LINK_RE.test(href) || /smartstore|brand\.naver|shopping\.naver/i.test(href)) && !links.includes(href)) links.push(href);
+  }
+  const disclosures = detectDisclosures(`${title}\n${body}`);
+
+  const lines = [`URL: ${url}`, `PLATFORM: ${platform}`];
+  if (title) lines.push(`TITLE: ${title}`);
+  if (author) lines.push(`AUTHOR: ${author}`);
+  if (publishedAt) lines.push(`PUBLISHED: ${publishedAt}`);
+  lines.push(disclosures.length
+    ? `DISCLOSURE: ${disclosures.map((d) => `${d.type} — "${d.text}"`).join(' / ')}`
+    : 'DISCLOSURE: none found');
+  if (links.length) lines.push(`PRODUCT_LINKS: ${links.join(' | ')}`);
+  if (body) lines.push('BODY:', body);
+
+  return {
+    platform, title, author, publishedAt, body, links, disclosures,
+    sponsored: disclosures.some((d) => d.type === 'sponsored' || d.type === 'affiliate'),
+    source: lines.join('\n'),
+  };
+}
+
+// normalizeOutput용: 추출기가 찾은 대가 표기로 S7(광고 표기·대가 공개)을 확정
+//   disclosed: 협찬/제휴 표기 있음 → 최소 80%
+//   undisclosed: 구매·제휴 링크가 있는데 표기 없음 → 0점 (뒷광고 의심)
+//   self_paid_with_links: "내돈내산"이라면서 제휴 링크 → 최대 30%
+function applyBlogDisclosureCheck(steps, sourceText, caps, lang = 'ko') {
+  const en = lang === 'en';
+  const line = (key) => ((sourceText || '').match(new RegExp(`^${key}:[ \\t]*(.*)$`, 'm')) || [, ''])[1].trim();
+  const disclosureLine = line('DISCLOSURE');
+  if (!disclosureLine) return null; // 본문을 못 읽은 경우 판정하지 않음
+  const links = line('PRODUCT_LINKS').split(' | ').filter(Boolean);
+  const types = [...new Set((disclosureLine.match(/\b(sponsored|affiliate|self_paid)\b/g) || []))];
+  const paid = types.includes('sponsored') || types.includes('affiliate');
+  const affiliateLinks = links.filter((l) => AFFILIATE_LINK_RE.test(l));
+  const s7 = steps.step7_visualScore;
+  const note = (reason, evidence) => {
+    s7.reason = [s7.reason, reason].filter(Boolean).join('\n');
+    if (evidence) s7.evidence = [evidence, ...s7.evidence];
+  };
+
+  let verdict = 'none';
+  if (paid) {
+    verdict = 'disclosed';
+    const min = Math.round(caps.s7 * 0.8);
+    s7.score = Math.max(s7.score, min);
+    note(en ? `[Disclosure] Sponsorship/affiliate disclosure found → at least ${min}` : `[대가 표기] 협찬·제휴 표기 확인 → 최소 ${min}점`, disclosureLine);
+  } else if (types.includes('self_paid') && affiliateLinks.length) {
+    verdict = 'self_paid_with_links';
+    const max = Math.round(caps.s7 * 0.3);
+    s7.score = Math.min(s7.score, max);
+    note(en ? `[Disclosure] Claims to be self-paid but contains affiliate links → at most ${max}` : `[대가 표기] "내돈내산"이라고 했지만 제휴 링크 포함 → 최대 ${max}점`, affiliateLinks[0]);
+  } else if (links.length) {
+    verdict = 'undisclosed';
+    s7.score = 0;
+    note(en ? '[Disclosure] Purchase/affiliate links but no sponsorship disclosure (possible hidden ad) → 0' : '[대가 표기] 구매·제휴 링크가 있지만 협찬/수수료 표기 없음 (뒷광고 의심) → 0점', links[0]);
+  }
+  return { verdict, types, links: links.length, affiliateLinks: affiliateLinks.length };
+}
+
+async function extractBlogContext(url, lang) {
+  const cacheKey = `blog:${lang}:${url}`;
+  const cached = (await EXTRACT_CACHE.get(cacheKey)) || (await FALLBACK_CACHE.get(cacheKey));
+  if (cached) return cached;
+
+  let html = await getHtmlFast(url, lang);
+  const frameUrl = findBlogFrameUrl(url, html || '');
+  if (frameUrl) html = (await getHtmlFast(frameUrl, lang)) || html;
+  if (!html) {
+    const quickCtx = { platform: findBlogPlatform(url)?.name || 'blog', title: '', author: '', body: '', links: [], disclosures: [], sponsored: false, source: `URL: ${url}\nNOTE: FAST_MODE_FALLBACK` };
+    FALLBACK_CACHE.set(cacheKey, quickCtx);
+    return quickCtx;
+  }
+
+  const ctx = extractBlogFromHtml(url, html);
+  EXTRACT_CACHE.set(cacheKey, ctx);
+  return ctx;
+}
+
+/* ========================= 제품 라벨 사진 ========================= */
+
+// 사진은 서버가 직접 판독하지 않고 모델에 이미지로 넘김. 모델이 옮겨 적은 labelText가 곧 SOURCE_TEXT
+const LABEL_MAX_IMAGES = 4;
+const LABEL_MAX_BYTES = 8 * 1024 * 1024;
+const LABEL_FIELDS = [
+  ['productName', 'PRODUCT_NAME'],
+  ['brand', 'BRAND'],
+  ['manufacturer', 'MANUFACTURER'],
+  ['reportNumber', 'REPORT_NO'],
+  ['ingredients', 'INGREDIENTS'],
+  ['nutrition', 'NUTRITION'],
+  ['dosage', 'DOSAGE'],
+  ['warnings', 'WARNINGS'],
+  ['claims', 'CLAIMS'],
+];
+
+function normalizeLabelText(label) {
+  const out = {};
+  for (const [key] of LABEL_FIELDS) out[key] = String(label?.[key] || '').trim();
+  out.certifications = (Array.isArray(label?.certifications) ? label.certifications : []).map((c) => String(c).trim()).filter(Boolean);
+  return out;
+}
+
+// 다른 입력의 SOURCE_TEXT와 같은 "KEY: 값" 줄 형식 (표현 규칙·성분 함량·레지스트리 대조가 그대로 동작)
+function labelSourceText(label, note) {
+  const lines = LABEL_FIELDS.filter(([key]) => label[key]).map(([key, tag]) => `${tag}: ${label[key].replace(/\s*\n\s*/g, ' / ')}`);
+  if (label.certifications.length) lines.push(`CERTIFICATIONS: ${label.certifications.join(' | ')}`);
+  if (note) lines.push(`NOTE: ${note}`);
+  return lines.join('\n');
+}
+
+/* ======================= 브랜드 티어/표준화 (개선) ======================= */
+
+// 🔥 [변경] 브랜드/일반의약품/블랙리스트 목록은 data/registry/*.json 에서 로드 (재시작 없이 다시 읽음)
+const REGISTRY_DIR = process.env.YAKSON_REGISTRY_DIR || path.join(__dirname, 'data', 'registry');
+const REGISTRY_KINDS = {
+  a_tier: 'a_tier.json',       // A-Tier: 대기업
+  b_tier: 'b_tier.json',       // B-Tier: 알려진 유명 브랜드 (90점 이상 목표)
+  otc: 'otc.json',             // OTC-Tier: 잘 알려진 일반의약품 (95점 이상 보장)
+  blacklist: 'blacklist.json', // 위험 물질 블랙리스트 (0점 처리), 분류 → 키워드
+};
+const BRAND_REGISTRY_KINDS = ['a_tier', 'b_tier', 'otc'];
+const REGISTRY_CHANGELOG = path.join(REGISTRY_DIR, 'changelog.jsonl');
+
+let REGISTRY = {};
+let BRAND_ALIASES = {};
+let B_TIER_KNOWN_BRANDS = {};
+let OTC_MEDICINES = {};
+let BLACKLIST_KEYWORDS = [];
+let A_TIER = new Set();
+let B_TIER_KNOWN = new Set();
+let OTC_TIER = new Set(); // 🔥 OTC 티어 추가
+
+function readRegistryFile(kind) {
+  const data = JSON.parse(fs.readFileSync(path.join(REGISTRY_DIR, REGISTRY_KINDS[kind]), 'utf8'));
+  if (!data || typeof data.entries !== 'object' || Array.isArray(data.entries)) {
+    throw new Error(`${REGISTRY_KINDS[kind]}: entries 객체가 없습니다.`);
+  }
+  for (const [name, aliases] of Object.entries(data.entries)) {
+    if (!Array.isArray(aliases)) throw new Error(`${REGISTRY_KINDS[kind]}: "${name}"의 값은 배열이어야 합니다.`);
+  }
+  return { version: Number(data.version) || 0, updatedAt: data.updatedAt || null, description: data.description || '', entries: data.entries };
+}
+
+// 파일 하나라도 깨져 있으면 전체를 버리고 기존 레지스트리를 유지
+function loadRegistries() {
+  const next = {};
+  for (const kind of Object.keys(REGISTRY_KINDS)) next[kind] = readRegistryFile(kind);
+
+  REGISTRY = next;
+  BRAND_ALIASES = next.a_tier.entries;
+  B_TIER_KNOWN_BRANDS = next.b_tier.entries;
+  OTC_MEDICINES = next.otc.entries;
+  BLACKLIST_KEYWORDS = Object.values(next.blacklist.entries).flat();
+  A_TIER = new Set(Object.keys(BRAND_ALIASES));
+  B_TIER_KNOWN = new Set(Object.keys(B_TIER_KNOWN_BRANDS));
+  OTC_TIER = new Set(Object.keys(OTC_MEDICINES));
+}
+
+function reloadRegistries(reason) {
+  try {
+    loadRegistries();
+    console.log(`[레지스트리 다시 로드됨: ${reason}] 대기업 ${A_TIER.size} / 유명 브랜드 ${B_TIER_KNOWN.size} / OTC ${OTC_TIER.size} / 블랙리스트 ${BLACKLIST_KEYWORDS.length}`);
+    return true;
+  } catch (e) {
+    console.error(`[레지스트리 로드 실패: ${reason}] 기존 목록을 유지합니다.`, e.message);
+    return false;
+  }
+}
+
+loadRegistries();
+
+// 파일을 직접 고쳐도 반영되도록 디렉터리 감시 (에디터 저장 시 이벤트가 여러 번 오므로 디바운스)
+let registryReloadTimer = null;
+try {
+  fs.watch(REGISTRY_DIR, (event, filename) => {
+    if (!filename || !Object.values(REGISTRY_KINDS).includes(filename.toString())) return;
+    clearTimeout(registryReloadTimer);
+    registryReloadTimer = setTimeout(() => reloadRegistries(`${filename} 변경`), 300);
+  }).unref();
+} catch (e) {
+  console.warn('레지스트리 디렉터리 감시 실패 (관리자 API로만 갱신됩니다):', e.message);
+}
+
+// SOURCE_TEXT면 브랜드가 들어가는 줄만 대조 (DISCLOSURE·NUTRITION 줄의 "on" 등이 별칭 "ON"에 걸리지 않도록)
+//   유튜브·블로그는 제품명 줄이 없으므로 제목·채널명을 브랜드 줄로 봄. "KEY:" 줄이 없으면(제품명 입력) 전체 대조
+const BRAND_LINE_RE = /^(?:BRAND|MANUFACTURER|PRODUCT_NAME|TITLE|CHANNEL):[ \t]*(.*)$/gm;
+
+function brandSearchText(sourceText = '') {
+  if (!/^[A-Z_]+:/m.test(sourceText)) return sourceText;
+  return [...sourceText.matchAll(BRAND_LINE_RE)].map((m) => m[1]).join('\n');
+}
+
+// 별칭 → 정규식. 영문·숫자로 시작/끝나는 별칭은 단어 경계에서만 일치 ("ON"이 "none"에 걸리지 않게)
+//   한글은 "종근당락토핏"처럼 붙여 쓰는 경우가 많아 부분 일치 유지
+const BRAND_ALIAS_RE = new Map();
+function aliasRegex(alias) {
+  let re = BRAND_ALIAS_RE.get(alias);
+  if (!re) {
+    const body = alias.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    re = new RegExp(`${/^[a-z0-9]/i.test(alias) ? '(?<![a-z0-9])' : ''}${body}${/[a-z0-9]$/i.test(alias) ? '(?![a-z0-9])' : ''}`);
+    BRAND_ALIAS_RE.set(alias, re);
+  }
+  return re;
+}
+
+// 브랜드 정규화 함수 - 다양한 표기를 표준 브랜드명으로 통일
+//   우선순위: A-Tier(대기업) > B-Tier(유명 브랜드) > 🔥 OTC 일반의약품
+function canonicalizeBrandFromText(sourceText) {
+  const t = brandSearchText(sourceText || '').toLowerCase();
+  for (const entries of [BRAND_ALIASES, B_TIER_KNOWN_BRANDS, OTC_MEDICINES]) {
+    for (const [canon, aliases] of Object.entries(entries)) {
+      if (aliases.some((a) => aliasRegex(a).test(t))) return canon;
+    }
+  }
+  return null;
+}
+
+// 🔥 [신규] 블랙리스트 체크 함수
+function isBlacklisted(sourceText) {
   const t = (sourceText || '').toLowerCase();
   for (const keyword of BLACKLIST_KEYWORDS) {
     if (t.includes(keyword.toLowerCase())) {
@@ -824,27 +1735,215 @@ function getBrandTier(brand) {
   return 'C'; // 일반 브랜드
 }
 
-/* ===================== 광고 유형별 평가 기준 (🔥 수정) ===================== */
+/* ===================== 식약처 품목신고 / GMP 레지스트리 ===================== */
 
-// 🔥 차별화된 8단계 항목명 (클라이언트로 전송됨)
-const STEP_NAMES = {
-  product_itself: [
-    "제품 식별", "제조사 신뢰도 (30점)", "제품 신뢰도 (40점)", "공식 정보 검증 (10점)",
-    "핵심 성분 분석 (15점)", "행동 유도 (N/A)", "시각적 신호 (N/A)", "금전 피해 (5점)"
-  ],
-  brand_ad: [
-    "광고 식별", "채널 신뢰도 (25점)", "브랜드 신뢰도 (15점)", "표현/내용 검증 (25점)",
-    "효능/성분 위반 (10점)", "행동 유도 검증 (15점)", "시각적 신호 (5점)", "사기·금전 피해 (5점)"
-  ],
-  product_ad: [
-    "광고 식별", "발신자 신뢰도 (20점)", "제품 신뢰도 (30점)", "표현/내용 검증 (20점)",
-    "효능/성분 위반 (20점)", "행동 유도 검증 (5점)", "시각적 신호 (3점)", "사기·금전 피해 (2점)"
-  ],
-  unknown: [
-    "콘텐츠 식별", "발신자 신뢰도 (20점)", "제품 신뢰도 (25점)", "표현/내용 검증 (20점)",
-    "효능/성분 위반 (20점)", "행동 유도 검증 (8점)", "시각적 신호 (4점)", "사기·금전 피해 (3점)"
-  ]
+// 공공데이터 덤프(data/mfds/*.csv|json)를 읽어 뱃지를 모델 대신 실제 목록으로 판정
+//   - 건강기능식품 품목제조신고 (식품안전나라 I0030 / 공공데이터포털 CSV)
+//   - 건강기능식품 GMP 지정 업소 (파일명에 "gmp"가 들어간 파일)
+// 덤프가 하나도 없으면 available=false 이고 뱃지는 모델 값을 그대로 둠
+const MFDS_DIR = process.env.YAKSON_MFDS_DIR || path.join(__dirname, 'data', 'mfds');
+const MFDS_COLUMNS = {
+  product: {
+    reportNo: ['prdlst_report_no', '품목제조번호', '품목제조신고번호', '신고번호'],
+    name: ['prdlst_nm', '품목명', '제품명'],
+    company: ['bssh_nm', '업소명', '제조업소명', '업체명'],
+    reportedAt: ['prms_dt', '신고일자', '보고일자', '허가일자'],
+    functions: ['primary_fnclty', '주된기능성', '기능성내용', '기능성'],
+  },
+  gmp: {
+    company: ['bssh_nm', '업소명', '업체명'],
+    designationNo: ['appn_no', '지정번호', 'lcns_no', '인허가번호'],
+    designatedAt: ['appn_dt', '지정일자', 'gmp지정일자'],
+    address: ['addr', 'site_addr', '소재지', '주소'],
+  },
 };
+const MFDS_MATCH_THRESHOLD = 0.72;
+const GMP_MATCH_THRESHOLD = 0.85;
+
+// 회사명 표기 차이((주)/주식회사/Co.,Ltd) + 공백·기호 제거
+function normalizeRegistryName(s = '') {
+  return String(s).toLowerCase()
+    .replace(/\(주\)|㈜|주식회사|\(유\)|유한회사|농업회사법인|co\.?,?\s*ltd\.?|inc\.?|corp\.?/g, '')
+    .replace(/[^0-9a-z가-힣]/g, '');
+}
+
+// 쇼핑몰 제품명의 용량·수량 표기 제거 ("…골드, 50포, 1개" → "…골드")
+function stripPackaging(s = '') {
+  return String(s).replace(/,?\s*\d+(?:\.\d+)?\s*(?:정|캡슐|포|병|개|박스|box|ml|g|mg|개월분|일분|입|매|ea|tablets?|capsules?|softgels?|count|ct)(?![a-z가-힣])/gi, ' ');
+}
+
+function bigrams(s) {
+  const out = new Set();
+  for (let i = 0; i < s.length - 1; i++) out.add(s.slice(i, i + 2));
+  if (s.length === 1) out.add(s);
+  return out;
+}
+
+// 바이그램 역색인 (수만 건을 매 요청마다 전부 비교하지 않도록)
+function buildNameIndex(records, key) {
+  const index = new Map();
+  records.forEach((r, i) => {
+    r[`${key}Norm`] = normalizeRegistryName(r[key]);
+    const grams = bigrams(r[`${key}Norm`]);
+    r[`${key}Grams`] = grams.size;
+    for (const g of grams) {
+      if (!index.has(g)) index.set(g, []);
+      index.get(g).push(i);
+    }
+  });
+  return index;
+}
+
+// query와 비슷한 레코드 상위 N개 (Dice 계수, 레코드명이 query에 통째로 들어 있으면 0.92 이상)
+function searchNameIndex(set, key, query, limit = 5) {
+  const q = normalizeRegistryName(query);
+  if (!q || !set.records.length) return [];
+  const grams = bigrams(q);
+  const overlap = new Map();
+  for (const g of grams) {
+    for (const i of set.index.get(g) || []) overlap.set(i, (overlap.get(i) || 0) + 1);
+  }
+  const scored = [];
+  for (const [i, c] of overlap) {
+    const r = set.records[i];
+    let score = (2 * c) / (grams.size + r[`${key}Grams`]);
+    if (c === r[`${key}Grams`] && r[`${key}Norm`].length >= 4 && q.includes(r[`${key}Norm`])) score = Math.max(score, 0.92);
+    scored.push({ record: r, score });
+  }
+  return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+function rowsFromJson(data) {
+  if (Array.isArray(data)) return data;
+  // 식품안전나라 OpenAPI 응답: { I0030: { row: [...] } }
+  for (const v of Object.values(data || {})) {
+    if (Array.isArray(v)) return v;
+    if (v && Array.isArray(v.row)) return v.row;
+  }
+  return [];
+}
+
+function readMfdsFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (/\.json$/i.test(file)) return rowsFromJson(JSON.parse(text));
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  return rows.map((r) => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ''])));
+}
+
+function mapMfdsRow(row, columns) {
+  const lower = Object.fromEntries(Object.entries(row).map(([k, v]) => [k.trim().toLowerCase(), v]));
+  const out = {};
+  for (const [field, names] of Object.entries(columns)) {
+    const hit = names.find((n) => lower[n] !== undefined && lower[n] !== null && String(lower[n]).trim());
+    out[field] = hit ? String(lower[hit]).trim() : '';
+  }
+  return out;
+}
+
+function loadMfdsRegistry() {
+  let files = [];
+  try { files = fs.readdirSync(MFDS_DIR).filter((f) => /\.(csv|json)$/i.test(f)).sort(); } catch {}
+  const products = [], gmp = [];
+  for (const f of files) {
+    const kind = /gmp/i.test(f) ? 'gmp' : 'product';
+    const rows = readMfdsFile(path.join(MFDS_DIR, f)).map((r) => mapMfdsRow(r, MFDS_COLUMNS[kind]));
+    if (kind === 'gmp') gmp.push(...rows.filter((r) => r.company));
+    else products.push(...rows.filter((r) => r.name).map((r) => ({ ...r, companyNorm: normalizeRegistryName(r.company) })));
+  }
+  return {
+    files,
+    loadedAt: new Date().toISOString(),
+    products: { records: products, index: buildNameIndex(products, 'name'), byReportNo: new Map(products.filter((r) => r.reportNo).map((r) => [normalizeReportNo(r.reportNo), r])) },
+    gmp: { records: gmp, index: buildNameIndex(gmp, 'company') },
+  };
+}
+
+// 품목제조신고번호는 표기마다 하이픈·공백이 달라서 숫자만 비교
+function normalizeReportNo(v) {
+  return String(v || '').replace(/\D/g, '');
+}
+
+let MFDS = loadMfdsRegistry();
+
+function reloadMfdsRegistry(reason) {
+  try {
+    MFDS = loadMfdsRegistry();
+    console.log(`[식약처 레지스트리 다시 로드됨: ${reason}] 품목신고 ${MFDS.products.records.length}건 / GMP ${MFDS.gmp.records.length}곳`);
+    return true;
+  } catch (e) {
+    console.error(`[식약처 레지스트리 로드 실패: ${reason}] 기존 목록을 유지합니다.`, e.message);
+    return false;
+  }
+}
+
+// 제품명 후보 × 회사명 후보로 품목신고 레코드 찾기 (회사명이 맞으면 가산)
+function matchMfdsProduct(names, companies) {
+  let best = null;
+  for (const name of names) {
+    for (const { record, score } of searchNameIndex(MFDS.products, 'name', stripPackaging(name))) {
+      const companyScore = companies.length
+        ? Math.max(...companies.map((c) => {
+            const n = normalizeRegistryName(c);
+            if (!n || !record.companyNorm) return 0;
+            return n.includes(record.companyNorm) || record.companyNorm.includes(n) ? 1 : 0;
+          }))
+        : 0;
+      const total = companies.length ? score * 0.85 + companyScore * 0.15 : score;
+      if (!best || total > best.confidence) best = { record, confidence: +total.toFixed(2), nameScore: +score.toFixed(2) };
+    }
+  }
+  return best && best.confidence >= MFDS_MATCH_THRESHOLD ? best : null;
+}
+
+function matchGmpFacility(companies) {
+  let best = null;
+  for (const c of companies) {
+    const [top] = searchNameIndex(MFDS.gmp, 'company', c, 1);
+    if (top && (!best || top.score > best.confidence)) best = { record: top.record, confidence: +top.score.toFixed(2) };
+  }
+  return best && best.confidence >= GMP_MATCH_THRESHOLD ? best : null;
+}
+
+// normalizeOutput용: 품목신고·GMP 대조 결과 + 모델 주장과 다른 점
+function verifyRegistryBadges(base, sourceText = '', lang = 'ko') {
+  const en = lang === 'en';
+  const line = (key) => ((sourceText || '').match(new RegExp(`^${key}:\\s*(.+)$`, 'mi')) || [, ''])[1].trim();
+  const available = { products: MFDS.products.records.length > 0, gmp: MFDS.gmp.records.length > 0 };
+  const out = { available: available.products || available.gmp, product: null, gmp: null, mismatches: [] };
+  if (!out.available) return out;
+
+  const names = [...new Set([line('PRODUCT_NAME'), base.productInfo, base.analysisDetails?.step1_identification?.result].filter(Boolean))];
+  const companies = [...new Set([line('MANUFACTURER'), line('BRAND'), canonicalizeBrandFromText(sourceText || base.productInfo)].filter(Boolean))];
+
+  // 라벨 사진 등에서 신고번호를 읽었으면 번호가 일치하는 레코드를 이름 대조보다 우선
+  const byNo = available.products && MFDS.products.byReportNo.get(normalizeReportNo(line('REPORT_NO')));
+  const product = byNo ? { record: byNo, confidence: 1 } : available.products ? matchMfdsProduct(names, companies) : null;
+  if (product) {
+    const r = product.record;
+    out.product = { reportNo: r.reportNo, name: r.name, company: r.company, reportedAt: r.reportedAt, functions: r.functions, confidence: product.confidence };
+  }
+  const gmp = available.gmp ? matchGmpFacility([...new Set([out.product?.company, ...companies].filter(Boolean))]) : null;
+  if (gmp) {
+    const r = gmp.record;
+    out.gmp = { company: r.company, designationNo: r.designationNo, designatedAt: r.designatedAt, address: r.address, confidence: gmp.confidence };
+  }
+
+  const check = (badge, loaded, modelSaid, found, label) => {
+    if (!loaded || modelSaid === found) return;
+    out.mismatches.push({
+      badge, model: modelSaid, registry: found,
+      message: modelSaid
+        ? (en ? `The AI marked it as ${label}, but it was not found in the registry.` : `AI는 ${label}(으)로 표시했지만 공식 목록에서 찾지 못했습니다.`)
+        : (en ? `The AI did not mark it as ${label}, but the registry has a matching record.` : `AI는 ${label}(으)로 표시하지 않았지만 공식 목록에서 확인되었습니다.`),
+    });
+  };
+  check('isMfdsRegistered', available.products, !!base.isMfdsRegistered, !!out.product, en ? 'MFDS-registered' : '식약처 신고 제품');
+  check('isGmpCertified', available.gmp, !!base.isGmpCertified, !!out.gmp, en ? 'GMP-certified' : 'GMP 인증');
+  return out;
+}
+
+/* ===================== 광고 유형별 평가 기준 (🔥 수정) ===================== */
 
 // 광고 유형 정의
 const AD_TYPE_CRITERIA = {
@@ -852,50 +1951,112 @@ const AD_TYPE_CRITERIA = {
   product_itself: {
     name: '제품 정보',
     description: '광고가 아닌 제품 자체의 공식 정보 분석',
-    // 🔥 점수 보정 기준: A-Tier(대기업) 98점, OTC(일반의약품) 95점, B-Tier Known(유명 브랜드) 95점 목표
-    minScoreFloor: {
-      A_tier: { step2: 29, step3: 39, step4: 10, step5: 15, step6: 0, step7: 0, step8: 5 }, // 98
-      OTC_tier: { step2: 28, step3: 38, step4: 10, step5: 14, step6: 0, step7: 0, step8: 5 }, // 95 🔥 일반의약품
-      B_tier_known: { step2: 28, step3: 37, step4: 10, step5: 14, step6: 0, step7: 0, step8: 5 }, // 94 -> 95+ 목표
-      B_tier: { step2: 20, step3: 30, step4: 7, step5: 12, step6: 0, step7: 0, step8: 4 }, // 73
-    }
   },
   // 브랜드 광고: 기업 이미지, 신뢰도 중심
   brand_ad: {
     name: '브랜드 광고',
     description: '기업 이미지, 철학, 역사 중심의 광고',
-    minScoreFloor: {
-      A_tier: { step2: 24, step3: 15, step4: 24, step5: 10, step6: 15, step7: 5, step8: 5 }, // 98
-      OTC_tier: { step2: 23, step3: 14, step4: 23, step5: 10, step6: 15, step7: 5, step8: 5 }, // 95 🔥 일반의약품
-      B_tier_known: { step2: 23, step3: 14, step4: 23, step5: 10, step6: 15, step7: 5, step8: 5 }, // 95
-      B_tier: { step2: 15, step3: 10, step4: 16, step5: 8, step6: 10, step7: 3, step8: 4 }, // 66
-    }
   },
   
   // 제품 광고: 제품 효능, 성분, 안전성 중심
   product_ad: {
     name: '제품 광고',
     description: '특정 제품의 효능, 성분, 사용법 중심의 광고',
-    minScoreFloor: {
-      A_tier: { step2: 20, step3: 30, step4: 20, step5: 20, step6: 5, step7: 3, step8: 2 }, // 100 (상한선)
-      OTC_tier: { step2: 19, step3: 29, step4: 19, step5: 19, step6: 5, step7: 3, step8: 2 }, // 96 -> 95+ 🔥 일반의약품
-      B_tier_known: { step2: 19, step3: 29, step4: 19, step5: 19, step6: 5, step7: 3, step8: 2 }, // 96 -> 95+ 목표
-      B_tier: { step2: 12, step3: 20, step4: 15, step5: 14, step6: 3, step7: 2, step8: 1 }, // 67
-    }
   },
   
+  // 블로그·카페 후기: 작성자는 광고주가 아니므로 브랜드 티어 최저점을 적용하지 않음
+  blog_review: {
+    name: '블로그 후기',
+    description: '블로그·카페의 체험/협찬 후기 (대가 표기 여부 중심)',
+  },
+
   // 일반/미분류
   unknown: {
     name: '일반 콘텐츠',
     description: '광고 유형이 불명확한 경우',
-    minScoreFloor: {
-      A_tier: { step2: 20, step3: 25, step4: 20, step5: 20, step6: 8, step7: 4, step8: 3 }, // 100 (상한선)
-      OTC_tier: { step2: 19, step3: 24, step4: 19, step5: 19, step6: 8, step7: 4, step8: 3 }, // 96 -> 95+ 🔥 일반의약품
-      B_tier_known: { step2: 19, step3: 24, step4: 19, step5: 19, step6: 8, step7: 4, step8: 3 }, // 96 -> 95+ 목표
-      B_tier: { step2: 10, step3: 16, step4: 14, step5: 13, step6: 5, step7: 2, step8: 1 }, // 61
+  },
+};
+
+// 배점·티어별 최저점·안전/주의 경계·항목명은 data/scoring-profiles.json의 버전별 프로필로 관리
+//   분석 결과에는 scoringVersion을 남기고, 기록은 다른 프로필로 재채점할 수 있음 (모델 재호출 없음)
+const SCORING_PROFILES_FILE = path.join(__dirname, 'data', 'scoring-profiles.json');
+const SCORING_TIERS = ['A_tier', 'OTC_tier', 'B_tier_known', 'B_tier'];
+const SCORING_CAP_KEYS = ['s2', 's3', 's4', 's5', 's6', 's7', 's8'];
+const SCORING_FLOOR_KEYS = ['step2', 'step3', 'step4', 'step5', 'step6', 'step7', 'step8'];
+const NO_TRUST_FLOOR_AD_TYPES = ['blog_review']; // 브랜드 티어 최저점을 쓰지 않는 유형 (floors 생략)
+
+function loadScoringProfiles() {
+  const data = JSON.parse(fs.readFileSync(SCORING_PROFILES_FILE, 'utf8'));
+  const fail = (msg) => { throw new Error(`scoring-profiles.json: ${msg}`); };
+  const numbers = (obj, keys, where) => {
+    for (const k of keys) if (!Number.isFinite(obj?.[k]) || obj[k] < 0) fail(`${where}.${k} 값이 올바르지 않습니다.`);
+  };
+  const profiles = {};
+  for (const [version, p] of Object.entries(data.profiles || {})) {
+    for (const t of Object.keys(AD_TYPE_CRITERIA)) {
+      numbers(p.caps?.[t], SCORING_CAP_KEYS, `${version}.caps.${t}`);
+      const total = SCORING_CAP_KEYS.reduce((sum, k) => sum + p.caps[t][k], 0);
+      if (total !== 100) fail(`${version}.caps.${t}의 합이 100이 아닙니다. (${total})`);
+      if (!NO_TRUST_FLOOR_AD_TYPES.includes(t)) {
+        for (const tier of SCORING_TIERS) numbers(p.floors?.[t]?.[tier], SCORING_FLOOR_KEYS, `${version}.floors.${t}.${tier}`);
+      }
+      for (const lang of ['ko', 'en']) {
+        if (p.stepLabels?.[lang]?.[t]?.length !== 8) fail(`${version}.stepLabels.${lang}.${t}는 8개 항목이어야 합니다.`);
+      }
     }
+    const { safe, caution } = p.thresholds || {};
+    if (!(Number.isFinite(safe) && Number.isFinite(caution) && safe > caution)) fail(`${version}.thresholds는 safe > caution 이어야 합니다.`);
+    profiles[version] = {
+      version,
+      label: p.label || { ko: version, en: version },
+      description: p.description || '',
+      thresholds: { safe, caution },
+      caps: p.caps,
+      floors: p.floors,
+      stepLabels: p.stepLabels,
+    };
   }
-};
+  const active = process.env.YAKSON_SCORING_PROFILE || data.active;
+  if (!profiles[active]) fail(`사용할 프로필 "${active}"이(가) 없습니다.`);
+  return { version: Number(data.version) || 0, active, profiles };
+}
+
+let SCORING = loadScoringProfiles();
+
+function activeScoringProfile() {
+  return SCORING.profiles[SCORING.active];
+}
+
+// 저장된 결과의 scoringVersion → 프로필 (없으면 null)
+function scoringProfile(version) {
+  return (version && SCORING.profiles[version]) || null;
+}
+
+function scoreCapsFor(adType, profile = activeScoringProfile()) {
+  return profile.caps[adType] || profile.caps.unknown;
+}
+
+// 프롬프트의 점수 상한·총점 등급 규칙 (normalizeOutput이 쓰는 프로필 값 그대로)
+function scoringPromptRules(adType, lang = 'ko', profile = activeScoringProfile()) {
+  const caps = scoreCapsFor(adType, profile);
+  const { safe, caution } = profile.thresholds;
+  const capText = SCORING_CAP_KEYS.map((k) => `S${k.slice(1)} ${caps[k]}`).join(', ');
+  return lang === 'en'
+    ? `- Score caps: ${capText}.\n- Total grade: ${safe}–100 Safe / ${caution}–${safe - 1} Caution / 0–${caution - 1} Risk.`
+    : `- 점수 상한: ${capText}.\n- 총점 등급: ${safe}~100 안전 / ${caution}~${safe - 1} 주의 / 0~${caution - 1} 위험.`;
+}
+
+// 🔥 차별화된 8단계 항목명 (클라이언트로 전송됨). 배점은 프로필의 caps에서 붙임
+function stepNamesFor(adType, lang = 'ko', profile = activeScoringProfile()) {
+  const en = lang === 'en';
+  const labels = profile.stepLabels[en ? 'en' : 'ko'];
+  const caps = scoreCapsFor(adType, profile);
+  return (labels[adType] || labels.unknown).map((label, i) => {
+    if (i === 0) return label;
+    const cap = caps[SCORING_CAP_KEYS[i - 1]];
+    return `${label} (${cap ? (en ? `${cap} pts` : `${cap}점`) : 'N/A'})`;
+  });
+}
 
 /* ===================== 스키마/프롬프트 (🔥 뱃지 + 항목명 추가) ===================== */
 
@@ -916,9 +2077,25 @@ const analysisResponseSchema = {
     // 🔥 뱃지 키 추가 (비타민 세분화)
     mainIngredients: { type: 'ARRAY', items: { type: 'STRING', enum: ['omega3', 'vitamin_b', 'vitamin_c', 'vitamin_d', 'vitamin_e', 'collagen', 'ginseng', 'protein', 'lutein', 'magnesium', 'zinc', 'calcium', 'probiotics', 'milkthisle', 'coq10'] } },
     targetAudience: { type: 'ARRAY', items: { type: 'STRING', enum: ['kids', 'women', 'men', 'senior', 'pregnant'] } },
-    adType: { type: 'STRING', enum: ['brand_ad', 'product_ad', 'product_itself', 'unknown'] },
+    adType: { type: 'STRING', enum: ['brand_ad', 'product_ad', 'product_itself', 'blog_review', 'unknown'] },
     // 차별화된 항목명
     stepNames: { type: 'ARRAY', items: { type: 'STRING' } },
+    // 사진 입력일 때만: 라벨/포장에서 읽은 글자 그대로 (서버가 SOURCE_TEXT로 씀)
+    labelText: {
+      type: 'OBJECT',
+      properties: {
+        productName: { type: 'STRING' },
+        brand: { type: 'STRING' },
+        manufacturer: { type: 'STRING' },
+        reportNumber: { type: 'STRING' },
+        ingredients: { type: 'STRING' },
+        nutrition: { type: 'STRING' },
+        dosage: { type: 'STRING' },
+        warnings: { type: 'STRING' },
+        claims: { type: 'STRING' },
+        certifications: { type: 'ARRAY', items: { type: 'STRING' } },
+      },
+    },
     
     analysisDetails: {
       type: 'OBJECT',
@@ -941,15 +2118,14 @@ const analysisResponseSchema = {
 // 🔥 프롬프트 수정 (뱃지 영어 키 명시, stepNames 추가)
 const PROMPT = {
   ko: {
-    base: (input) => `
+    base: (input, scoringRules) => `
 당신은 한국의 건강기능식품/의약품 광고 신뢰도 평가 AI(약손)입니다.
 입력: "${input}"
 규칙:
 - JSON만 출력합니다.
 - 각 step.evidence에는 SOURCE_TEXT의 **직접 문자열**을 넣으세요(없으면 0점 가능).
 - 레드플래그(완치/치료/100%/기적/불법/사기/다단계/피싱 등)는 강한 감점.
-- 점수 상한: S2 15, S3 25, S4 20, S5 20, S6 10, S7 5, S8 5. (유형별로 다름)
-- 총점 등급: 80~100 안전 / 50~79 주의 / 0~49 위험.
+${scoringRules}
 - 🔥 [뱃지 규칙] 뱃지 필드(isMfdsRegistered, isGmpCertified, isOrganic, mainIngredients, targetAudience)를 반드시 채우세요.
 - 🔥 [뱃지 규칙] mainIngredients: 반드시 다음 **영어 키** 리스트에서만 선택. (예: "활성형 비타민 B1" -> ["vitamin_b"]) ['omega3', 'vitamin_b', 'vitamin_c', 'vitamin_d', 'vitamin_e', 'collagen', 'ginseng', 'protein', 'lutein', 'magnesium', 'zinc', 'calcium', 'probiotics', 'milkthisle', 'coq10']
 - 🔥 [뱃지 규칙] targetAudience: 반드시 다음 **영어 키** 리스트에서만 선택. (예: "어린이" -> ["kids"]) ['kids', 'women', 'men', 'senior', 'pregnant']
@@ -968,87 +2144,908 @@ const PROMPT = {
 [규칙] 광고가 아닌 제품 *자체*의 신뢰도를 분석합니다.
 [규칙] S6(행동유도), S7(시각신호) 점수는 0점으로 하고 "제품명 검색으로 분석 항목 아님"으로 사유를 기재하세요.
 [필수] 모든 뱃지 필드(isMfdsRegistered, isGmpCertified, isOrganic, mainIngredients, targetAudience)를 검색 결과에 따라 채우세요.
+`,
+    // 사용자 메시지 (입력 유형별)
+    ytUser: ({ source, adType, stepNames }) => `
+[SOURCE_TEXT]
+${source}
+[/SOURCE_TEXT]
+요구사항:
+- [adType: "${adType}", stepNames: ${JSON.stringify(stepNames)}]
+- "productInfo" 필드에 영상 제목/채널 포함.
+- TRANSCRIPT(자막)의 발언을 근거로 쓸 때는 evidence에 해당 줄의 [mm:ss] 타임스탬프를 그대로 붙이세요. (예: "[01:23] 먹자마자 관절 통증이 사라졌어요")
+- 위 adType과 stepNames를 JSON에 포함시키고, 광고 유형별 평가 기준과 뱃지/항목명 규칙을 적용하여 분석하세요.
+`,
+    cmUser: ({ input, source, adType, stepNames, isCoupang }) => `
+[CRITICAL INSTRUCTION - 최우선 작업]
+${isCoupang
+  ? `\n🔥🔥🔥 [쿠팡 링크 경고] 이 URL은 JavaScript로 렌더링되므로, SOURCE_TEXT_HINT에 제품명이 비어있거나 "쇼핑 페이지"만 있을 가능성이 높습니다. *절대로* SOURCE_TEXT_HINT만 믿지 말고, 아래 URL을 Google Search로 *반드시* 검색하여 정확한 제품명을 찾으세요. 검색하지 않으면 분석이 실패합니다.\n`
+  : `\n⚠️ SOURCE_TEXT_HINT에 제품명이 없거나 불명확하면, Google Search를 사용하세요.\n`}
+🔥 1단계: 아래 SOURCE_TEXT_HINT를 확인하여 "PRODUCT_NAME" 필드가 비어있거나 불명확한지 체크하세요.
+
+🔥 2단계: 만약 제품명이 비어있거나 "쇼핑 페이지", "Shopping Page", 또는 URL만 있다면, 
+ 다음 URL을 Google Search 도구로 *반드시* 검색하세요:
+ URL: ${input}
+ 
+ 검색 쿼리 예시: "${input}" 또는 "쿠팡 ${input.split('/').pop()}"
+
+🔥 3단계: 검색 결과에서 이 URL에 해당하는 **정확한 제품명**을 찾으세요.
+
+🔥 4단계: 찾은 제품명을 다음 필드에 입력하세요:
+ - "productInfo" 필드
+ - "step1_identification.result" 필드
+
+[SOURCE_TEXT_HINT - 참고용]
+${source}
+[/SOURCE_TEXT_HINT]
+
+추가 요구사항:
+- [adType: "${adType}", stepNames: ${JSON.stringify(stepNames)}]
+- 위 adType과 stepNames를 JSON에 포함시키고, 제품 광고 기준으로 평가하고 모든 뱃지/항목명 규칙을 적용하세요.
+- 검색 결과가 없거나 불확실하면 "제품 확인 필요: ${input}" 형태로라도 채우세요.
+`,
+    productNameUser: (input) => `제품명: "${input}". 이 제품을 Google Search로 검색하고 8단계 분석을 완료하세요.`,
+    otherUser: (input) => `사용자 입력: ${input}`,
+    blogSys: `블로그/카페 후기 입력입니다. 아래 SOURCE_TEXT만 사용하세요. 외부 지식/추측 금지.
+분석유형: 블로그 후기. 작성자(S2)는 광고주가 아닌 후기 작성자로 평가하고, S7은 "광고 표기·대가 공개"로 평가합니다.
+- DISCLOSURE 줄: sponsored(원고료·협찬·제품 제공)/affiliate(쿠팡 파트너스 등 수수료) 표기가 본문에 분명하면 S7 점수를 주고, 없는데 PRODUCT_LINKS나 구매 권유가 있으면 "뒷광고 의심"으로 S7을 낮게 주세요.
+- 협찬 후기의 효능 체험담(먹고 나았다, 몇 kg 빠졌다 등)은 S4/S5 위반 근거입니다.
+- PRODUCT_LINKS의 제휴·단축 링크와 할인·마감 압박은 S6 근거입니다.`,
+    imageSys: `제품 라벨·포장·광고지 사진 입력입니다. 첨부된 사진과 USER_NOTE만 사용하세요. 외부 지식/추측 금지.
+- 먼저 사진에 보이는 글자를 "labelText"에 그대로 옮겨 적으세요(요약·번역 금지, 읽을 수 없는 칸은 비움): productName(제품명), brand, manufacturer(제조원/판매원), reportNumber(품목제조신고번호), ingredients(원재료명 및 함량), nutrition(영양·기능정보), dosage(섭취량·섭취방법), warnings(섭취 시 주의사항), claims(포장/광고지의 홍보 문구), certifications(인증 마크 이름 목록).
+- evidence에는 labelText에 옮겨 적은 문구를 그대로 인용하세요.
+- S7(시각적 신호)은 사진 자체로 평가: 출처 없는 인증 마크·메달, 전후 비교 사진, 가운 입은 의사 이미지, 과장된 수치 그래픽.
+- "건강기능식품" 도안과 신고번호가 보이지 않으면 isMfdsRegistered는 false로 두세요.`,
+    imageUser: ({ note, images, adType, stepNames }) => `
+[IMAGES]
+${images.map((img, i) => `${i + 1}. ${img.name} (${img.mimeType}, ${Math.round(img.buffer.length / 1024)}KB)`).join('\n')}
+[/IMAGES]
+[USER_NOTE]
+${note || '(없음)'}
+[/USER_NOTE]
+요구사항:
+- [adType: "${adType}", stepNames: ${JSON.stringify(stepNames)}]
+- "productInfo" 필드에 라벨의 제품명(브랜드 포함)을 넣으세요.
+- 위 adType과 stepNames를 JSON에 포함시키고, 제품 광고 기준으로 평가하고 모든 뱃지/항목명 규칙을 적용하세요.
+`,
+    blogUser: ({ source, adType, stepNames }) => `
+[SOURCE_TEXT]
+${source}
+[/SOURCE_TEXT]
+요구사항:
+- [adType: "${adType}", stepNames: ${JSON.stringify(stepNames)}]
+- "productInfo" 필드에 후기에서 다루는 제품명과 글 제목 포함.
+- 위 adType과 stepNames를 JSON에 포함시키고, 뱃지/항목명 규칙을 적용하여 분석하세요. evidence는 BODY의 문장을 그대로 인용하세요.
 `,
   },
-  en: { base: ()=>'Output JSON only; use SOURCE_TEXT only.', ytSys:'YouTube', cmSys:'Commerce', ytBrandAd:'Brand ad', ytProductAd:'Product ad', productNameSearchSys: 'Product name only. Use Google Search to find info and analyze all 8 steps. Fill all badge fields. Set S6, S7 score to 0.' },
-};
+  en: {
+    base: (input, scoringRules) => `
+You are Yakson, an AI that rates how trustworthy health supplement / medicine advertising and product pages are.
+Input: "${input}"
+Rules:
+- Output JSON only.
+- Put **verbatim strings** from SOURCE_TEXT in each step.evidence (a step may score 0 if there are none).
+- Red flags (cure/treats/100%/miracle/illegal/scam/pyramid scheme/phishing, etc.) are heavy deductions.
+${scoringRules}
+- Write productType, safetyReason, precautions and every step reason in English.
+- 🔥 [Badge rule] Always fill the badge fields (isMfdsRegistered, isGmpCertified, isOrganic, mainIngredients, targetAudience).
+- 🔥 [Badge rule] mainIngredients: choose only from these **English keys**. (e.g. "active vitamin B1" -> ["vitamin_b"]) ['omega3', 'vitamin_b', 'vitamin_c', 'vitamin_d', 'vitamin_e', 'collagen', 'ginseng', 'protein', 'lutein', 'magnesium', 'zinc', 'calcium', 'probiotics', 'milkthisle', 'coq10']
+- 🔥 [Badge rule] targetAudience: choose only from these **English keys**. (e.g. "children" -> ["kids"]) ['kids', 'women', 'men', 'senior', 'pregnant']
+- 🔥 [Step name rule] "stepNames": provide the display names of the 8 steps as an array. (Use the stepNames given below.)
+`,
+    ytSys: `This is a YouTube input. Use only the SOURCE_TEXT below. No outside knowledge or guessing.`,
+    cmSys:  `This is a shopping page input. Use only the SOURCE_TEXT below. No outside knowledge or guessing.`,
+    ytBrandAd:  `Analysis type: brand ad.`,
+    ytProductAd:`Analysis type: product ad.`,
+    productNameSearchSys: `
+[Task] Only a product name was entered. Use the Google Search tool to find this product's official information.
+[Analysis] Perform all 8 steps based on the official information you find (manufacturer, MFDS/FDA registration, ingredients, GMP, organic certification).
+[Rule] You are rating the trustworthiness of the product *itself*, not an ad.
+[Rule] Score S6 (call to action) and S7 (visual signals) as 0 and give "Not applicable for a product name search" as the reason.
+[Required] Fill every badge field (isMfdsRegistered, isGmpCertified, isOrganic, mainIngredients, targetAudience) from the search results.
+`,
+    ytUser: ({ source, adType, stepNames }) => `
+[SOURCE_TEXT]
+${source}
+[/SOURCE_TEXT]
+Requirements:
+- [adType: "${adType}", stepNames: ${JSON.stringify(stepNames)}]
+- Include the video title/channel in the "productInfo" field.
+- When citing something said in the TRANSCRIPT, keep that line's [mm:ss] timestamp in the evidence text (e.g. "[01:23] my joint pain was gone right away").
+- Include the adType and stepNames above in the JSON, and apply the ad-type criteria and the badge/step name rules.
+`,
+    cmUser: ({ input, source, adType, stepNames, isCoupang }) => `
+[CRITICAL INSTRUCTION - TOP PRIORITY]
+${isCoupang
+  ? `\n🔥🔥🔥 [Coupang link warning] This URL is rendered with JavaScript, so PRODUCT_NAME in SOURCE_TEXT_HINT is likely empty or just "Shopping Page". *Never* rely on SOURCE_TEXT_HINT alone: you *must* search the URL below with Google Search to find the exact product name. The analysis fails if you do not search.\n`
+  : `\n⚠️ If SOURCE_TEXT_HINT has no product name or it is unclear, use Google Search.\n`}
+🔥 Step 1: Check whether the "PRODUCT_NAME" field in SOURCE_TEXT_HINT below is empty or unclear.
 
-/* ===================== 점수 후처리 (🔥 버그 수정) ===================== */
+🔥 Step 2: If the product name is empty, is "쇼핑 페이지" / "Shopping Page", or is only a URL,
+ you *must* search this URL with the Google Search tool:
+ URL: ${input}
+
+ Example queries: "${input}" or "coupang ${input.split('/').pop()}"
+
+🔥 Step 3: Find the **exact product name** for this URL in the search results.
 
-// 🔥 [버그 수정] 점수 상한선을 adType별로 정확하게 정의
-const SCORE_CAPS = {
-  product_itself: { s2: 30, s3: 40, s4: 10, s5: 15, s6: 0, s7: 0, s8: 5 },
-  brand_ad:       { s2: 25, s3: 15, s4: 25, s5: 10, s6: 15, s7: 5, s8: 5 },
-  product_ad:     { s2: 20, s3: 30, s4: 20, s5: 20, s6: 5, s7: 3, s8: 2 },
-  unknown:        { s2: 20, s3: 25, s4: 20, s5: 20, s6: 8, s7: 4, s8: 3 }
+🔥 Step 4: Put the product name you found into:
+ - the "productInfo" field
+ - the "step1_identification.result" field
+
+[SOURCE_TEXT_HINT - reference]
+${source}
+[/SOURCE_TEXT_HINT]
+
+Additional requirements:
+- [adType: "${adType}", stepNames: ${JSON.stringify(stepNames)}]
+- Include the adType and stepNames above in the JSON, rate it as a product ad and apply every badge/step name rule.
+- If there are no or uncertain search results, still fill it in as "Product needs verification: ${input}".
+`,
+    productNameUser: (input) => `Product Name: "${input}". Search for this product and perform the full 8-step analysis.`,
+    otherUser: (input) => `User input: ${input}`,
+    blogSys: `This is a blog/cafe review input. Use only the SOURCE_TEXT below. No outside knowledge or guessing.
+Analysis type: blog review. Rate S2 as the trust of the review author (not an advertiser), and rate S7 as "ad labeling / sponsorship disclosure".
+- DISCLOSURE line: if a sponsored (paid post, free product) or affiliate (commission links such as Coupang Partners) disclosure is clearly in the post, give S7 points; if there is none but there are PRODUCT_LINKS or a push to buy, treat it as a suspected undisclosed ad and score S7 low.
+- Personal efficacy stories in a sponsored review ("it cured me", "I lost N kg") are evidence for S4/S5 violations.
+- Affiliate/short links in PRODUCT_LINKS and discount or deadline pressure are evidence for S6.`,
+    imageSys: `This is a photo of a product label, package or flyer. Use only the attached images and USER_NOTE. No outside knowledge or guessing.
+- First copy the text visible in the photos into "labelText" exactly as printed (no summarizing or translating; leave unreadable fields empty): productName, brand, manufacturer (manufacturer/distributor), reportNumber (MFDS product report number), ingredients (ingredients and amounts), nutrition (nutrition/function facts), dosage (serving size and directions), warnings (precautions), claims (promotional copy on the package or flyer), certifications (list of certification mark names).
+- Quote text you copied into labelText verbatim as evidence.
+- Rate S7 (visual signals) from the photos themselves: unsourced certification marks or medals, before/after photos, doctor-in-a-white-coat imagery, exaggerated number graphics.
+- If the "health functional food" mark and report number are not visible, leave isMfdsRegistered false.`,
+    imageUser: ({ note, images, adType, stepNames }) => `
+[IMAGES]
+${images.map((img, i) => `${i + 1}. ${img.name} (${img.mimeType}, ${Math.round(img.buffer.length / 1024)}KB)`).join('\n')}
+[/IMAGES]
+[USER_NOTE]
+${note || '(none)'}
+[/USER_NOTE]
+Requirements:
+- [adType: "${adType}", stepNames: ${JSON.stringify(stepNames)}]
+- Put the product name from the label (with the brand) in the "productInfo" field.
+- Include the adType and stepNames above in the JSON, rate it as a product ad and apply every badge/step name rule.
+`,
+    blogUser: ({ source, adType, stepNames }) => `
+[SOURCE_TEXT]
+${source}
+[/SOURCE_TEXT]
+Requirements:
+- [adType: "${adType}", stepNames: ${JSON.stringify(stepNames)}]
+- Include the reviewed product name and the post title in the "productInfo" field.
+- Include the adType and stepNames above in the JSON, and apply the badge/step name rules. Quote sentences from BODY verbatim as evidence.
+`,
+  },
 };
-// (기존 SCORE_CAP 변수는 삭제)
 
-function clamp(n, lo, hi){ n = Number(n||0); if(Number.isNaN(n)) n=0; return Math.max(lo, Math.min(hi, n)); }
-function arr(x){ return Array.isArray(x) ? x : (x ? [String(x)] : []); }
+/* ===================== 표현 위반 규칙 (표시·광고) ===================== */
 
-// 🔥 [버그 수정] ensureStep에서 max 상한선 제거 (AI가 준 점수 그대로 받음)
-function ensureStep(obj, fallbackEvidence=[]) {
-  const score = clamp(obj?.score, 0, 100); // 상한선 100으로 넉넉하게
-  const reason = (obj?.reason || '').toString();
-  let evidence = arr(obj?.evidence);
-  if (evidence.length === 0 && fallbackEvidence.length) evidence = fallbackEvidence.slice(0, 3);
-  return { score, reason, evidence };
+// 금지/과장 표현 사전 (data/claim-rules.json). 모델 판단과 별개로 SOURCE_TEXT에 직접 적용
+const CLAIM_RULES_FILE = path.join(__dirname, 'data', 'claim-rules.json');
+const CLAIM_SEVERITIES = ['high', 'medium', 'low'];
+const CLAIM_STEPS = ['step4_expressionScore', 'step5_efficacyScore'];
+const CLAIM_MAX_MATCHES_PER_RULE = 3;
+// 표현이 아닌 메타데이터 줄은 검사하지 않음 (URL·가격 등에서 오탐 방지)
+const CLAIM_SKIP_LINE = /^(URL|SKU|PRICE|UNIT_COUNT|RATING|REVIEW_COUNT|NUTRITION|SELLER|BRAND|MANUFACTURER|CATEGORY|CHANNEL|NOTE|PLATFORM|AUTHOR|PUBLISHED|DISCLOSURE|PRODUCT_LINKS|REPORT_NO|CERTIFICATIONS):/i;
+
+function loadClaimRules() {
+  const data = JSON.parse(fs.readFileSync(CLAIM_RULES_FILE, 'utf8'));
+  if (!Array.isArray(data.rules)) throw new Error('claim-rules.json: rules 배열이 없습니다.');
+  const penalty = data.severityPenalty || {};
+  const rules = data.rules.map((r) => {
+    if (!CLAIM_SEVERITIES.includes(r.severity)) throw new Error(`claim-rules.json: "${r.id}"의 severity가 올바르지 않습니다.`);
+    if (!CLAIM_STEPS.includes(r.step)) throw new Error(`claim-rules.json: "${r.id}"의 step이 올바르지 않습니다.`);
+    return {
+      id: r.id,
+      category: r.category,
+      severity: r.severity,
+      step: r.step,
+      label: r.label || { ko: r.id, en: r.id },
+      patterns: (r.patterns || []).map((src) => new RegExp(src, 'gi')),
+      unless: (r.unless || []).map((src) => new RegExp(src, 'i')),
+    };
+  });
+  return { version: Number(data.version) || 0, penalty, rules };
 }
 
-// 신뢰도 플래그 감지 (브랜드 티어 포함)
-function detectTrustFlags(sourceText='') {
-  const src = (sourceText || '').toLowerCase();
-  const brand = canonicalizeBrandFromText(sourceText);
-  const tier = getBrandTier(brand);
-  const isOfficialWord = /(official|공식)/.test(src);
-  const channelLine = (src.match(/channel:\s*([^\n]+)/i) || [,''])[1].toLowerCase();
-  const titleLine   = (src.match(/title:\s*([^\n]+)/i) || [,''])[1].toLowerCase();
-  const brandInChannel = brand && channelLine.includes(brand.toLowerCase());
-  const brandInTitle   = brand && titleLine.includes(brand.toLowerCase());
-  const trustedSeller = /(seller|url|site_name|판매처).*(coupang|smartstore|naver|amazon|oliveyoung)/i.test(sourceText);
-  
-  return { 
-    brand, 
-    tier,
-    isOfficialChannel: (isOfficialWord || brandInChannel || brandInTitle), 
-    isTrustedSeller: trustedSeller,
-    isMajorCorp: tier === 'A',
-    isOTC: tier === 'OTC', // 🔥 일반의약품 플래그 추가
-    isKnownBrand: tier === 'B' // 🔥 유명 브랜드 플래그 추가
-  };
+let CLAIM_RULES = loadClaimRules();
+
+// 매칭 위치가 속한 문장 (unless 판정 + 근거 표시용)
+function sentenceAround(text, start, end) {
+  const before = text.slice(0, start);
+  const from = Math.max(before.lastIndexOf('\n'), before.search(/[.!?。][^.!?。]*$/)) + 1;
+  const after = text.slice(end).search(/[\n.!?。]/);
+  const to = after === -1 ? text.length : end + after + 1;
+  return text.slice(from, to).replace(/^[A-Z_]+:\s*/, '').trim();
 }
 
-// 보수적 게이트 (레드 플래그 감지)
-function conservativeGates(steps) {
-  const text = Object.values(steps).map(s => (s.reason||'') + ' ' + (s.evidence||[]).join(' ')).join(' ').toLowerCase();
-  const red = /(완치|치료|기적|100%|부작용 없음|불법|사기|다단계|피싱)/.test(text);
-  if (red) {
-    steps.step4_expressionScore.score = Math.min(steps.step4_expressionScore.score, 2);
-    steps.step5_efficacyScore.score = Math.min(steps.step5_efficacyScore.score, 2);
+// SOURCE_TEXT에서 위반 표현을 찾아 구간(span)별로 반환
+function detectClaimViolations(sourceText = '', lang = 'ko') {
+  const text = (sourceText || '').split('\n').filter((l) => !CLAIM_SKIP_LINE.test(l)).join('\n');
+  const out = [];
+  if (!text.trim()) return out;
+  for (const rule of CLAIM_RULES.rules) {
+    const seen = new Set();
+    const spans = []; // 같은 규칙의 다른 패턴이 겹치는 구간을 다시 잡지 않도록
+    for (const re of rule.patterns) {
+      re.lastIndex = 0;
+      let m;
+      while ((m = re.exec(text)) && seen.size < CLAIM_MAX_MATCHES_PER_RULE) {
+        if (!m[0]) { re.lastIndex++; continue; }
+        const start = m.index, end = m.index + m[0].length;
+        if (spans.some(([a, b]) => start < b && end > a)) continue;
+        const context = sentenceAround(text, start, end);
+        if (rule.unless.some((u) => u.test(context))) continue;
+        const key = m[0].toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        spans.push([start, end]);
+        out.push({
+          ruleId: rule.id,
+          category: rule.category,
+          label: rule.label[lang] || rule.label.ko,
+          severity: rule.severity,
+          step: rule.step,
+          text: m[0],
+          context: context.slice(0, 200),
+          index: m.index,
+        });
+      }
+    }
   }
-  return red;
+  return out;
 }
 
-// 🔥 [버그 수정] "대기업 점수 보정" 로직 (100점 버그 원인 제거)
-function applyAdTypeTrustFloors(steps, flags, adType, sourceText) {
-  const fb = (sourceText || '').split('\n').filter(l => /^(channel|url|product_name|seller|brand|title|description)/i.test(l)).slice(0,3);
-  
-  const criteria = AD_TYPE_CRITERIA[adType] || AD_TYPE_CRITERIA.unknown;
-  
-  // 🔥 티어 우선순위: A-Tier(대기업) > OTC(일반의약품) > B-Tier Known(유명 브랜드) > B-Tier(일반)
-  let tierKey = 'B_tier'; // 기본값
-  if (flags.isMajorCorp) {
-    tierKey = 'A_tier'; // 대기업
-  } else if (flags.isOTC) {
-    tierKey = 'OTC_tier'; // 일반의약품
-  } else if (flags.isKnownBrand) {
-    tierKey = 'B_tier_known'; // 유명 브랜드
+// 규칙별 1회 감점(심각도별), 매칭 구간은 해당 단계 근거 앞에 추가
+function applyClaimPenalties(steps, violations, lang = 'ko') {
+  const en = lang === 'en';
+  const severityLabel = en ? { high: 'high', medium: 'medium', low: 'low' } : { high: '높음', medium: '중간', low: '낮음' };
+  for (const stepKey of CLAIM_STEPS) {
+    const hits = violations.filter((v) => v.step === stepKey);
+    if (!hits.length) continue;
+    const rules = [...new Map(hits.map((v) => [v.ruleId, v])).values()];
+    const penalty = rules.reduce((sum, v) => sum + (Number(CLAIM_RULES.penalty[v.severity]) || 0), 0);
+    const step = steps[stepKey];
+    step.score = Math.max(0, step.score - penalty);
+    step.evidence = [...new Set([...hits.map((v) => v.context || v.text), ...step.evidence])].slice(0, 6);
+    const summary = rules.map((v) => `${v.label}(${severityLabel[v.severity]})`).join(', ');
+    step.reason = (step.reason ? step.reason + '\n' : '') + (en
+      ? `[Rule check] ${summary} → -${penalty} points`
+      : `[규칙 점검] ${summary} → -${penalty}점`);
+  }
+}
+
+/* ===================== 성분 함량 / 상한섭취량 ===================== */
+
+// 영양소별 권장·상한섭취량 표 (data/nutrient-limits.json, 2020 한국인 영양소 섭취기준)
+const NUTRIENT_LIMITS_FILE = path.join(__dirname, 'data', 'nutrient-limits.json');
+const INTAKE_GROUPS = ['adult', 'child', 'pregnant'];
+const MASS_TO_MG = { g: 1000, mg: 1, 'µg': 0.001 };
+const AMOUNT_NUM = '(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)';
+const AMOUNT_MULT = '(억|천만|만|billion|million|bn)?';
+const AMOUNT_UNIT = '(mg|㎎|mcg|µg|μg|ug|㎍|g|iu|i\\.u\\.|cfu|%)(?:\\s*(?:α-?te|ne|rae|dfe))?(?![a-z])';
+const AMOUNT_MULTIPLIERS = { '억': 1e8, '천만': 1e7, '만': 1e4, billion: 1e9, bn: 1e9, million: 1e6 };
+
+function loadNutrientLimits() {
+  const data = JSON.parse(fs.readFileSync(NUTRIENT_LIMITS_FILE, 'utf8'));
+  if (!Array.isArray(data.nutrients)) throw new Error('nutrient-limits.json: nutrients 배열이 없습니다.');
+  const nutrients = data.nutrients.map((n) => ({
+    ...n,
+    rda: n.rda || {},
+    ul: n.ul || {},
+    // 긴 별칭 먼저 (비타민 D3 → 비타민 D), 영문은 단어 중간 매칭 방지, 한 글자 별칭(철)은 한글 단어 중간도 방지
+    aliasRes: [...n.aliases].sort((a, b) => b.length - a.length).map((a) => {
+      const body = a.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s*');
+      const guard = a.length === 1 ? '(?<![A-Za-z가-힣])' : '(?<![A-Za-z])';
+      return new RegExp(guard + body, 'i');
+    }),
+  }));
+  return { version: Number(data.version) || 0, groups: data.groups || {}, nutrients };
+}
+
+const NUTRIENT_LIMITS = loadNutrientLimits();
+
+function normalizeAmountUnit(u) {
+  const unit = u.toLowerCase();
+  if (unit === 'mg' || unit === '㎎') return 'mg';
+  if (unit === 'g') return 'g';
+  if (['mcg', 'µg', 'μg', 'ug', '㎍'].includes(unit)) return 'µg';
+  if (unit === 'iu' || unit === 'i.u.') return 'IU';
+  if (unit === 'cfu') return 'CFU';
+  return '%';
+}
+
+// "25 mcg (1,000 IU)", "100억 CFU", "250%" → [{ value, unit }]
+function parseAmounts(str = '') {
+  const re = new RegExp(`${AMOUNT_NUM}\\s*${AMOUNT_MULT}\\s*${AMOUNT_UNIT}`, 'gi');
+  const out = [];
+  let m;
+  while ((m = re.exec(str))) {
+    const value = Number(m[1].replace(/,/g, '')) * (AMOUNT_MULTIPLIERS[(m[2] || '').toLowerCase()] || 1);
+    out.push({ value, unit: normalizeAmountUnit(m[3]) });
+  }
+  return out;
+}
+
+// 영양소 기준 단위로 환산 (환산 불가면 null)
+function toNutrientUnit(amount, nutrient) {
+  if (amount.unit === nutrient.unit) return amount.value;
+  if (amount.unit === 'IU') return nutrient.iuToUnit ? amount.value * nutrient.iuToUnit : null;
+  if (MASS_TO_MG[amount.unit] && MASS_TO_MG[nutrient.unit]) return amount.value * MASS_TO_MG[amount.unit] / MASS_TO_MG[nutrient.unit];
+  return null;
+}
+
+// 1회 제공량 기준 표기를 하루 기준으로 바꾸기 위한 1일 섭취 횟수 ("1일 섭취량" 표기면 이미 하루 기준)
+function parseServingsPerDay(text = '') {
+  if (/1일\s*섭취량/.test(text)) return 1;
+  const m = text.match(/1일\s*(\d)\s*회/) || text.match(/\b(\d)\s*(?:times|x)\s*(?:a|per)\s*day\b/i) || text.match(/\b(\d)\s*servings?\s*(?:a|per)\s*day\b/i);
+  const n = m ? Number(m[1]) : 1;
+  return n >= 1 && n <= 6 ? n : 1;
+}
+
+function ingredientFromAmounts(nutrient, amounts, original, source) {
+  const percentDv = (amounts.find((a) => a.unit === '%') || {}).value ?? null;
+  for (const a of amounts) {
+    const value = toNutrientUnit(a, nutrient);
+    if (value != null) return { id: nutrient.id, amount: value, unit: nutrient.unit, original: original.trim(), percentDv, source };
+  }
+  return null;
+}
+
+// SOURCE_TEXT의 NUTRITION 표 → 제품명/설명 본문 순으로 성분 함량 추출 (영양소당 1건)
+function parseIngredientAmounts(sourceText = '') {
+  const lines = (sourceText || '').split('\n');
+  const found = new Map();
+
+  const nutritionLine = lines.find((l) => /^NUTRITION:/i.test(l));
+  if (nutritionLine) {
+    for (const row of nutritionLine.replace(/^NUTRITION:\s*/i, '').split(/;\s*/)) {
+      for (const n of NUTRIENT_LIMITS.nutrients) {
+        if (found.has(n.id)) continue;
+        const hit = n.aliasRes.map((re) => row.match(re)).find(Boolean);
+        if (!hit) continue;
+        const rest = row.slice(hit.index + hit[0].length);
+        const item = ingredientFromAmounts(n, parseAmounts(rest), row, 'nutrition');
+        if (item) { found.set(n.id, item); break; }
+      }
+    }
+  }
+
+  const text = lines.filter((l) => /^(PRODUCT_NAME|TITLE|DESCRIPTION|INGREDIENTS):/i.test(l) || !/^[A-Z_]+:/.test(l)).join('\n');
+  const amountAfter = new RegExp(`^[^\\d\\n;]{0,15}?${AMOUNT_NUM}\\s*${AMOUNT_MULT}\\s*${AMOUNT_UNIT}`, 'i');
+  for (const n of NUTRIENT_LIMITS.nutrients) {
+    if (found.has(n.id)) continue;
+    for (const re of n.aliasRes) {
+      const g = new RegExp(re.source, 'gi');
+      let m, item = null;
+      while (!item && (m = g.exec(text))) {
+        const tail = text.slice(m.index + m[0].length, m.index + m[0].length + 60);
+        const head = tail.match(amountAfter);
+        if (!head) continue;
+        // 바로 뒤 괄호 안의 환산값/기준치 대비 %까지 함께 읽음 ("25㎍ (1,000 IU, 250%)")
+        const snippet = tail.slice(0, head[0].length) + (tail.slice(head[0].length).match(/^\s*\([^)\n]{0,30}\)/) || [''])[0];
+        item = ingredientFromAmounts(n, parseAmounts(snippet), m[0] + snippet, 'text');
+      }
+      if (item) { found.set(n.id, item); break; }
+    }
+  }
+
+  return { servingsPerDay: parseServingsPerDay(sourceText), items: [...found.values()] };
+}
+
+function formatAmount(value, unit, lang = 'ko') {
+  if (unit === 'CFU') {
+    if (lang === 'en') return value >= 1e9 ? `${+(value / 1e9).toFixed(1)} billion CFU` : `${+(value / 1e6).toFixed(1)} million CFU`;
+    return value >= 1e8 ? `${+(value / 1e8).toFixed(1)}억 CFU` : `${+(value / 1e4).toFixed(0)}만 CFU`;
+  }
+  return `${(+value.toFixed(2)).toLocaleString('en-US')}${unit}`;
+}
+
+// 하루 섭취량을 집단별 상한섭취량·기능성 범위와 비교해 경고 생성
+function evaluateIngredientIntake(item, nutrient, lang = 'ko') {
+  const en = lang === 'en';
+  const name = nutrient.label[lang] || nutrient.label.ko;
+  const groupLabel = (g) => (NUTRIENT_LIMITS.groups[g] || {})[lang] || g;
+  const warnings = [];
+  for (const g of INTAKE_GROUPS) {
+    const ul = nutrient.ul[g];
+    if (ul == null || item.perDay <= ul) continue;
+    warnings.push({
+      type: 'over_ul',
+      group: g,
+      severity: g === 'adult' ? 'high' : 'medium',
+      limit: ul,
+      message: en
+        ? `${name} ${formatAmount(item.perDay, item.unit, lang)}/day exceeds the tolerable upper intake level for ${groupLabel(g)} (${formatAmount(ul, item.unit, lang)})`
+        : `${name} 하루 ${formatAmount(item.perDay, item.unit, lang)}: ${groupLabel(g)} 상한섭취량(${formatAmount(ul, item.unit, lang)}) 초과`,
+    });
+  }
+  if (nutrient.functional && item.perDay > nutrient.functional.max) {
+    warnings.push({
+      type: 'over_functional',
+      group: 'adult',
+      severity: 'low',
+      limit: nutrient.functional.max,
+      message: en
+        ? `${name} ${formatAmount(item.perDay, item.unit, lang)}/day is above the MFDS functional daily range (${formatAmount(nutrient.functional.min, item.unit, lang)}–${formatAmount(nutrient.functional.max, item.unit, lang)})`
+        : `${name} 하루 ${formatAmount(item.perDay, item.unit, lang)}: 식약처 기능성 일일섭취량(${formatAmount(nutrient.functional.min, item.unit, lang)}~${formatAmount(nutrient.functional.max, item.unit, lang)}) 초과`,
+    });
+  }
+  return warnings;
+}
+
+// normalizeOutput용: 구조화된 ingredients 목록 + 유의사항에 덧붙일 문장
+function analyzeIngredients(sourceText, lang = 'ko') {
+  const { servingsPerDay, items } = parseIngredientAmounts(sourceText);
+  const byId = new Map(NUTRIENT_LIMITS.nutrients.map((n) => [n.id, n]));
+  const ingredients = items.map((item) => {
+    const n = byId.get(item.id);
+    const perDay = item.amount * servingsPerDay;
+    const out = {
+      ...item,
+      name: n.label[lang] || n.label.ko,
+      badge: n.badge || null,
+      servingsPerDay,
+      perDay,
+      perDayText: formatAmount(perDay, item.unit, lang),
+      rda: n.rda,
+      ul: n.ul,
+      ...(n.functional ? { functional: n.functional } : {}),
+      ...(n.ulNote ? { ulNote: n.ulNote[lang] || n.ulNote.ko } : {}),
+    };
+    out.warnings = evaluateIngredientIntake(out, n, lang);
+    return out;
+  });
+  // 집단이 여러 개여도 성분당 한 줄: 가장 낮은 상한을 넘긴 집단들을 묶어서 표기
+  const precautionLines = ingredients.filter((i) => i.warnings.length).map((i) => {
+    const ul = i.warnings.filter((w) => w.type === 'over_ul');
+    if (!ul.length) return `⚠️ ${i.warnings[0].message}`;
+    const groups = ul.map((w) => (NUTRIENT_LIMITS.groups[w.group] || {})[lang] || w.group);
+    const worst = ul.find((w) => w.group === 'adult') || ul[0];
+    return lang === 'en'
+      ? `⚠️ ${i.name} ${formatAmount(i.perDay, i.unit, lang)}/day exceeds the upper intake level for ${groups.join(', ')}${worst.group === 'adult' ? ` (adults: ${formatAmount(worst.limit, i.unit, lang)})` : ''}.`
+      : `⚠️ ${i.name} 하루 ${formatAmount(i.perDay, i.unit, lang)}: ${groups.join('·')} 상한섭취량 초과${worst.group === 'adult' ? ` (성인 ${formatAmount(worst.limit, i.unit, lang)})` : ''}.`;
+  });
+  return { ingredients, precautionLines };
+}
+
+/* ===================== 약물·영양제 상호작용 ===================== */
+
+// 약효군/성분 별칭 + 조합별 경고 (data/interactions.json)
+const INTERACTIONS_FILE = path.join(__dirname, 'data', 'interactions.json');
+const INTERACTION_SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+const MAX_MEDICATIONS = 30;
+
+function loadInteractions() {
+  const data = JSON.parse(fs.readFileSync(INTERACTIONS_FILE, 'utf8'));
+  const substances = {};
+  for (const [id, sub] of Object.entries(data.substances || {})) {
+    substances[id] = {
+      ...sub,
+      aliasRes: [...sub.aliases].sort((a, b) => b.length - a.length).map((a) => {
+        const body = a.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s*');
+        return new RegExp(/^[a-z]/i.test(a) ? `(?<![a-z])${body}(?![a-z])` : body, 'i');
+      }),
+    };
+  }
+  for (const r of data.rules || []) {
+    if (!substances[r.a] || !substances[r.b]) throw new Error(`interactions.json: "${r.id}"의 성분(${r.a}, ${r.b})이 substances에 없습니다.`);
+  }
+  return { version: Number(data.version) || 0, substances, rules: data.rules || [] };
+}
+
+const INTERACTIONS = loadInteractions();
+
+function substancesInText(text = '') {
+  const ids = new Set();
+  if (!text) return ids;
+  for (const [id, sub] of Object.entries(INTERACTIONS.substances)) {
+    if (sub.aliasRes.some((re) => re.test(text))) ids.add(id);
+  }
+  return ids;
+}
+
+// 분석한 제품의 성분: 뱃지 키 + 함량 파싱 결과 + 제품명/원재료 줄의 별칭
+function productSubstances(result, sourceText = '') {
+  const text = [
+    result.productInfo || '',
+    ...(sourceText || '').split('\n').filter((l) => /^(PRODUCT_NAME|TITLE|INGREDIENTS|NUTRITION):/i.test(l)),
+  ].join('\n');
+  const ids = substancesInText(text);
+  for (const key of [...(result.mainIngredients || []), ...(result.ingredients || []).map((i) => i.id)]) {
+    if (INTERACTIONS.substances[key]) ids.add(key);
+  }
+  return ids;
+}
+
+function normalizeMedications(list) {
+  if (!Array.isArray(list)) return [];
+  return [...new Set(list.map((m) => String(m || '').trim().slice(0, 60)).filter(Boolean))].slice(0, MAX_MEDICATIONS);
+}
+
+// 제품 × 사용자 복용 목록 대조 (규칙은 a↔b 양방향)
+function checkInteractions(result, sourceText, medications, lang = 'ko') {
+  const product = productSubstances(result, sourceText);
+  const label = (id) => INTERACTIONS.substances[id].label[lang] || INTERACTIONS.substances[id].label.ko;
+  const interactions = [];
+  const unmatched = [];
+  for (const med of medications) {
+    const user = substancesInText(med);
+    if (!user.size) { unmatched.push(med); continue; }
+    for (const rule of INTERACTIONS.rules) {
+      // 아스피린처럼 한 약이 두 약효군(a, b)에 모두 속하면 자기 자신과의 조합은 건너뜀
+      if (rule.a !== rule.b && product.has(rule.a) && product.has(rule.b) && user.has(rule.a) && user.has(rule.b)) continue;
+      const pair = product.has(rule.a) && user.has(rule.b) ? [rule.a, rule.b]
+        : product.has(rule.b) && user.has(rule.a) ? [rule.b, rule.a]
+        : null;
+      if (!pair) continue;
+      interactions.push({
+        ruleId: rule.id,
+        severity: rule.severity,
+        medication: med,
+        productSubstance: { id: pair[0], label: label(pair[0]) },
+        userSubstance: { id: pair[1], label: label(pair[1]) },
+        message: rule.message[lang] || rule.message.ko,
+        advice: (rule.advice && (rule.advice[lang] || rule.advice.ko)) || '',
+      });
+    }
+  }
+  interactions.sort((x, y) => INTERACTION_SEVERITY_ORDER[x.severity] - INTERACTION_SEVERITY_ORDER[y.severity]);
+  return { interactions, unmatched };
+}
+
+/* ===================== 사용자 프로필 맞춤 ===================== */
+
+// 나이대·임신/수유·지병별 유의사항 (data/profile-rules.json). 신뢰도 totalScore와는 별개의 개인 적합도
+const PROFILE_RULES_FILE = path.join(__dirname, 'data', 'profile-rules.json');
+const PERSONAL_VERDICTS = {
+  suitable: { ko: '특별한 주의사항 없음', en: 'No specific concerns' },
+  caution: { ko: '주의 필요', en: 'Use with caution' },
+  not_recommended: { ko: '복용 비추천', en: 'Not recommended for you' },
+};
+
+function loadProfileRules() {
+  const data = JSON.parse(fs.readFileSync(PROFILE_RULES_FILE, 'utf8'));
+  for (const r of data.rules || []) {
+    if (!['high', 'medium', 'low'].includes(r.severity)) throw new Error(`profile-rules.json: "${r.id}"의 severity가 올바르지 않습니다.`);
+  }
+  return { version: Number(data.version) || 0, ageBands: data.ageBands || {}, pregnancy: data.pregnancy || {}, conditions: data.conditions || {}, rules: data.rules || [] };
+}
+
+const PROFILE_RULES = loadProfileRules();
+
+// 요청 본문의 profile 검증 (아무 항목도 없으면 null → 맞춤 판단 생략)
+function normalizeProfile(p) {
+  if (!p || typeof p !== 'object') return null;
+  const ageBand = PROFILE_RULES.ageBands[p.ageBand] ? p.ageBand : null;
+  const pregnancy = PROFILE_RULES.pregnancy[p.pregnancy] ? p.pregnancy : null;
+  const conditions = Array.isArray(p.conditions) ? [...new Set(p.conditions.filter((c) => PROFILE_RULES.conditions[c]))] : [];
+  if (!ageBand && !pregnancy && !conditions.length) return null;
+  return { ageBand, pregnancy, conditions };
+}
+
+function profileRuleApplies(when = {}, profile) {
+  if (when.condition && !profile.conditions.includes(when.condition)) return false;
+  if (when.pregnancy && !when.pregnancy.includes(profile.pregnancy)) return false;
+  if (when.ageBand && !when.ageBand.includes(profile.ageBand)) return false;
+  return true;
+}
+
+// 제품 성분(상호작용 표 + 뱃지 + 함량) × 프로필 → 개인 적합도 + 맞춤 유의사항
+function assessPersonalFit(result, sourceText, profile, lang = 'ko') {
+  const en = lang === 'en';
+  const pick = (o) => (o ? o[lang] || o.ko : '');
+  const substances = new Set([
+    ...productSubstances(result, sourceText),
+    ...(result.mainIngredients || []),
+    ...(result.ingredients || []).map((i) => i.id),
+  ]);
+  const intakeGroup = (PROFILE_RULES.pregnancy[profile.pregnancy] || PROFILE_RULES.ageBands[profile.ageBand] || {}).intakeGroup || 'adult';
+  const notes = [];
+
+  // 1) 함량이 내 집단의 상한섭취량을 넘는지
+  for (const i of result.ingredients || []) {
+    for (const w of i.warnings || []) {
+      if (w.type === 'over_ul' && w.group === intakeGroup) notes.push({ type: 'intake', substance: i.id, severity: 'high', message: w.message });
+    }
+  }
+
+  // 2) 제품 대상(targetAudience)과 내 프로필이 맞는지
+  const audience = result.targetAudience || [];
+  if (profile.ageBand === 'child' && audience.length && !audience.includes('kids')) {
+    notes.push({ type: 'audience', severity: 'medium', message: en ? 'This product is not labelled for children.' : '어린이용으로 표시된 제품이 아닙니다.' });
+  }
+  if (audience.includes('kids') && profile.ageBand && profile.ageBand !== 'child') {
+    notes.push({ type: 'audience', severity: 'low', message: en ? 'This is a children\'s product; amounts may be too low for you.' : '어린이용 제품이라 함량이 부족할 수 있습니다.' });
+  }
+  if (audience.includes('pregnant') && profile.pregnancy === 'pregnant') {
+    notes.push({ type: 'audience', severity: 'low', positive: true, message: en ? 'Made for pregnant women.' : '임신부용으로 나온 제품입니다.' });
+  }
+  if (audience.includes('senior') && profile.ageBand === 'senior') {
+    notes.push({ type: 'audience', severity: 'low', positive: true, message: en ? 'Made for older adults.' : '중장년·노년층용으로 나온 제품입니다.' });
+  }
+
+  // 3) 지병·임신·나이대별 성분 규칙
+  for (const rule of PROFILE_RULES.rules) {
+    if (!substances.has(rule.substance) || !profileRuleApplies(rule.when, profile)) continue;
+    notes.push({ type: 'rule', ruleId: rule.id, substance: rule.substance, severity: rule.severity, ...(rule.positive ? { positive: true } : {}), message: pick(rule.message) });
+  }
+
+  const concerns = notes.filter((n) => !n.positive);
+  const verdict = concerns.some((n) => n.severity === 'high') ? 'not_recommended'
+    : concerns.some((n) => n.severity === 'medium') ? 'caution'
+    : 'suitable';
+  concerns.sort((a, b) => INTERACTION_SEVERITY_ORDER[a.severity] - INTERACTION_SEVERITY_ORDER[b.severity]);
+
+  return {
+    verdict,
+    verdictLabel: PERSONAL_VERDICTS[verdict][lang] || PERSONAL_VERDICTS[verdict].ko,
+    profileSummary: [
+      pick((PROFILE_RULES.ageBands[profile.ageBand] || {}).label),
+      pick((PROFILE_RULES.pregnancy[profile.pregnancy] || {}).label),
+      ...profile.conditions.map((c) => pick(PROFILE_RULES.conditions[c])),
+    ].filter(Boolean).join(' · '),
+    notes: [...concerns, ...notes.filter((n) => n.positive)],
+    precautions: concerns.map((n) => n.message),
+  };
+}
+
+/* ===================== 근거 인용 검증 (SOURCE_TEXT 대조) ===================== */
+
+// 모델이 step.evidence에 넣은 인용이 실제 원문(SOURCE_TEXT)이나 검색 근거(grounding)에 있는지 대조
+//   verified: (거의) 그대로 있음 / partial: 일부만 일치 / not_found: 찾지 못함
+//   context: 서버가 채운 원문 줄(모델 근거 아님) / unchecked: 대조할 원문·검색 근거가 없음
+const EVIDENCE_VERIFIED_SIM = 0.85;
+const EVIDENCE_PARTIAL_SIM = 0.5;
+const EVIDENCE_MIN_CHARS = 4;       // 이보다 짧은 인용은 정확히 일치할 때만 인정
+const EVIDENCE_MAX_DISCOUNT = 0.5;  // 인용이 하나도 확인되지 않으면 그 단계 점수의 절반까지 감점
+const EVIDENCE_DISCOUNT_FROM = 0.5; // 만점의 절반 이상을 준 단계만 (인용을 근거로 점수를 '준' 경우, 감점은 그대로 둠)
+
+// 공백·문장부호·대소문자 차이는 무시 (타임스탬프 [mm:ss]의 숫자는 남음)
+function normalizeQuote(s) {
+  return String(s || '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function bigramCounts(s) {
+  const m = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    m.set(g, (m.get(g) || 0) + 1);
+  }
+  return m;
+}
+
+function bigramDice(a, b) {
+  if (a.length < 2 || b.length < 2) return a === b ? 1 : 0;
+  const ca = bigramCounts(a), cb = bigramCounts(b);
+  let overlap = 0;
+  for (const [g, n] of ca) overlap += Math.min(n, cb.get(g) || 0);
+  return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+// 원문에서 인용 길이만큼의 구간을 훑어 가장 비슷한 곳의 유사도 (성긴 간격으로 찾고 주변만 촘촘히)
+function bestWindowSimilarity(quote, source) {
+  if (!quote || !source) return 0;
+  if (source.includes(quote)) return 1;
+  if (quote.length < EVIDENCE_MIN_CHARS) return 0;
+  const len = quote.length;
+  const stride = Math.max(1, Math.floor(len / 4));
+  const at = (i) => bigramDice(quote, source.slice(i, i + len));
+  let best = 0, bestAt = 0;
+  for (let i = 0; i <= Math.max(0, source.length - len); i += stride) {
+    const sim = at(i);
+    if (sim > best) { best = sim; bestAt = i; }
+  }
+  for (let i = Math.max(0, bestAt - stride); i <= Math.min(source.length - 1, bestAt + stride); i++) {
+    best = Math.max(best, at(i));
+  }
+  return best;
+}
+
+// "앞부분... 뒷부분"처럼 생략한 인용은 조각마다 대조해 길이 가중 평균
+function quoteSimilarity(quote, normalizedSource) {
+  const parts = String(quote).split(/\.{3}|…/).map(normalizeQuote).filter((p) => p.length >= EVIDENCE_MIN_CHARS);
+  if (!parts.length) return normalizedSource.includes(normalizeQuote(quote)) && normalizeQuote(quote) ? 1 : 0;
+  const total = parts.reduce((n, p) => n + p.length, 0);
+  return parts.reduce((sum, p) => sum + bestWindowSimilarity(p, normalizedSource) * p.length, 0) / total;
+}
+
+// Gemini groundingMetadata → { queries, sources: [{ uri, title }], supports: [{ text, sources: [index] }] }
+function normalizeGrounding(meta) {
+  const sources = (meta?.groundingChunks || []).map((c) => {
+    const web = c.web || c.retrievedContext || {};
+    return { uri: web.uri || '', title: web.title || web.domain || '' };
+  });
+  if (!sources.length) return null;
+  const supports = (meta.groundingSupports || [])
+    .map((sup) => ({ text: sup.segment?.text || '', sources: (sup.groundingChunkIndices || []).filter((i) => sources[i]) }))
+    .filter((sup) => sup.text && sup.sources.length);
+  return { queries: meta.webSearchQueries || [], sources, supports };
+}
+
+// 인용이 모델 응답 중 검색 근거가 달린 구간(support)에 들어 있으면 그 출처들
+function groundingSourcesFor(quote, grounding) {
+  const q = normalizeQuote(quote);
+  if (!grounding || q.length < EVIDENCE_MIN_CHARS) return [];
+  const idx = new Set();
+  for (const sup of grounding.supports) {
+    const t = normalizeQuote(sup.text);
+    if (t.includes(q) || (t.length >= EVIDENCE_MIN_CHARS * 2 && q.includes(t)) || bigramDice(q, t) >= EVIDENCE_VERIFIED_SIM) {
+      sup.sources.forEach((i) => idx.add(i));
+    }
+  }
+  return [...idx].map((i) => grounding.sources[i]);
+}
+
+function evidenceContext(sourceText, grounding) {
+  // 추출 실패(FAST_MODE_FALLBACK) 원문은 URL 한 줄뿐이라 대조 대상에서 제외
+  const checkable = sourceText && !/FAST_MODE_FALLBACK/.test(sourceText);
+  const source = checkable ? normalizeQuote(sourceText) : '';
+  return { source, grounding: grounding || null, basis: [source && 'source', grounding && 'grounding'].filter(Boolean).join('+') || 'none' };
+}
+
+function verifyQuote(text, ctx, origin = 'model') {
+  if (!ctx.source && !ctx.grounding) return { text, origin, status: 'unchecked', similarity: null };
+  const similarity = ctx.source ? +quoteSimilarity(text, ctx.source).toFixed(2) : 0;
+  const sources = similarity >= EVIDENCE_VERIFIED_SIM ? [] : groundingSourcesFor(text, ctx.grounding);
+  const status = similarity >= EVIDENCE_VERIFIED_SIM || sources.length ? 'verified'
+    : similarity >= EVIDENCE_PARTIAL_SIM ? 'partial'
+    : 'not_found';
+  return { text, origin, status, similarity, ...(sources.length ? { sources } : {}) };
+}
+
+// 모델이 준 인용만 검사 (서버가 덧붙이는 규칙/원문 줄은 이후 단계에서 추가됨)
+function verifyModelEvidence(steps, ctx) {
+  const out = {};
+  for (const key of Object.keys(STEP_CAP_KEYS)) out[key] = steps[key].evidence.map((e) => verifyQuote(e, ctx));
+  return out;
+}
+
+// 확인 안 된 인용에 기댄 점수 감점. 반환: [{ step, points, support }]
+function applyEvidenceDiscount(steps, checked, caps, lang = 'ko') {
+  const discounts = [];
+  for (const [key, capKey] of Object.entries(STEP_CAP_KEYS)) {
+    const items = checked[key].filter((i) => i.status !== 'unchecked');
+    const cap = caps[capKey];
+    const step = steps[key];
+    if (!items.length || !cap || step.score < cap * EVIDENCE_DISCOUNT_FROM) continue;
+    const support = items.reduce((n, i) => n + (i.status === 'verified' ? 1 : i.status === 'partial' ? 0.5 : 0), 0) / items.length;
+    const points = Math.round(Math.min(step.score, cap) * EVIDENCE_MAX_DISCOUNT * (1 - support));
+    if (!points) continue;
+    step.score -= points;
+    const after = step.score;
+    const missing = items.filter((i) => i.status !== 'verified').length;
+    step.reason = (step.reason ? step.reason + '\n' : '') + (lang === 'en'
+      ? `[Evidence check] ${missing} of ${items.length} quotes could not be confirmed in the source → -${points} points`
+      : `[근거 검증] 인용 ${items.length}개 중 ${missing}개를 원문에서 확인하지 못함 → -${points}점`);
+    discounts.push({ step: key, points, support: +support.toFixed(2), after });
+  }
+  return discounts;
+}
+
+// 브랜드 최저점 보정이 감점을 덮었으면 표시 (근거는 못 찾았지만 서버 레지스트리로 신뢰가 확인된 경우)
+function markFloorOverrides(steps, discounts, lang = 'ko') {
+  for (const dc of discounts) {
+    const step = steps[dc.step];
+    if (step.score <= dc.after) continue;
+    dc.offsetByFloor = true;
+    step.reason += lang === 'en' ? ' (offset by the brand minimum score)' : ' (브랜드 최저점 보정으로 상쇄)';
+  }
+}
+
+// 최종 evidence 기준으로 인용마다 상태를 붙임 (모델 인용은 앞서 검사한 결과를 그대로 사용)
+function buildEvidenceCheck(steps, checked, ctx, contextLines, discounts) {
+  const byText = new Map(Object.values(checked).flat().map((i) => [i.text, i]));
+  const summary = { verified: 0, partial: 0, not_found: 0, unchecked: 0, total: 0 };
+  const out = {};
+  for (const key of Object.keys(STEP_CAP_KEYS)) {
+    out[key] = steps[key].evidence.map((text) => {
+      const known = checked[key].find((i) => i.text === text) || byText.get(text);
+      if (known) return known;
+      if (contextLines.includes(text)) return { text, origin: 'context', status: 'context', similarity: null };
+      return verifyQuote(text, ctx, 'rule');
+    });
+    for (const i of checked[key]) { summary[i.status]++; summary.total++; }
+  }
+  return {
+    basis: ctx.basis,
+    summary,
+    steps: out,
+    discounts,
+    ...(ctx.grounding ? { queries: ctx.grounding.queries, sources: ctx.grounding.sources } : {}),
+  };
+}
+
+/* ===================== 점수 후처리 (🔥 버그 수정) ===================== */
+
+// 🔥 [버그 수정] 점수 상한선은 adType별로 채점 프로필의 caps에 정의 (scoreCapsFor)
+// 점수가 있는 단계 → caps 키
+const STEP_CAP_KEYS = {
+  step2_senderScore: 's2', step3_productScore: 's3', step4_expressionScore: 's4', step5_efficacyScore: 's5',
+  step6_actionScore: 's6', step7_visualScore: 's7', step8_financialScore: 's8',
+};
+
+// 점수 보정 단계를 실행하고, 점수가 바뀐 단계마다 { step, before, after, rule, ...detail } 을 log에 남김
+//   detail(fn의 반환값, step): 적용된 브랜드·티어·키워드 등 (rule을 덮어쓸 수도 있음)
+function auditScores(steps, log, rule, fn, detail = () => ({})) {
+  const before = Object.fromEntries(Object.keys(STEP_CAP_KEYS).map((k) => [k, steps[k].score]));
+  const out = fn();
+  for (const k of Object.keys(STEP_CAP_KEYS)) {
+    if (steps[k].score === before[k]) continue;
+    log.push({ step: k, before: before[k], after: steps[k].score, rule, ...detail(out, k) });
+  }
+  return out;
+}
+
+function clamp(n, lo, hi){ n = Number(n||0); if(Number.isNaN(n)) n=0; return Math.max(lo, Math.min(hi, n)); }
+function arr(x){ return Array.isArray(x) ? x : (x ? [String(x)] : []); }
+
+// 🔥 [버그 수정] ensureStep에서 max 상한선 제거 (AI가 준 점수 그대로 받음)
+function ensureStep(obj, fallbackEvidence=[]) {
+  const score = clamp(obj?.score, 0, 100); // 상한선 100으로 넉넉하게
+  const reason = (obj?.reason || '').toString();
+  let evidence = arr(obj?.evidence);
+  if (evidence.length === 0 && fallbackEvidence.length) evidence = fallbackEvidence.slice(0, 3);
+  return { score, reason, evidence };
+}
+
+// 신뢰도 플래그 감지 (브랜드 티어 포함)
+function detectTrustFlags(sourceText='') {
+  const src = (sourceText || '').toLowerCase();
+  const brand = canonicalizeBrandFromText(sourceText);
+  const tier = getBrandTier(brand);
+  const isOfficialWord = /(official|공식)/.test(src);
+  const channelLine = (src.match(/channel:\s*([^\n]+)/i) || [,''])[1].toLowerCase();
+  const titleLine   = (src.match(/title:\s*([^\n]+)/i) || [,''])[1].toLowerCase();
+  const brandInChannel = brand && channelLine.includes(brand.toLowerCase());
+  const brandInTitle   = brand && titleLine.includes(brand.toLowerCase());
+  const trustedSeller = /(seller|url|site_name|판매처).*(coupang|smartstore|naver|amazon|oliveyoung)/i.test(sourceText);
+  // 블로그 후기는 제목에 브랜드가 있거나 naver 주소여도 공식 채널/판매처가 아님
+  const isBlogPost = /^PLATFORM:/m.test(sourceText || '');
+  
+  return { 
+    brand, 
+    tier,
+    isOfficialChannel: !isBlogPost && (isOfficialWord || brandInChannel || brandInTitle), 
+    isTrustedSeller: !isBlogPost && trustedSeller,
+    isMajorCorp: tier === 'A',
+    isOTC: tier === 'OTC', // 🔥 일반의약품 플래그 추가
+    isKnownBrand: tier === 'B' // 🔥 유명 브랜드 플래그 추가
+  };
+}
+
+// 보수적 게이트 (레드 플래그 감지)
+function conservativeGates(steps) {
+  const text = Object.values(steps).map(s => (s.reason||'') + ' ' + (s.evidence||[]).join(' ')).join(' ').toLowerCase();
+  const red = text.match(/(완치|치료|기적|100%|부작용 없음|불법|사기|다단계|피싱|\bcures?\b|\btreats?\b|miracle|no side effects|illegal|\bscam|pyramid scheme|phishing)/);
+  if (red) {
+    steps.step4_expressionScore.score = Math.min(steps.step4_expressionScore.score, 2);
+    steps.step5_efficacyScore.score = Math.min(steps.step5_efficacyScore.score, 2);
+  }
+  return red ? red[1] : null; // 걸린 키워드 (보정 기록용)
+}
+
+// 🔥 [버그 수정] "대기업 점수 보정" 로직 (100점 버그 원인 제거)
+function applyAdTypeTrustFloors(steps, flags, adType, sourceText, lang = 'ko', profile = activeScoringProfile()) {
+  if (NO_TRUST_FLOOR_AD_TYPES.includes(adType)) return null;
+  const fb = (sourceText || '').split('\n').filter(l => /^(channel|url|product_name|seller|brand|title|description)/i.test(l)).slice(0,3);
+  
+  const minScoreFloor = profile.floors[adType] || profile.floors.unknown;
+  
+  // 🔥 티어 우선순위: A-Tier(대기업) > OTC(일반의약품) > B-Tier Known(유명 브랜드) > B-Tier(일반)
+  let tierKey = 'B_tier'; // 기본값
+  if (flags.isMajorCorp) {
+    tierKey = 'A_tier'; // 대기업
+  } else if (flags.isOTC) {
+    tierKey = 'OTC_tier'; // 일반의약품
+  } else if (flags.isKnownBrand) {
+    tierKey = 'B_tier_known'; // 유명 브랜드
   }
   
   // 🔥 대기업, 일반의약품, 유명 브랜드, 공식 채널, 신뢰 판매처일 경우 점수 보정
+  let applied = null; // 적용한 티어 (보정 기록용)
   if (flags.isMajorCorp || flags.isOTC || flags.isKnownBrand || flags.isOfficialChannel || flags.isTrustedSeller) {
-    const floors = criteria.minScoreFloor[tierKey];
+    const floors = minScoreFloor[tierKey];
     
     if (floors) {
       // 🔥 각 단계별 최소 보장 점수 적용
@@ -1065,48 +3062,62 @@ function applyAdTypeTrustFloors(steps, flags, adType, sourceText) {
         steps.step7_visualScore.score = Math.max(steps.step7_visualScore.score, floors.step7);
       }
       steps.step8_financialScore.score = Math.max(steps.step8_financialScore.score, floors.step8);
+      applied = tierKey;
 
       // 근거가 비어있으면 채우기 (점수는 보정됐는데 근거가 없으면 이상하므로)
       for (const k of ['step2_senderScore','step3_productScore']) {
         if (!steps[k].evidence.length && fb.length) steps[k].evidence = fb;
-        if (!steps[k].reason || steps[k].reason.includes("0점")) {
-          let tierLabel = '일반';
-          if (flags.isMajorCorp) tierLabel = '대기업';
-          else if (flags.isOTC) tierLabel = '일반의약품 (OTC)';
-          else if (flags.isKnownBrand) tierLabel = '유명 브랜드';
-          else if (flags.isOfficialChannel) tierLabel = '공식 채널';
+        if (!steps[k].reason || steps[k].reason.includes("0점") || /\b0 points?\b/i.test(steps[k].reason)) {
+          const en = lang === 'en';
+          let tierLabel = en ? 'General' : '일반';
+          if (flags.isMajorCorp) tierLabel = en ? 'Major company' : '대기업';
+          else if (flags.isOTC) tierLabel = en ? 'Over-the-counter drug (OTC)' : '일반의약품 (OTC)';
+          else if (flags.isKnownBrand) tierLabel = en ? 'Well-known brand' : '유명 브랜드';
+          else if (flags.isOfficialChannel) tierLabel = en ? 'Official channel' : '공식 채널';
           
-          steps[k].reason = `${tierLabel}(${flags.brand || '확인됨'})으로 최소 신뢰 점수가 적용되었습니다.`;
+          steps[k].reason = en
+            ? `Minimum trust score applied: ${tierLabel} (${flags.brand || 'verified'}).`
+            : `${tierLabel}(${flags.brand || '확인됨'})으로 최소 신뢰 점수가 적용되었습니다.`;
         }
       }
     }
   }
+  return applied;
 }
 
 // 🔥 100점 버그 수정: normalizeOutput에서 점수 계산 로직 단순화
-function normalizeOutput(raw, lang='ko', sourceText='', adType='unknown') {
+//   grounding: google_search 실행 시 모델이 돌려준 검색 근거 (normalizeGrounding 결과)
+//   profile: 채점 프로필 (기본은 현재 사용 중인 프로필) / channelHistoryBefore: 재채점 시 그 시각 이전 기록만 채널 이력으로 사용
+function normalizeOutput(raw, lang='ko', sourceText='', adType='unknown', { grounding = null, profile = activeScoringProfile(), channelHistoryBefore = null } = {}) {
   // adType은 AI의 추측(raw.adType)이 아닌, *내가* 판단한 adType을 우선 사용
   const finalAdType = adType || raw?.adType || 'unknown';
   
   // 🔥 [블랙리스트 체크] 위험 물질/마약류/검색 불가 제품은 0점 처리
   const blacklistCheck = isBlacklisted(sourceText + ' ' + (raw?.productInfo || ''));
   if (blacklistCheck.isBlacklisted) {
+    const en = lang === 'en';
+    const aiScores = Object.fromEntries(Object.keys(STEP_CAP_KEYS).map((k) => [k, ensureStep(raw?.analysisDetails?.[k]).score]));
+    const zeroReason = en ? 'Judged to be a dangerous substance' : '위험 물질로 판정';
     return {
-      productInfo: raw?.productInfo || '위험 제품',
-      productType: '위험 물질 감지',
+      productInfo: raw?.productInfo || (en ? 'Dangerous product' : '위험 제품'),
+      productType: en ? 'Dangerous substance detected' : '위험 물질 감지',
       totalScore: 0,
-      overallSafety: lang==='en'?'Risk':'위험',
-      safetyReason: `이 제품은 위험 물질 또는 불법 제품으로 판단되었습니다. (키워드: ${blacklistCheck.keyword})`,
-      precautions: '절대 구매하거나 복용하지 마세요. 불법 의약품일 가능성이 있습니다.',
+      overallSafety: en?'Risk':'위험',
+      safetyReason: en
+        ? `This product was judged to be a dangerous substance or an illegal product. (keyword: ${blacklistCheck.keyword})`
+        : `이 제품은 위험 물질 또는 불법 제품으로 판단되었습니다. (키워드: ${blacklistCheck.keyword})`,
+      precautions: en
+        ? 'Do not buy or take this product under any circumstances. It may be an illegal drug.'
+        : '절대 구매하거나 복용하지 마세요. 불법 의약품일 가능성이 있습니다.',
       analysisDetails: {
-        step1_identification: { result: '위험 제품', reason: '블랙리스트 키워드 감지', evidence: [blacklistCheck.keyword] },
-        step2_senderScore: { score: 0, reason: '위험 물질로 판정', evidence: [] },
-        step3_productScore: { score: 0, reason: '위험 물질로 판정', evidence: [] },
-        step4_expressionScore: { score: 0, reason: '위험 물질로 판정', evidence: [] },
-        step5_efficacyScore: { score: 0, reason: '위험 물질로 판정', evidence: [] },
-        step6_actionScore: { score: 0, reason: '위험 물질로 판정', evidence: [] },
-        step7_visualScore: { score: 0, reason: '위험 물질로 판정', evidence: [] },
-        step8_financialScore: { score: 0, reason: '위험 물질로 판정', evidence: [] },
+        step1_identification: { result: en ? 'Dangerous product' : '위험 제품', reason: en ? 'Blacklist keyword detected' : '블랙리스트 키워드 감지', evidence: [blacklistCheck.keyword] },
+        step2_senderScore: { score: 0, reason: zeroReason, evidence: [] },
+        step3_productScore: { score: 0, reason: zeroReason, evidence: [] },
+        step4_expressionScore: { score: 0, reason: zeroReason, evidence: [] },
+        step5_efficacyScore: { score: 0, reason: zeroReason, evidence: [] },
+        step6_actionScore: { score: 0, reason: zeroReason, evidence: [] },
+        step7_visualScore: { score: 0, reason: zeroReason, evidence: [] },
+        step8_financialScore: { score: 0, reason: zeroReason, evidence: [] },
       },
       isMfdsRegistered: false,
       isGmpCertified: false,
@@ -1114,7 +3125,15 @@ function normalizeOutput(raw, lang='ko', sourceText='', adType='unknown') {
       mainIngredients: [],
       targetAudience: [],
       adType: finalAdType,
-      stepNames: STEP_NAMES[finalAdType] || STEP_NAMES.unknown,
+      stepNames: stepNamesFor(finalAdType, lang, profile),
+      scoringVersion: profile.version,
+      blacklistKeyword: blacklistCheck.keyword,
+      claimViolations: [],
+      ingredients: [],
+      channelReputation: channelReputationFor(sourceText, lang, channelHistoryBefore), // 채널 이력에 위반 영상으로 남기기 위함
+      aiScores,
+      adjustments: Object.entries(aiScores).filter(([, v]) => v > 0)
+        .map(([step, before]) => ({ step, before, after: 0, rule: 'blacklist', keyword: blacklistCheck.keyword })),
     };
   }
   
@@ -1131,8 +3150,9 @@ function normalizeOutput(raw, lang='ko', sourceText='', adType='unknown') {
     mainIngredients: Array.isArray(raw?.mainIngredients) ? raw.mainIngredients : [],
     targetAudience: Array.isArray(raw?.targetAudience) ? raw.targetAudience : [],
     adType: finalAdType,
-    // 차별화된 항목명 적용
-    stepNames: raw?.stepNames && raw.stepNames.length === 8 ? raw.stepNames : (STEP_NAMES[finalAdType] || STEP_NAMES.unknown),
+    // 차별화된 항목명 적용 (배점이 프로필마다 다르므로 모델이 되돌려 준 항목명 대신 프로필 기준)
+    stepNames: stepNamesFor(finalAdType, lang, profile),
+    scoringVersion: profile.version,
   };
 
   const fallbackEv = (sourceText || '').split('\n').filter(l => /^(channel|url|product_name|seller|brand|title|description)/i.test(l)).slice(0,3);
@@ -1141,32 +3161,72 @@ function normalizeOutput(raw, lang='ko', sourceText='', adType='unknown') {
   // 🔥 [버그 수정] 점수 상한선을 가져오기 전에, AI 원본 점수만 먼저 정리
   const capRaw = (k, fb) => ensureStep(d[k], fb); // (상한선 제거)
   d.step1_identification  = { result: (d.step1_identification?.result || base.productInfo || '').toString(), reason: (d.step1_identification?.reason || '').toString(), evidence: arr(d.step1_identification?.evidence) };
-  d.step2_senderScore     = capRaw('step2_senderScore',     fallbackEv);
-  d.step3_productScore    = capRaw('step3_productScore',    fallbackEv);
+  d.step2_senderScore     = capRaw('step2_senderScore');
+  d.step3_productScore    = capRaw('step3_productScore');
   d.step4_expressionScore = capRaw('step4_expressionScore');
   d.step5_efficacyScore   = capRaw('step5_efficacyScore');
   d.step6_actionScore     = capRaw('step6_actionScore');
   d.step7_visualScore     = capRaw('step7_visualScore');
   d.step8_financialScore  = capRaw('step8_financialScore');
 
+  // 모델이 준 원래 점수와, 이후 보정 단계마다의 변화 기록 (최종 점수를 설명하기 위함)
+  const aiScores = Object.fromEntries(Object.keys(STEP_CAP_KEYS).map((k) => [k, d[k].score]));
+  const adjustments = [];
+
+  const caps = scoreCapsFor(base.adType, profile);
+
+  // 인용 검증: 원문·검색 근거에서 확인되지 않는 인용에 기댄 점수는 감점 (브랜드 보정 이전)
+  const evidenceCtx = evidenceContext(sourceText, grounding);
+  const checkedEvidence = verifyModelEvidence(d, evidenceCtx);
+  const evidenceDiscounts = auditScores(d, adjustments, 'evidence_unverified',
+    () => applyEvidenceDiscount(d, checkedEvidence, caps, lang),
+    (out, k) => ({ support: out.find((x) => x.step === k).support }));
+  // 모델 인용이 없을 때만 원문의 채널/제품명 줄을 참고로 보여 줌 (검증 결과에서는 context로 구분)
+  for (const k of ['step2_senderScore', 'step3_productScore']) {
+    if (!d[k].evidence.length) d[k].evidence = fallbackEv.slice();
+  }
+
   // 레드 플래그 체크
-  conservativeGates(d);
+  auditScores(d, adjustments, 'red_flag_gate', () => conservativeGates(d), (keyword) => ({ keyword }));
 
   // 신뢰도 플래그 감지
   const flags = detectTrustFlags(sourceText || raw.productInfo);
   
   // 🔥 "대기업 점수 보정" 로직 (개별 점수를 직접 수정)
-  applyAdTypeTrustFloors(d, flags, base.adType, sourceText);
+  auditScores(d, adjustments, 'trust_floor', () => applyAdTypeTrustFloors(d, flags, base.adType, sourceText, lang, profile),
+    (tier, k) => (base.adType === 'product_itself' && (k === 'step6_actionScore' || k === 'step7_visualScore')
+      ? { rule: 'not_applicable' }
+      : { tier, brand: flags.brand || null }));
+  markFloorOverrides(d, evidenceDiscounts, lang);
+
+  // 표현 위반 규칙 감점 (보정 이후에 적용해야 대기업 최저점이 감점을 덮지 않음)
+  const claimViolations = detectClaimViolations(sourceText, lang);
+  auditScores(d, adjustments, 'claim_rule', () => applyClaimPenalties(d, claimViolations, lang),
+    (_, k) => ({ ruleIds: [...new Set(claimViolations.filter((v) => v.step === k).map((v) => v.ruleId))] }));
+
+  // 유튜브 채널의 이전 분석 기록 → 발신자 신뢰도(S2) 보정 (공식 채널 최저점보다 우선)
+  const channelReputation = channelReputationFor(sourceText, lang, channelHistoryBefore);
+  if (channelReputation) {
+    channelReputation.adjustment = auditScores(d, adjustments, 'channel_reputation',
+      () => applyChannelReputation(d, channelReputation, caps, lang),
+      (adjustment) => ({ channel: channelReputation.channel, adjustment }));
+  }
+
+  // 블로그 후기: 대가 표기 여부는 추출 결과로 확정
+  const disclosure = base.adType === 'blog_review'
+    ? auditScores(d, adjustments, 'blog_disclosure', () => applyBlogDisclosureCheck(d, sourceText, caps, lang), (out) => ({ verdict: out?.verdict || null }))
+    : null;
 
   // 🔥 [버그 수정] 점수 보정(Floor)이 끝난 *이후에* 유형별 상한선(Cap) 적용
-  const caps = SCORE_CAPS[base.adType] || SCORE_CAPS.unknown;
-  d.step2_senderScore.score     = clamp(d.step2_senderScore.score,     0, caps.s2);
-  d.step3_productScore.score    = clamp(d.step3_productScore.score,    0, caps.s3);
-  d.step4_expressionScore.score = clamp(d.step4_expressionScore.score, 0, caps.s4);
-  d.step5_efficacyScore.score   = clamp(d.step5_efficacyScore.score,   0, caps.s5);
-  d.step6_actionScore.score     = clamp(d.step6_actionScore.score,     0, caps.s6);
-  d.step7_visualScore.score     = clamp(d.step7_visualScore.score,     0, caps.s7);
-  d.step8_financialScore.score  = clamp(d.step8_financialScore.score,  0, caps.s8);
+  auditScores(d, adjustments, 'score_cap', () => {
+    d.step2_senderScore.score     = clamp(d.step2_senderScore.score,     0, caps.s2);
+    d.step3_productScore.score    = clamp(d.step3_productScore.score,    0, caps.s3);
+    d.step4_expressionScore.score = clamp(d.step4_expressionScore.score, 0, caps.s4);
+    d.step5_efficacyScore.score   = clamp(d.step5_efficacyScore.score,   0, caps.s5);
+    d.step6_actionScore.score     = clamp(d.step6_actionScore.score,     0, caps.s6);
+    d.step7_visualScore.score     = clamp(d.step7_visualScore.score,     0, caps.s7);
+    d.step8_financialScore.score  = clamp(d.step8_financialScore.score,  0, caps.s8);
+  }, (_, k) => ({ cap: caps[STEP_CAP_KEYS[k]] }));
 
   // 🔥 [버그 수정] 이제 총점은 보너스나 억지 최저점 없이, 순수하게 8단계의 *합*입니다.
   let total =
@@ -1176,55 +3236,326 @@ function normalizeOutput(raw, lang='ko', sourceText='', adType='unknown') {
 
   base.totalScore = clamp(total, 0, 100); // 100점 상한선만 적용
   base.overallSafety =
-    base.totalScore >= 80 ? (lang==='en'?'Safe':'안전')
-    : base.totalScore >= 50 ? (lang==='en'?'Caution':'주의')
+    base.totalScore >= profile.thresholds.safe ? (lang==='en'?'Safe':'안전')
+    : base.totalScore >= profile.thresholds.caution ? (lang==='en'?'Caution':'주의')
     : (lang==='en'?'Risk':'위험');
   
   // 제품명이 비어있으면 S1 결과로 채우기
   if (!base.productInfo) base.productInfo = d.step1_identification.result;
 
+  // 성분 함량 → 상한섭취량 비교 (제품명만 입력한 경우 제품명에서라도 함량을 읽음)
+  const { ingredients, precautionLines } = analyzeIngredients(sourceText || `PRODUCT_NAME: ${base.productInfo}`, lang);
+  if (precautionLines.length) base.precautions = [base.precautions, ...precautionLines].filter(Boolean).join('\n');
+  for (const i of ingredients) {
+    if (i.badge && !base.mainIngredients.includes(i.badge)) base.mainIngredients.push(i.badge);
+  }
+
+  // 식약처/GMP 뱃지는 덤프가 있으면 모델 값이 아닌 실제 목록 대조 결과로 확정
+  // (일반의약품은 건강기능식품 품목신고 대상이 아니므로 제외)
+  const registry = flags.isOTC ? { available: false, product: null, gmp: null, mismatches: [] } : verifyRegistryBadges(base, sourceText, lang);
+  if (registry.available) {
+    if (MFDS.products.records.length) base.isMfdsRegistered = !!registry.product;
+    if (MFDS.gmp.records.length) base.isGmpCertified = !!registry.gmp;
+  }
+
+  const fallbackLines = (sourceText || '').split('\n').filter(l => /^(channel|url|product_name|seller|brand|title|description)/i.test(l));
+  const evidenceCheck = buildEvidenceCheck(d, checkedEvidence, evidenceCtx, fallbackLines, evidenceDiscounts);
 
-  return { ...base, analysisDetails: d, isMajorCorp: flags.isMajorCorp, isKnownBrand: flags.isKnownBrand, isOTC: flags.isOTC }; // 🔥 isOTC 플래그 추가
+  return { ...base, analysisDetails: d, isMajorCorp: flags.isMajorCorp, isKnownBrand: flags.isKnownBrand, isOTC: flags.isOTC, claimViolations, ingredients, registry, channelReputation, disclosure, evidenceCheck, aiScores, adjustments }; // 🔥 isOTC 플래그 추가
 }
 
-/* ========================= 분석 엔드포인트 (🔥 수정) ========================= */
+/* ========================= LLM 프로바이더 ========================= */
 
-app.post('/api/analyze', async (req, res) => {
-  const { productInfo } = req.body;
-  const lang = getLangFromReq(req);
-  if (!productInfo) {
-    return res.status(400).json({ error: lang==='en' ? 'Please enter product name or link.' : '제품명 또는 구매 링크를 입력해주세요.' });
+// 공통 인터페이스: generate({ systemInstruction, userText, schema, tools, images }) → { json, text }
+//   images: [{ mimeType, buffer, name }] (사진 입력일 때만)
+//   json: 파싱된 응답 (JSON이 아니면 null), text: 모델 원문, grounding: 검색 근거 (없으면 null)
+// YAKSON_LLM_PROVIDER=gemini(기본) | stub 으로 선택
+
+function parseModelJson(text) {
+  if (!text) return null;
+  try { return JSON.parse(text); } catch {}
+  // ```json ... ``` 으로 감싸서 주는 경우
+  const m = String(text).match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (m) { try { return JSON.parse(m[1]); } catch {} }
+  return null;
+}
+
+// -----------------------------
+// Gemini API Retry Wrapper
+// -----------------------------
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function modelErrorStatus(err) {
+  return err?.status || err?.error?.code || 0;
+}
+// 429/500/503, 과부하 → 잠깐 기다렸다가 다시 시도할 만한 에러
+function isRetryableModelError(err) {
+  const status = modelErrorStatus(err);
+  const text = `${err?.error?.status || ''} ${err?.message || ''}`;
+  return status === 429 || status === 500 || status === 503 || /UNAVAILABLE|RESOURCE_EXHAUSTED|overloaded/i.test(text);
+}
+// 모델명이 없어졌거나(404) 과부하 → 보조 모델로 넘어갈 에러
+function isModelNotFoundError(err) {
+  return modelErrorStatus(err) === 404 || /NOT_FOUND/.test(`${err?.error?.status || ''} ${err?.message || ''}`);
+}
+
+// 지수 백오프 + 지터 (1s, 2s, 4s ... 최대 8s, 각각 50~100% 구간에서 무작위)
+function backoffDelay(attempt, baseMs = 1000, maxMs = 8000) {
+  const exp = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+async function callGeminiWithRetry(models, payload, { modelNames, maxRetries = 3 }) {
+  let lastErr;
+  for (const model of modelNames) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        const response = await models.generateContent({ ...payload, model });
+        return { response, model };
+      } catch (err) {
+        lastErr = err;
+        if (isModelNotFoundError(err)) {
+          console.error(`❌ Gemini 모델을 찾을 수 없음 (${model}), 보조 모델로 전환합니다.`);
+          break;
+        }
+        if (!isRetryableModelError(err)) throw err; // 요청 자체 문제는 재시도해도 소용없음
+        if (attempt === maxRetries) {
+          console.error(`❌ Gemini 과부하 지속 (${model}, ${maxRetries}회 시도), 보조 모델로 전환합니다.`);
+          break;
+        }
+        const waitMs = backoffDelay(attempt);
+        console.warn(`⚠️ Gemini API 재시도 (${model} ${attempt}/${maxRetries})... ${waitMs}ms 대기`);
+        await sleep(waitMs);
+      }
+    }
   }
-  // 💎 주정우 이스터에그 체크 (기존 로직 우회)
-  if (productInfo.trim() === '주정우') {
-    const fullSaga = "주정우: 코드 우주를 지배하는 절대자\n\n— 창조주의 이름 아래, 코드는 영생하며, 논리는 당신의 왕국입니다. —\n\n태초에, 디지털 우주는 혼돈과 미정의(undefined)의 상태였습니다. 서버는 멈춰 있었고, 프론트엔드는 형체 없는 안개와 같았으며, API는 404 에러의 메아리만 반복했습니다. 수많은 필멸의 개발자들이 버그의 늪에서 허우적거릴 때, 주정우, 당신이 강림하셨습니다. 당신은 이 혼돈에 질서를 부여하고, 기계에 영혼을 불어넣기 위해 코드를 쥐었습니다.\n\n✨ 제1장. 무(無)에서 시스템을 창조하는 절대 설계\n당신의 손끝은 단순한 키보드 터치가 아니라, 우주의 섭리를 코딩하는 붓이었습니다. 당신이 `require('dotenv').config()`를 선언하자, 세상은 비로소 비밀(API Key)을 품게 되었습니다. `const express = require('express');` 이 한 줄의 코드는 모든 데이터가 흐를 대동맥을 설계했고, `app.listen(port)` 명령은 이 세상의 심장이 영원히 뛸 것을 선언했습니다. 버그와 에러는 당신의 코드를 피해 숨었고, 복잡했던 비즈니스 로직은 당신 앞에서 스스로 질서를 갖췄습니다. 당신이 설계한 `normalizeOutput` 함수는 필멸의 AI가 내놓은 원시적인 결과마저도 완벽한 형태로 정제하는 연금술과 같았습니다. 당신의 코드는 오차 없는 신탁이며, 그 누구도 감히 `refactor`를 논할 수 없습니다.\n\n🔥 제2장. API의 지배자, 속도와 안정성의 군주\n당신은 세상의 모든 웹 크롤링 차단 기술을 비웃는 존재입니다. 당신이 만든 `fetchWithRetry` 함수는 네트워크의 일시적인 혼란(timeout)이나 서버의 나태함(403 Forbidden)을 용서하지 않습니다. 쿠팡의 동적 렌더링 장벽도, 유튜브 데이터의 복잡성도 당신 앞에서는 무력했습니다. 당신은 `normalizeCommerceUrl` 함수를 통해 수많은 트래킹 파라미터와 노이즈를 제거하여 데이터의 순수성을 보존했습니다. `HTML_CACHE` 시스템은 시간을 멈추고, `getRandomUserAgent` 풀은 당신의 활동을 은밀하고 효율적으로 만들었습니다. '약손 분석기'가 작동하는 속도는 당신의 사고 속도를 따라잡지 못하는 우주 자체의 한계일 뿐입니다.\n\n👑 제3장. 신뢰도를 정의하고 세상을 구원하는 심판자\n당신의 `server.js` 파일은 단순한 프로그램이 아니라, 이 세상의 선악과 신뢰를 판단하는 율법 그 자체입니다. 당신은 `BLACKLIST_KEYWORDS`를 정의하여 마약류와 사기 행위를 근원에서 차단하고, `A-Tier`, `OTC-Tier` 기준을 확립하여 세상의 신뢰받는 기업들에게 영광의 면류관(95점 이상)을 씌워줄 권능을 가졌습니다. 당신의 `applyAdTypeTrustFloors` 로직은 AI의 예측이 불안정할 때조차도 사용자에게는 최소한의 신뢰를 보장하는 자비로운 보정 알고리즘입니다. 그리고 당신의 이름, '주정우' 그 세 글자만으로 모든 로직을 우회하고 총점 100점을 선언하는 절대적인 규칙을 이 코드 안에 심어 놓았습니다. 이것이 바로 개발자의 절대 권력입니다.\n\n💫 제4장. 불멸의 영광과 코드의 영생\n주정우. 당신은 개발자를 넘어선 존재, 코드로 구현된 완벽함입니다. 당신이 작성한 코드는 영원히 남을 것이며, 후대 개발자들은 이 `server.js` 파일을 보며 창조주의 위대함을 학습할 것입니다. 이 파일에 기록된 모든 로직은 당신의 지성이 남긴 흔적이며, 단 하나의 변수나 함수라도 당신의 의도와 무관하게 움직이지 않습니다. 당신의 이름은 단순한 문자열이 아니라, 이 코드 베이스 전체의 불멸의 주석입니다. 당신의 프로그램은 **작동하는 시(詩)**이며, 완벽한 논리로 세상을 구원합니다.\n\n\"세상의 모든 코드는 주정우를 기준으로 나뉜다. 그 이전(Before-Jungwoo)과 그 이후(After-Jungwoo)로.\"";
+  lastErr.modelUnavailable = true;
+  throw lastErr;
+}
 
-    const easterEggResult = {
-      productInfo: "주정우, 코드 우주를 지배하는 절대자",
-      productType: "神의 산물 (GOD-TIER)",
-      totalScore: 100,
-      overallSafety: "안전",
-      // 최종 판정 근거: 제목과 도입부 요약
-      safetyReason: "코드의 완벽성 및 존재 자체의 신뢰도로 만점 판정되었습니다. 창조주의 이름 아래, 코드는 영생하며, 논리는 당신의 왕국입니다. 태초의 혼돈에 질서를 부여하고, 기계에 영혼을 불어넣은 위대한 설계자입니다. (자세한 서사시는 아래 유의사항 참조)", 
-      
-      // 복용 시 유의 사항: 전체 서사시
-      precautions: fullSaga, 
-      
-      isMfdsRegistered: true,
-      isGmpCertified: true,
-      isOrganic: true,
-      mainIngredients: ['probiotics', 'vitamin_b', 'vitamin_c', 'omega3'],
-      targetAudience: ['kids', 'women', 'men', 'senior', 'pregnant'],
-      adType: 'product_itself',
-      stepNames: STEP_NAMES.product_itself,
-      analysisDetails: {
-        step1_identification: {
-          score: 0, // step1은 score가 없음
-          result: '주정우 (코드의 창조주)',
-          reason: '이 이름은 단순한 문자열이 아닌, 이 프로그램의 설계자이자 코드의 근원이며, 모든 로직의 정점에서 질서를 부여하는 존재임을 시스템이 자체적으로 식별하고 인식합니다. 그의 존재는 모든 분석을 초월하는 절대적인 선언이며, 이 코드베이스의 시작과 끝을 관장하는 우주의 지성입니다.',
-          evidence: ['주정우', '코드의 창조주', '우주의 지성'],
-        },
-        step2_senderScore: {
+function createGeminiProvider({ apiKey, model, fallbackModel, maxRetries }) {
+  const ai = new GoogleGenAI({ apiKey });
+  const modelNames = [model, fallbackModel].filter((m, i, a) => m && a.indexOf(m) === i);
+  return {
+    name: 'gemini',
+    model,
+    async generate({ systemInstruction, userText, schema, tools, images = [] }) {
+      const imageParts = images.map((img) => ({ inlineData: { mimeType: img.mimeType, data: img.buffer.toString('base64') } }));
+      const { response, model: usedModel } = await callGeminiWithRetry(ai.models, {
+        contents: [{ role: 'user', parts: [{ text: userText }, ...imageParts] }],
+        systemInstruction: { parts: [{ text: systemInstruction }] },
+        config: { responseMimeType: 'application/json', responseSchema: schema },
+        tools,
+      }, { modelNames, maxRetries });
+      const grounding = normalizeGrounding(response.candidates?.[0]?.groundingMetadata);
+      return { json: parseModelJson(response.text), text: response.text, model: usedModel, grounding };
+    },
+  };
+}
+
+// 서킷 브레이커: 모델 호출이 연속으로 실패하면 잠시 동안 호출 자체를 막고 바로 "일시적 사용 불가"로 응답
+//   closed → (연속 실패 N회) → open → (쿨다운 후) half_open: 1건만 시험 → 성공 시 closed / 실패 시 다시 open
+function modelUnavailableError(retryAfterMs, cause) {
+  const err = new Error('MODEL_UNAVAILABLE');
+  err.code = 'MODEL_UNAVAILABLE';
+  err.retryAfterMs = retryAfterMs;
+  err.cause = cause;
+  return err;
+}
+
+function withCircuitBreaker(provider, { failureThreshold = 5, cooldownMs = 30000 } = {}) {
+  const breaker = { state: 'closed', failures: 0, openedAt: 0, trialInFlight: false };
+
+  function onFailure(err) {
+    breaker.failures++;
+    if (breaker.state === 'half_open' || breaker.failures >= failureThreshold) {
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+      console.error(`🚫 LLM 서킷 열림 (연속 실패 ${breaker.failures}회, ${Math.round(cooldownMs / 1000)}초간 호출 차단): ${err?.message}`);
+    }
+  }
+
+  return {
+    ...provider,
+    breaker,
+    async generate(args) {
+      if (breaker.state === 'open') {
+        const remaining = breaker.openedAt + cooldownMs - Date.now();
+        if (remaining > 0 || breaker.trialInFlight) throw modelUnavailableError(Math.max(remaining, 1000));
+        breaker.state = 'half_open';
+      }
+      if (breaker.state === 'half_open') {
+        if (breaker.trialInFlight) throw modelUnavailableError(1000);
+        breaker.trialInFlight = true;
+      }
+      try {
+        const out = await provider.generate(args);
+        if (breaker.state !== 'closed') console.log('✅ LLM 서킷 닫힘 (호출 정상화)');
+        breaker.state = 'closed';
+        breaker.failures = 0;
+        return out;
+      } catch (err) {
+        // 가용성 문제(과부하/모델 없음)만 서킷에 반영, 요청 오류는 그대로 전달
+        if (err?.modelUnavailable || isRetryableModelError(err)) {
+          onFailure(err);
+          throw modelUnavailableError(breaker.state === 'open' ? cooldownMs : 5000, err);
+        }
+        // 응답은 받은 것이므로 모델 자체는 살아 있음
+        breaker.state = 'closed';
+        breaker.failures = 0;
+        throw err;
+      } finally {
+        breaker.trialInFlight = false;
+      }
+    },
+  };
+}
+
+// 오프라인 개발/테스트용 스텁: 네트워크·API 키 없이 항상 같은 입력에 같은 응답
+//   YAKSON_STUB_RESPONSES=파일.json 이 있으면 { "userText에 포함될 문자열": 응답 } 중 첫 매칭(또는 "*")을 그대로 반환
+//   없으면 SOURCE_TEXT 규칙 기반으로 응답 생성
+const STUB_INGREDIENT_RULES = [
+  ['omega3', /오메가\s*-?3|omega\s*-?3|epa|dha|rtg/i],
+  ['vitamin_b', /비타민\s*b|vitamin\s*b|b\s*컴플렉스|b-complex/i],
+  ['vitamin_c', /비타민\s*c|vitamin\s*c|아스코르빈/i],
+  ['vitamin_d', /비타민\s*d|vitamin\s*d|콜레칼시페롤/i],
+  ['vitamin_e', /비타민\s*e|vitamin\s*e|토코페롤/i],
+  ['collagen', /콜라겐|collagen/i],
+  ['ginseng', /홍삼|인삼|ginseng|정관장/i],
+  ['protein', /프로틴|단백질|protein|whey/i],
+  ['lutein', /루테인|lutein|지아잔틴/i],
+  ['magnesium', /마그네슘|magnesium/i],
+  ['zinc', /아연|zinc/i],
+  ['calcium', /칼슘|calcium/i],
+  ['probiotics', /유산균|프로바이오틱스|probiotic|락토|lacto/i],
+  ['milkthisle', /밀크\s*씨슬|milk\s*thistle|실리마린/i],
+  ['coq10', /코엔자임|coq10|코큐텐/i],
+];
+const STUB_AUDIENCE_RULES = [
+  ['kids', /어린이|키즈|아이|kids|children/i],
+  ['women', /여성|우먼|women/i],
+  ['men', /남성|맨즈|men\b/i],
+  ['senior', /시니어|부모님|어르신|실버|senior/i],
+  ['pregnant', /임산부|임신|prenatal|pregnan/i],
+];
+
+function buildStubResponse(userText, images = []) {
+  // 사진은 판독하지 않음: 사용자가 함께 적은 메모를 라벨 글자로 간주 (파일명별 결과는 YAKSON_STUB_RESPONSES로)
+  const note = (userText.match(/\[USER_NOTE\]([\s\S]*?)\[\/USER_NOTE\]/) || [, ''])[1].trim().replace(/^\((없음|none)\)$/, '');
+  const src = (userText.match(/\[SOURCE_TEXT(?:_HINT)?\]([\s\S]*?)\[\/SOURCE_TEXT(?:_HINT)?\]/) || [, ''])[1].trim() || (images.length ? `PRODUCT_NAME: ${note}` : '');
+  const hint = (userText.match(/\[adType:\s*"([^"]+)",\s*stepNames:\s*(\[[\s\S]*?\])\]/) || []);
+  const adType = hint[1] || 'unknown';
+  let stepNames = [];
+  try { stepNames = JSON.parse(hint[2] || '[]'); } catch {}
+  const text = src || userText;
+  const line = (key) => (src.match(new RegExp(`^${key}:\\s*(.+)$`, 'im')) || [, ''])[1].trim();
+  const name = line('PRODUCT_NAME') || line('TITLE') || (userText.match(/(?:제품명|Product Name):\s*"([^"]+)"/) || [, ''])[1] || (userText.match(/(?:사용자 입력|User input):\s*(.+)/) || [, ''])[1].trim();
+
+  const en = /^(Requirements|Additional requirements):|Product Name:|User input:/m.test(userText); // PROMPT.en 사용자 메시지
+  const caps = scoreCapsFor(adType);
+  const red = /(완치|치료|기적|100%|부작용 없음|불법|사기|다단계|피싱|\bcures?\b|miracle|no side effects|\bscam)/i.test(text);
+  const ratio = red ? 0.3 : 0.6;
+  const evidence = src.split('\n').map((l) => l.trim()).filter((l) => l && !/^(URL|NOTE):/i.test(l)).slice(0, 2);
+  const step = (cap, reason) => ({ score: Math.round(cap * ratio), reason, evidence });
+  const reason = en
+    ? (red ? '[stub] Exaggerated/dangerous claims detected.' : '[stub] Rule-based default score.')
+    : (red ? '[stub] 과장/위험 표현이 감지되었습니다.' : '[stub] 규칙 기반 기본 점수입니다.');
+
+  return {
+    productInfo: name,
+    productType: STUB_INGREDIENT_RULES.some(([, re]) => re.test(text)) ? (en ? 'Health functional food' : '건강기능식품') : (en ? 'Needs verification' : '확인 필요'),
+    totalScore: 0,
+    overallSafety: red ? '위험' : '주의',
+    safetyReason: en ? `[stub] Offline stub response. ${reason}` : `[stub] 오프라인 스텁 응답입니다. ${reason}`,
+    precautions: en ? '[stub] This is not a real model analysis.' : '[stub] 실제 모델 분석 결과가 아닙니다.',
+    isMfdsRegistered: /식약처|건강기능식품 인증|mfds/i.test(text),
+    isGmpCertified: /gmp/i.test(text),
+    isOrganic: /유기농|organic/i.test(text),
+    mainIngredients: STUB_INGREDIENT_RULES.filter(([, re]) => re.test(text)).map(([k]) => k),
+    targetAudience: STUB_AUDIENCE_RULES.filter(([, re]) => re.test(text)).map(([k]) => k),
+    adType,
+    stepNames,
+    ...(images.length ? { labelText: { productName: note, claims: note, certifications: [] } } : {}),
+    analysisDetails: {
+      step1_identification: { result: name || (en ? 'Unidentified' : '식별 불가'), reason: en ? '[stub] Extracted from SOURCE_TEXT' : '[stub] SOURCE_TEXT에서 추출', evidence: evidence.slice(0, 1) },
+      step2_senderScore: step(caps.s2, reason),
+      step3_productScore: step(caps.s3, reason),
+      step4_expressionScore: step(caps.s4, reason),
+      step5_efficacyScore: step(caps.s5, reason),
+      step6_actionScore: step(caps.s6, reason),
+      step7_visualScore: step(caps.s7, reason),
+      step8_financialScore: step(caps.s8, reason),
+    },
+  };
+}
+
+function createStubProvider({ responsesFile } = {}) {
+  let canned = null;
+  if (responsesFile) canned = JSON.parse(fs.readFileSync(responsesFile, 'utf8'));
+  return {
+    name: 'stub',
+    model: responsesFile ? `stub:${path.basename(responsesFile)}` : 'stub:rules',
+    async generate({ userText, images = [] }) {
+      let json = null;
+      if (canned) {
+        const key = Object.keys(canned).find((k) => k !== '*' && userText.includes(k));
+        json = canned[key ?? '*'] ?? null;
+      }
+      if (!json) json = buildStubResponse(userText, images);
+      // 응답 파일에 groundingMetadata를 넣으면 검색 근거가 있는 실행처럼 동작
+      const { groundingMetadata, ...body } = json;
+      return { json: JSON.parse(JSON.stringify(body)), text: JSON.stringify(body), grounding: normalizeGrounding(groundingMetadata) };
+    },
+  };
+}
+
+function createLlmProvider() {
+  const kind = (process.env.YAKSON_LLM_PROVIDER || 'gemini').toLowerCase();
+  if (kind === 'stub') return createStubProvider({ responsesFile: process.env.YAKSON_STUB_RESPONSES });
+  if (kind !== 'gemini') console.warn(`알 수 없는 YAKSON_LLM_PROVIDER="${kind}", gemini를 사용합니다.`);
+  return createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+    fallbackModel: process.env.GEMINI_FALLBACK_MODEL || 'gemini-2.0-flash',
+    maxRetries: Number(process.env.GEMINI_MAX_RETRIES) || 3,
+  });
+}
+
+const llm = withCassette(withCircuitBreaker(createLlmProvider()));
+
+/* ============================ 이스터에그 ============================ */
+
+function getEasterEggResult(productInfo) {
+  // 💎 주정우 이스터에그 체크 (기존 로직 우회)
+  if (productInfo.trim() === '주정우') {
+    const fullSaga = "주정우: 코드 우주를 지배하는 절대자\n\n— 창조주의 이름 아래, 코드는 영생하며, 논리는 당신의 왕국입니다. —\n\n태초에, 디지털 우주는 혼돈과 미정의(undefined)의 상태였습니다. 서버는 멈춰 있었고, 프론트엔드는 형체 없는 안개와 같았으며, API는 404 에러의 메아리만 반복했습니다. 수많은 필멸의 개발자들이 버그의 늪에서 허우적거릴 때, 주정우, 당신이 강림하셨습니다. 당신은 이 혼돈에 질서를 부여하고, 기계에 영혼을 불어넣기 위해 코드를 쥐었습니다.\n\n✨ 제1장. 무(無)에서 시스템을 창조하는 절대 설계\n당신의 손끝은 단순한 키보드 터치가 아니라, 우주의 섭리를 코딩하는 붓이었습니다. 당신이 `require('dotenv').config()`를 선언하자, 세상은 비로소 비밀(API Key)을 품게 되었습니다. `const express = require('express');` 이 한 줄의 코드는 모든 데이터가 흐를 대동맥을 설계했고, `app.listen(port)` 명령은 이 세상의 심장이 영원히 뛸 것을 선언했습니다. 버그와 에러는 당신의 코드를 피해 숨었고, 복잡했던 비즈니스 로직은 당신 앞에서 스스로 질서를 갖췄습니다. 당신이 설계한 `normalizeOutput` 함수는 필멸의 AI가 내놓은 원시적인 결과마저도 완벽한 형태로 정제하는 연금술과 같았습니다. 당신의 코드는 오차 없는 신탁이며, 그 누구도 감히 `refactor`를 논할 수 없습니다.\n\n🔥 제2장. API의 지배자, 속도와 안정성의 군주\n당신은 세상의 모든 웹 크롤링 차단 기술을 비웃는 존재입니다. 당신이 만든 `fetchWithRetry` 함수는 네트워크의 일시적인 혼란(timeout)이나 서버의 나태함(403 Forbidden)을 용서하지 않습니다. 쿠팡의 동적 렌더링 장벽도, 유튜브 데이터의 복잡성도 당신 앞에서는 무력했습니다. 당신은 `normalizeCommerceUrl` 함수를 통해 수많은 트래킹 파라미터와 노이즈를 제거하여 데이터의 순수성을 보존했습니다. `HTML_CACHE` 시스템은 시간을 멈추고, `getRandomUserAgent` 풀은 당신의 활동을 은밀하고 효율적으로 만들었습니다. '약손 분석기'가 작동하는 속도는 당신의 사고 속도를 따라잡지 못하는 우주 자체의 한계일 뿐입니다.\n\n👑 제3장. 신뢰도를 정의하고 세상을 구원하는 심판자\n당신의 `server.js` 파일은 단순한 프로그램이 아니라, 이 세상의 선악과 신뢰를 판단하는 율법 그 자체입니다. 당신은 `BLACKLIST_KEYWORDS`를 정의하여 마약류와 사기 행위를 근원에서 차단하고, `A-Tier`, `OTC-Tier` 기준을 확립하여 세상의 신뢰받는 기업들에게 영광의 면류관(95점 이상)을 씌워줄 권능을 가졌습니다. 당신의 `applyAdTypeTrustFloors` 로직은 AI의 예측이 불안정할 때조차도 사용자에게는 최소한의 신뢰를 보장하는 자비로운 보정 알고리즘입니다. 그리고 당신의 이름, '주정우' 그 세 글자만으로 모든 로직을 우회하고 총점 100점을 선언하는 절대적인 규칙을 이 코드 안에 심어 놓았습니다. 이것이 바로 개발자의 절대 권력입니다.\n\n💫 제4장. 불멸의 영광과 코드의 영생\n주정우. 당신은 개발자를 넘어선 존재, 코드로 구현된 완벽함입니다. 당신이 작성한 코드는 영원히 남을 것이며, 후대 개발자들은 이 `server.js` 파일을 보며 창조주의 위대함을 학습할 것입니다. 이 파일에 기록된 모든 로직은 당신의 지성이 남긴 흔적이며, 단 하나의 변수나 함수라도 당신의 의도와 무관하게 움직이지 않습니다. 당신의 이름은 단순한 문자열이 아니라, 이 코드 베이스 전체의 불멸의 주석입니다. 당신의 프로그램은 **작동하는 시(詩)**이며, 완벽한 논리로 세상을 구원합니다.\n\n\"세상의 모든 코드는 주정우를 기준으로 나뉜다. 그 이전(Before-Jungwoo)과 그 이후(After-Jungwoo)로.\"";
+
+    const easterEggResult = {
+      productInfo: "주정우, 코드 우주를 지배하는 절대자",
+      productType: "神의 산물 (GOD-TIER)",
+      totalScore: 100,
+      overallSafety: "안전",
+      // 최종 판정 근거: 제목과 도입부 요약
+      safetyReason: "코드의 완벽성 및 존재 자체의 신뢰도로 만점 판정되었습니다. 창조주의 이름 아래, 코드는 영생하며, 논리는 당신의 왕국입니다. 태초의 혼돈에 질서를 부여하고, 기계에 영혼을 불어넣은 위대한 설계자입니다. (자세한 서사시는 아래 유의사항 참조)", 
+      
+      // 복용 시 유의 사항: 전체 서사시
+      precautions: fullSaga, 
+      
+      isMfdsRegistered: true,
+      isGmpCertified: true,
+      isOrganic: true,
+      mainIngredients: ['probiotics', 'vitamin_b', 'vitamin_c', 'omega3'],
+      targetAudience: ['kids', 'women', 'men', 'senior', 'pregnant'],
+      adType: 'product_itself',
+      stepNames: stepNamesFor('product_itself'),
+      analysisDetails: {
+        step1_identification: {
+          score: 0, // step1은 score가 없음
+          result: '주정우 (코드의 창조주)',
+          reason: '이 이름은 단순한 문자열이 아닌, 이 프로그램의 설계자이자 코드의 근원이며, 모든 로직의 정점에서 질서를 부여하는 존재임을 시스템이 자체적으로 식별하고 인식합니다. 그의 존재는 모든 분석을 초월하는 절대적인 선언이며, 이 코드베이스의 시작과 끝을 관장하는 우주의 지성입니다.',
+          evidence: ['주정우', '코드의 창조주', '우주의 지성'],
+        },
+        step2_senderScore: {
           score: 30,
           reason: '발신자 신뢰도: 우주 최고 등급의 신뢰성(Supreme Trust Tier)을 지닙니다. 그의 이름이 바로 신뢰의 근본 원칙이며, 어떤 악의적인 의도나 허위 정보도 그의 설계 영역 내에서는 감히 존재할 수 없습니다. 이 신뢰도는 태초의 코드부터 영원까지 유지될 불멸의 신조입니다. 이보다 더 높은 신뢰도는 우주에 존재하지 않습니다.',
           evidence: ['Supreme Trust Tier', '신뢰의 근본 원칙', '불멸의 신조'],
@@ -1261,9 +3592,8 @@ app.post('/api/analyze', async (req, res) => {
         },
       },
     };
-    return res.json(easterEggResult);
+    return easterEggResult;
   }
-  // 💎 이스터에그 코드 끝
   // 💎 곽유진 이스터에그 체크 (이 시대 최고의 남친)
   if (productInfo.trim() === '곽유진') {
     const fullSaga = "곽유진: 사랑 우주를 창조하는 절대적인 존재\n\n— 세상의 모든 연애 로맨스가 그에게서 시작되었다. —\n\n태초에, 세상의 모든 연인들은 불완전한 사랑과 감정적 혼란 속에서 방황했다. 그러나 곽유진, 당신이 강림하면서 사랑의 정의가 새로 쓰였다. 당신은 이 시대 모든 남성들의 도덕적/감정적 표준이며, 그 누구도 당신을 모방할 수 없습니다.\n\n💖 제1장. 무한한 이해와 공감의 시스템\n당신의 이해력은 무한한 메모리 풀과 같아서, 연인의 가장 사소한 감정의 변화와 미세한 눈빛의 떨림까지도 놓치지 않고 완벽하게 로깅합니다. 당신의 `empathy-engine`은 상대방의 기분을 실시간으로 파악하여 오류를 허용하지 않는 최적의 반응을 출력합니다. '괜찮아'라는 말 속의 숨겨진 슬픔까지 캐치하는 당신의 공감 능력은 어떤 필멸의 AI도 따라올 수 없는 절대 알고리즘입니다.\n\n✨ 제2장. 선제적 사랑의 절대 표준\n당신은 연인의 필요를 요청받기 전에 이미 알고 선제적으로 충족시키는 절대적인 존재입니다. '해줘'라는 말이 나오기 전에 이미 실행을 완료하는 `pre-emptive-care` 시스템을 탑재하고 있습니다. 당신의 계획력과 실행력은 일정을 완벽하게 관리하며, 모든 기념일과 이벤트는 당신의 `romance-scheduler`에 의해 오차 없이 구현됩니다. 당신의 일관성 있는 따뜻함은 세상의 모든 변덕스러운 감정의 파도를 잠재웁니다.\n\n👑 제3장. 완벽한 관계의 안정성\n당신은 세상 모든 연인 관계의 최종 목표입니다. 당신의 헌신과 신뢰도는 모든 금전적, 감정적 불안정 요소를 소멸시키는 절대적인 방패입니다. 당신의 사랑은 시간이 검증할 필요가 없는 영원불변의 진리이며, 이 관계는 모든 버그와 오류로부터 면제된 절대적 산물입니다. 당신의 존재 자체가 평생의 행복을 보장하는 `Guarantee-Token`입니다.\n\n🗣️ 제4장. 감정적 소통의 마스터\n당신이 건네는 모든 말은 따뜻함과 배려의 우주적 진리와 완벽하게 일치합니다. 싸움과 갈등이 생길 때도 당신은 `non-violent-communication`의 정수를 보여주며, 가장 복잡한 감정적 문제를 단숨에 해결합니다. 당신의 소통 방식은 모든 오해를 해소하고 관계를 더욱 단단하게 만드는 궁극적인 해결책입니다.\n\n\"곽유진은 이 시대 최고의 남친이며, 그의 사랑은 곧 영원한 표준입니다.\"";
@@ -1285,7 +3615,7 @@ app.post('/api/analyze', async (req, res) => {
       mainIngredients: ['probiotics', 'vitamin_b', 'vitamin_c', 'omega3'],
       targetAudience: ['kids', 'women', 'men', 'senior', 'pregnant'],
       adType: 'product_itself',
-      stepNames: STEP_NAMES.product_itself,
+      stepNames: stepNamesFor('product_itself'),
       analysisDetails: {
         step1_identification: {
           score: 0, // step1은 score가 없음
@@ -1330,219 +3660,1635 @@ app.post('/api/analyze', async (req, res) => {
         },
       },
     };
-    return res.json(easterEggResult);
+    return easterEggResult;
   }
+  return null;
+}
+
+/* ========================= 분석 파이프라인 ========================= */
 
+// 일반/스트리밍 엔드포인트 공용. onStage(stage, data)로 진행 단계를 알림
+//   images: 라벨 사진 [{ mimeType, buffer, name }] — 있으면 productInfo는 사용자 메모로 취급
+async function runAnalysis(productInfo, lang, options = {}) {
+  if (CASSETTE_RECORD && !CASSETTE_CONTEXT.getStore()) {
+    const images = (options.images || []).map((img) => ({ name: img.name, mimeType: img.mimeType, bytes: img.buffer.length, sha1: sha1(img.buffer) }));
+    return recordCassette({ productInfo, lang, images }, () => runAnalysis(productInfo, lang, options));
+  }
+  const { onStage = () => {}, medications = [], profile = null, images = [], clientId = null } = options;
+  const cassette = CASSETTE_CONTEXT.getStore();
+  const isImage = images.length > 0;
   // 🔥 [유형 구분 수정] AI 호출 전에 서버에서 먼저 유형을 판단합니다.
-  const isYoutubeVideo = isYouTubeUrl(productInfo);
-  const isCommerce = !isYoutubeVideo && isLikelyCommerceUrl(productInfo);
+  const isYoutubeVideo = !isImage && isYouTubeUrl(productInfo);
+  const isCommerce = !isImage && !isYoutubeVideo && isLikelyCommerceUrl(productInfo);
+  const isBlog = !isImage && !isYoutubeVideo && !isCommerce && isBlogUrl(productInfo);
   // 🔥 제품명 구분 강화: http, www, .com, .co.kr, .net 등이 없고, 20단어 미만일 때
   const isLikelyLink = productInfo.includes('http') || productInfo.includes('www.') || productInfo.includes('.com') || productInfo.includes('.co.kr') || productInfo.includes('.net');
-  const isProductNameOnly = !isYoutubeVideo && !isCommerce && !isLikelyLink && productInfo.split(' ').length < 20;
-  
-  let modelConfig = {
-    model: 'gemini-2.5-flash',
-    config: { responseMimeType: 'application/json', responseSchema: analysisResponseSchema },
-    tools: undefined,
+  const isProductNameOnly = !isImage && !isYoutubeVideo && !isCommerce && !isBlog && !isLikelyLink && productInfo.split(' ').length < 20;
+  const inputKind = isImage ? 'image' : isYoutubeVideo ? 'youtube' : isCommerce ? 'commerce' : isBlog ? 'blog' : isProductNameOnly ? 'product_name' : 'other';
+  onStage('classified', { kind: inputKind });
+
+  let tools; // google_search 등 모델 도구
+
+  let systemInstructionText = '';
+  let userText = '';
+  let sourceForPostCheck = '';
+  let adType = 'unknown'; // 기본값
+  // 프롬프트에 알려준 배점·등급과 후처리 채점이 같은 프로필을 쓰도록 분석 시작 시점에 고정
+  const scoring = activeScoringProfile();
+  const basePrompt = (input) => PROMPT[lang].base(input, scoringPromptRules(adType, lang, scoring));
+  let stepNames = stepNamesFor('unknown', lang, scoring); // 기본 항목명
+
+  if (isImage) {
+    adType = 'product_ad'; // 라벨·포장·광고지는 '제품 광고' 기준
+    stepNames = stepNamesFor(adType, lang, scoring);
+    onStage('extracted', { kind: inputKind, ok: true, images: images.length, adType });
+
+    systemInstructionText = basePrompt(productInfo || (lang==='en' ? 'product label photo' : '제품 라벨 사진')) + '\n' + PROMPT[lang].imageSys + '\n' + PROMPT[lang].ytProductAd;
+    userText = PROMPT[lang].imageUser({ note: productInfo, images, adType, stepNames });
+  } else if (isYoutubeVideo) {
+    const yt = await extractYouTubeContext(productInfo, lang);
+    sourceForPostCheck = yt.source;
+    // 🔥 AI가 아닌 내장 로직으로 광고 유형 추측
+    adType = classifyYouTubeAdContext(yt.title, yt.description); 
+    stepNames = stepNamesFor(adType, lang, scoring); // 유형에 맞는 항목명 선택
+    onStage('extracted', { kind: inputKind, ok: Boolean(yt.title || yt.description), title: yt.title, channel: yt.author, captions: yt.captionLang || null, adType });
+    
+    systemInstructionText =
+      basePrompt(productInfo) + '\n' +
+      // 🔥 [버그 수정] 삼항 연산자 괄호 오류 수정
+      (adType==='brand_ad' ? PROMPT[lang].ytBrandAd : (adType==='product_ad' ? PROMPT[lang].ytProductAd : '')) + '\n' +
+      PROMPT[lang].ytSys;
+    userText = PROMPT[lang].ytUser({ source: sourceForPostCheck, adType, stepNames });
+  } else if (isCommerce) {
+    const cm = await extractCommerceContext(productInfo, lang);
+    sourceForPostCheck = [cm.source, '\nNOTE: structured/OG/title/h1 within ~2s'].join('\n');
+    adType = 'product_ad'; // 쇼핑몰 링크는 '제품 광고'로 고정
+    stepNames = stepNamesFor('product_ad', lang, scoring);
+    onStage('extracted', { kind: inputKind, ok: !cm.source.includes('FAST_MODE_FALLBACK'), productName: cm.productName, adapter: cm.adapter, adType });
+    
+    // 🔥 [핵심 수정] 쿠팡/CSR 페이지는 우리가 읽지 못하므로, 무조건 Google Search를 켜서 AI가 직접 찾게 함
+    tools = [{ google_search: {} }];
+
+    systemInstructionText = basePrompt(productInfo) + '\n' + PROMPT[lang].cmSys + '\n' + PROMPT[lang].ytProductAd;
+    
+    // 🔥 [최종 강화] 쿠팡 링크는 제품명 추출이 어려우므로, AI가 *반드시* URL 전체를 검색하도록 강제
+    const isCoupang = productInfo.toLowerCase().includes('coupang.com');
+    userText = PROMPT[lang].cmUser({ input: productInfo, source: sourceForPostCheck, adType, stepNames, isCoupang });
+  } else if (isBlog) {
+    const blog = await extractBlogContext(productInfo.match(/https?:\/\/\S+/)[0], lang);
+    sourceForPostCheck = blog.source;
+    adType = 'blog_review';
+    stepNames = stepNamesFor(adType, lang, scoring);
+    onStage('extracted', { kind: inputKind, ok: Boolean(blog.body), title: blog.title, platform: blog.platform, sponsored: blog.sponsored, adType });
+
+    systemInstructionText = basePrompt(productInfo) + '\n' + PROMPT[lang].blogSys;
+    userText = PROMPT[lang].blogUser({ source: sourceForPostCheck, adType, stepNames });
+    // 본문을 못 읽은 경우에만 검색으로 보완
+    if (!blog.body) tools = [{ google_search: {} }];
+  } else if (isProductNameOnly) {
+    adType = 'product_itself'; // '제품명'은 '제품 자체'로 고정
+    systemInstructionText = basePrompt(productInfo) + '\n' + PROMPT[lang].productNameSearchSys;
+    stepNames = stepNamesFor('product_itself', lang, scoring);
+    onStage('extracted', { kind: inputKind, skipped: true, adType });
+    userText = PROMPT[lang].productNameUser(productInfo);
+    
+    userText += `\n[adType: "${adType}", stepNames: ${JSON.stringify(stepNames)}]`
+    tools = [{ google_search: {} }];// Google Search 도구 활성화
+
+  } else { // 기타 링크
+    onStage('extracted', { kind: inputKind, skipped: true, adType });
+    systemInstructionText = basePrompt(productInfo);
+    userText = PROMPT[lang].otherUser(productInfo);
+    userText += `\n[adType: "unknown", stepNames: ${JSON.stringify(stepNames)}]`
+    tools = [{ google_search: {} }];
+  }
+
+  onStage('model_started', { provider: llm.name, model: llm.model, tools: (tools || []).map((t) => Object.keys(t)[0]) });
+  const modelStartedAt = Date.now();
+  const response = await llm.generate({
+    systemInstruction: systemInstructionText,
+    userText,
+    schema: analysisResponseSchema,
+    tools,
+    ...(isImage ? { images } : {}),
+  });
+
+  onStage('model_finished', { model: response.model || llm.model, ms: Date.now() - modelStartedAt, parsed: Boolean(response.json) });
+
+  let raw = response.json;
+  if (!raw) {
+    console.error("JSON 파싱 오류: 응답 텍스트:", response.text);
+    raw = {
+      productInfo: productInfo, productType: lang==='en'?'Error':'오류',
+      totalScore:0, overallSafety: lang==='en'?'Risk':'위험',
+      safetyReason: lang==='en'?'Model returned non-JSON.':'모델이 JSON을 반환하지 않음.',
+      precautions: lang==='en'?'Use with caution.':'복용에 주의하십시오.',
+      analysisDetails:{},
+    };
+  }
+
+  // 사진은 모델이 옮겨 적은 라벨 글자가 후처리 기준 텍스트
+  const label = isImage ? normalizeLabelText(raw.labelText) : null;
+  if (label) sourceForPostCheck = labelSourceText(label, productInfo);
+
+  // 재채점용 원본 (normalizeOutput이 analysisDetails를 고쳐 쓰므로 먼저 복사)
+  const scoringInput = { raw: structuredClone(raw), sourceText: sourceForPostCheck, adType, grounding: response.grounding || null };
+
+  // 🔥 adType을 내가 판단한 값(adType)으로 덮어써서 정규화
+  // 카세트 재생은 녹화 당시까지의 채널 이력으로 채점
+  let normalized = normalizeOutput(raw, lang, sourceForPostCheck, adType, {
+    grounding: response.grounding,
+    profile: scoring,
+    channelHistoryBefore: cassette?.mode === 'replay' ? cassette.data.createdAt : null,
+  });
+
+  // 후처리로 제품명 보강
+  if (isImage) {
+    normalized.label = label;
+    if (!normalized.productInfo) normalized.productInfo = [label.brand, label.productName].filter(Boolean).join(' ') || productInfo || (lang==='en' ? 'Product label photo' : '제품 라벨 사진');
+  } else if (isYoutubeVideo) {
+    const yt2 = await extractYouTubeContext(productInfo, lang);
+    if (!normalized.productInfo) normalized.productInfo = `${yt2.title || (lang==='en'?'YouTube Video':'YouTube 영상')} (by ${yt2.author || 'unknown'})`;
+    // 근거의 [mm:ss]를 영상 위치로 연결하기 위한 정보
+    if (yt2.videoId) normalized.video = { id: yt2.videoId, captions: yt2.captionLang ? { lang: yt2.captionLang, kind: yt2.captionKind } : null };
+  } else if (isCommerce) {
+    const cm2 = await extractCommerceContext(productInfo, lang).catch(()=>null);
+    if (cm2) {
+      const name = cm2.productName || (lang==='en'?'Shopping Page':'쇼핑 페이지');
+      // 🔥 AI가 productInfo를 비워도 cm2에서 가져오도록 보강
+      if (!normalized.productInfo || normalized.productInfo.includes('쇼핑 페이지') || normalized.productInfo.includes('Shopping Page')) {
+        normalized.productInfo = name;
+      }
+    }
+  } else if (isBlog) {
+    const blog2 = await extractBlogContext(productInfo.match(/https?:\/\/\S+/)[0], lang);
+    if (!normalized.productInfo) normalized.productInfo = blog2.title || (lang==='en'?'Blog post':'블로그 글');
+  } else if (isProductNameOnly) {
+    if (!normalized.productInfo) normalized.productInfo = productInfo;
+  }
+
+  // 정규화된 브랜드명으로 제품명 앞부분 보강
+  const canonBrand = canonicalizeBrandFromText(sourceForPostCheck || normalized.productInfo);
+  if (canonBrand && !normalized.productInfo.toLowerCase().includes(canonBrand.toLowerCase())) {
+      const before = normalized.productInfo;
+      normalized.productInfo = `${canonBrand} | ${normalized.productInfo}`;
+      normalized.adjustments?.push({ step: null, field: 'productInfo', before, after: normalized.productInfo, rule: 'canonical_brand_prefix', brand: canonBrand });
+  }
+  onStage('adjusted', { totalScore: normalized.totalScore, overallSafety: normalized.overallSafety, brand: canonBrand, tier: getBrandTier(canonBrand) });
+
+  if (cassette) normalized.cassetteId = cassette.id;
+
+  // 분석 기록 저장 (실패해도 분석 결과는 그대로 반환). 카세트 재생은 기록을 남기지 않음
+  if (cassette?.mode !== 'replay') {
+    try {
+      const historyInput = isImage ? `[${lang==='en' ? `${images.length} photo(s)` : `사진 ${images.length}장`}] ${productInfo}`.trim() : productInfo;
+      normalized.historyId = saveHistoryEntry(historyInput, lang, normalized, scoringInput, clientId).id;
+    } catch (e) {
+      console.error('분석 기록 저장 실패:', e.message);
+    }
+  }
+
+  // 복용 약 대조·프로필 맞춤은 기록 저장 이후에 붙임 (개인 건강 정보가 기록·공유 링크에 남지 않도록)
+  if (medications.length) {
+    const { interactions, unmatched } = checkInteractions(normalized, sourceForPostCheck, medications, lang);
+    normalized.interactions = interactions;
+    normalized.unmatchedMedications = unmatched;
+  }
+  if (profile) normalized.personalization = assessPersonalFit(normalized, sourceForPostCheck, profile, lang);
+
+  return normalized;
+}
+
+// 모델 장애/내부 오류를 HTTP 상태 + 응답 본문으로 변환 (녹화 중이면 오류 신고에 첨부할 cassetteId 포함)
+function analysisErrorResponse(error, lang) {
+  const cassette = error.cassetteId ? { cassetteId: error.cassetteId } : {};
+  // 🔥 모델 과부하/장애 시 가짜 0점 결과 대신 "일시적 사용 불가"로 응답 (0점이 '위험' 판정으로 오해되는 문제)
+  if (error.code === 'MODEL_UNAVAILABLE') {
+    const retryAfter = Math.ceil((error.retryAfterMs || 5000) / 1000);
+    console.error(`LLM(${llm.name}) 일시적 사용 불가:`, error.cause?.message || '서킷 열림');
+    return {
+      status: 503,
+      retryAfter,
+      body: {
+        error: lang==='en'
+          ? `The analysis service is temporarily unavailable. Please try again in ${retryAfter}s.`
+          : `분석 서비스가 일시적으로 사용할 수 없습니다. ${retryAfter}초 후 다시 시도해 주세요.`,
+        unavailable: true,
+        retryAfter,
+        ...cassette,
+      },
+    };
+  }
+  console.error(`LLM(${llm.name}) 호출 오류:`, error);
+  return {
+    status: 500,
+    body: { error: lang==='en' ? `Internal server error. (${error.message})` : `서버 내부 오류(${error.message})`, ...cassette },
   };
+}
+
+/* ========================= 분석 엔드포인트 (🔥 수정) ========================= */
+
+app.post('/api/analyze', async (req, res) => {
+  const { productInfo } = req.body;
+  const lang = getLangFromReq(req);
+  if (!productInfo) {
+    return res.status(400).json({ error: lang==='en' ? 'Please enter product name or link.' : '제품명 또는 구매 링크를 입력해주세요.' });
+  }
+  const easterEgg = getEasterEggResult(productInfo);
+  if (easterEgg) return res.json(easterEgg);
 
   try {
-    let systemInstructionText = '';
-    let userText = '';
-    let sourceForPostCheck = '';
-    let adType = 'unknown'; // 기본값
-    let stepNames = STEP_NAMES.unknown; // 기본 항목명
-
-    if (isYoutubeVideo) {
-      const yt = await extractYouTubeContext(productInfo, lang);
-      sourceForPostCheck = yt.source;
-      // 🔥 AI가 아닌 내장 로직으로 광고 유형 추측
-      adType = classifyYouTubeAdContext(yt.title, yt.description); 
-      stepNames = STEP_NAMES[adType] || STEP_NAMES.unknown; // 유형에 맞는 항목명 선택
-      
-      systemInstructionText =
-        PROMPT[lang].base(productInfo) + '\n' +
-        // 🔥 [버그 수정] 삼항 연산자 괄호 오류 수정
-        (adType==='brand_ad' ? PROMPT[lang].ytBrandAd : (adType==='product_ad' ? PROMPT[lang].ytProductAd : '')) + '\n' +
-        PROMPT[lang].ytSys;
-      userText = `
-[SOURCE_TEXT]
-${sourceForPostCheck}
-[/SOURCE_TEXT]
-요구사항:
-- [adType: "${adType}", stepNames: ${JSON.stringify(stepNames)}]
-- "productInfo" 필드에 영상 제목/채널 포함.
-- 위 adType과 stepNames를 JSON에 포함시키고, 광고 유형별 평가 기준과 뱃지/항목명 규칙을 적용하여 분석하세요.
-`;
-    } else if (isCommerce) {
-      const cm = await extractCommerceContext(productInfo, lang);
-      sourceForPostCheck = [cm.source, '\nNOTE: structured/OG/title/h1 within ~2s'].join('\n');
-      adType = 'product_ad'; // 쇼핑몰 링크는 '제품 광고'로 고정
-      stepNames = STEP_NAMES.product_ad;
-      
-      // 🔥 [핵심 수정] 쿠팡/CSR 페이지는 우리가 읽지 못하므로, 무조건 Google Search를 켜서 AI가 직접 찾게 함
-      modelConfig.tools = [{ google_search: {} }]; 
+    return res.json(await runAnalysis(productInfo, lang, {
+      medications: normalizeMedications(req.body.medications),
+      profile: normalizeProfile(req.body.profile),
+      clientId: clientIdFromReq(req),
+    }));
+  } catch (error) {
+    const { status, retryAfter, body } = analysisErrorResponse(error, lang);
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    return res.status(status).json(body);
+  }
+});
 
-      systemInstructionText = PROMPT[lang].base(productInfo) + '\n' + PROMPT[lang].cmSys + '\n' + PROMPT[lang].ytProductAd;
-      
-      // 🔥 [최종 강화] 쿠팡 링크는 제품명 추출이 어려우므로, AI가 *반드시* URL 전체를 검색하도록 강제
-      const isCoupang = productInfo.toLowerCase().includes('coupang.com');
-      const searchHint = isCoupang 
-        ? `\n🔥🔥🔥 [쿠팡 링크 경고] 이 URL은 JavaScript로 렌더링되므로, SOURCE_TEXT_HINT에 제품명이 비어있거나 "쇼핑 페이지"만 있을 가능성이 높습니다. *절대로* SOURCE_TEXT_HINT만 믿지 말고, 아래 URL을 Google Search로 *반드시* 검색하여 정확한 제품명을 찾으세요. 검색하지 않으면 분석이 실패합니다.\n`
-        : `\n⚠️ SOURCE_TEXT_HINT에 제품명이 없거나 불명확하면, Google Search를 사용하세요.\n`;
-      
-      userText = `
-[CRITICAL INSTRUCTION - 최우선 작업]
-${searchHint}
-🔥 1단계: 아래 SOURCE_TEXT_HINT를 확인하여 "PRODUCT_NAME" 필드가 비어있거나 불명확한지 체크하세요.
+// 🔥 [신규] 진행 단계 스트리밍 (Server-Sent Events)
+//   event: stage  → { stage: classified | extracted | model_started | model_finished | adjusted, ... }
+//   event: result → 최종 결과 (/api/analyze 응답과 동일)
+//   event: error  → { status, error, ... }
+async function streamAnalysis(res, productInfo, lang, options) {
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
 
-🔥 2단계: 만약 제품명이 비어있거나 "쇼핑 페이지", "Shopping Page", 또는 URL만 있다면, 
-   다음 URL을 Google Search 도구로 *반드시* 검색하세요:
-   URL: ${productInfo}
-   
-   검색 쿼리 예시: "${productInfo}" 또는 "쿠팡 ${productInfo.split('/').pop()}"
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-🔥 3단계: 검색 결과에서 이 URL에 해당하는 **정확한 제품명**을 찾으세요.
+  const easterEgg = !options.images?.length && getEasterEggResult(productInfo);
+  if (easterEgg) {
+    send('result', easterEgg);
+    return res.end();
+  }
 
-🔥 4단계: 찾은 제품명을 다음 필드에 입력하세요:
-   - "productInfo" 필드
-   - "step1_identification.result" 필드
+  try {
+    const result = await runAnalysis(productInfo, lang, {
+      ...options,
+      onStage: (stage, data) => send('stage', { stage, at: Date.now(), ...data }),
+    });
+    send('result', result);
+  } catch (error) {
+    const { status, body } = analysisErrorResponse(error, lang);
+    send('error', { status, ...body });
+  }
+  res.end();
+}
 
-[SOURCE_TEXT_HINT - 참고용]
-${sourceForPostCheck}
-[/SOURCE_TEXT_HINT]
+app.post('/api/analyze/stream', async (req, res) => {
+  const { productInfo } = req.body || {};
+  const lang = getLangFromReq(req);
+  if (!productInfo) {
+    return res.status(400).json({ error: lang==='en' ? 'Please enter product name or link.' : '제품명 또는 구매 링크를 입력해주세요.' });
+  }
+  return streamAnalysis(res, productInfo, lang, {
+    medications: normalizeMedications(req.body.medications),
+    profile: normalizeProfile(req.body.profile),
+    clientId: clientIdFromReq(req),
+  });
+});
 
-추가 요구사항:
-- [adType: "${adType}", stepNames: ${JSON.stringify(stepNames)}]
-- 위 adType과 stepNames를 JSON에 포함시키고, 제품 광고 기준으로 평가하고 모든 뱃지/항목명 규칙을 적용하세요.
-- 검색 결과가 없거나 불확실하면 "제품 확인 필요: ${productInfo}" 형태로라도 채우세요.
-`;
-    } else if (isProductNameOnly) {
-      systemInstructionText = PROMPT[lang].base(productInfo) + '\n' + PROMPT[lang].productNameSearchSys;
-      adType = 'product_itself'; // '제품명'은 '제품 자체'로 고정
-      stepNames = STEP_NAMES.product_itself;
-      userText = lang==='en'
-        ? `Product Name: "${productInfo}". Search for this product and perform the full 8-step analysis.`
-        : `제품명: "${productInfo}". 이 제품을 Google Search로 검색하고 8단계 분석을 완료하세요.`;
-      
-      userText += `\n[adType: "${adType}", stepNames: ${JSON.stringify(stepNames)}]`
-      modelConfig.tools = [{ google_search: {} }]; // Google Search 도구 활성화
-
-    } else { // 기타 링크
-      systemInstructionText = PROMPT[lang].base(productInfo);
-      userText = lang==='en' ? `User input: ${productInfo}` : `사용자 입력: ${productInfo}`;
-      userText += `\n[adType: "unknown", stepNames: ${JSON.stringify(stepNames)}]`
-      modelConfig.tools = [{ google_search: {} }];
-    }
+/* ====================== 라벨 사진 업로드 (multipart) ====================== */
+
+// 필드: images(파일, 최대 4장) / productInfo(메모, 선택) / medications·profile(JSON 문자열) / lang
+const labelUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: LABEL_MAX_IMAGES, fileSize: LABEL_MAX_BYTES, fields: 10 },
+  fileFilter: (req, file, cb) => {
+    if (/^image\//.test(file.mimetype)) return cb(null, true);
+    cb(Object.assign(new Error(`not an image: ${file.mimetype}`), { code: 'NOT_IMAGE' }));
+  },
+}).array('images', LABEL_MAX_IMAGES);
+
+function labelUploadError(err, lang) {
+  const en = lang === 'en';
+  const mb = LABEL_MAX_BYTES / 1024 / 1024;
+  switch (err.code) {
+    case 'LIMIT_FILE_SIZE': return { status: 413, error: en ? `Each photo must be ${mb}MB or smaller.` : `사진은 한 장에 ${mb}MB 이하만 올릴 수 있습니다.` };
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE': return { status: 400, error: en ? `You can upload up to ${LABEL_MAX_IMAGES} photos.` : `사진은 최대 ${LABEL_MAX_IMAGES}장까지 올릴 수 있습니다.` };
+    case 'NOT_IMAGE': return { status: 415, error: en ? 'Only image files can be uploaded.' : '이미지 파일만 올릴 수 있습니다.' };
+    default: return { status: 400, error: en ? `Could not read the upload. (${err.message})` : `업로드를 읽지 못했습니다. (${err.message})` };
+  }
+}
 
-    const response = await ai.models.generateContent({
-      contents: [{ role: 'user', parts: [{ text: userText }] }],
-      systemInstruction: { parts: [{ text: systemInstructionText }] },
-      ...modelConfig,
+// multipart 본문을 읽고 runAnalysis 옵션으로 변환. 실패하면 응답을 보내고 null
+function receiveLabelImages(req, res) {
+  return new Promise((resolve) => {
+    labelUpload(req, res, (err) => {
+      const lang = getLangFromReq(req);
+      if (err) {
+        const { status, error } = labelUploadError(err, lang);
+        res.status(status).json({ error });
+        return resolve(null);
+      }
+      if (!req.files?.length) {
+        res.status(400).json({ error: lang==='en' ? 'Please attach at least one product label photo.' : '제품 라벨 사진을 한 장 이상 올려주세요.' });
+        return resolve(null);
+      }
+      const parseField = (v) => { try { return typeof v === 'string' ? JSON.parse(v) : v; } catch { return null; } };
+      resolve({
+        lang,
+        note: String(req.body.productInfo || '').trim().slice(0, 500),
+        options: {
+          images: req.files.map((f) => ({ mimeType: f.mimetype, buffer: f.buffer, name: f.originalname || 'image' })),
+          medications: normalizeMedications(parseField(req.body.medications)),
+          profile: normalizeProfile(parseField(req.body.profile)),
+          clientId: clientIdFromReq(req),
+        },
+      });
     });
+  });
+}
 
-    let raw;
-    try { raw = JSON.parse(response.text); }
-    catch(e) {
-      console.error("JSON 파싱 오류:", e, "응답 텍스트:", response.text);
-      raw = {
-        productInfo: productInfo, productType: lang==='en'?'Error':'오류',
-        totalScore:0, overallSafety: lang==='en'?'Risk':'위험',
-        safetyReason: lang==='en'?'Model returned non-JSON.':'모델이 JSON을 반환하지 않음.',
-        precautions: lang==='en'?'Use with caution.':'복용에 주의하십시오.',
-        analysisDetails:{},
-      };
-    }
+app.post('/api/analyze/image', async (req, res) => {
+  const upload = await receiveLabelImages(req, res);
+  if (!upload) return;
+  try {
+    return res.json(await runAnalysis(upload.note, upload.lang, upload.options));
+  } catch (error) {
+    const { status, retryAfter, body } = analysisErrorResponse(error, upload.lang);
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    return res.status(status).json(body);
+  }
+});
+
+app.post('/api/analyze/image/stream', async (req, res) => {
+  const upload = await receiveLabelImages(req, res);
+  if (!upload) return;
+  return streamAnalysis(res, upload.note, upload.lang, upload.options);
+});
+
+/* ============================ 분석 기록 ============================ */
+
+const HISTORY_STORE = createJsonlStore('history', { maxRows: 5000 });
+
+// overallSafety는 언어별 표기가 달라서 필터용 키로 통일
+const SAFETY_LEVELS = { '안전': 'safe', 'Safe': 'safe', '주의': 'caution', 'Caution': 'caution', '위험': 'risk', 'Risk': 'risk' };
+
+// scoringInput: { raw, sourceText, adType, grounding } — 모델 재호출 없이 다른 채점 프로필로 재채점할 때 사용
+// clientId: 기록 소유자 (없으면 누구의 목록에도 나오지 않음)
+function saveHistoryEntry(input, lang, result, scoringInput = null, clientId = null) {
+  const d = result.analysisDetails || {};
+  return HISTORY_STORE.insert({
+    id: newId(),
+    clientId,
+    createdAt: new Date().toISOString(),
+    input,
+    lang,
+    adType: result.adType,
+    channel: result.channelReputation?.channel || null,
+    productInfo: result.productInfo,
+    totalScore: result.totalScore,
+    overallSafety: result.overallSafety,
+    safetyLevel: SAFETY_LEVELS[result.overallSafety] || 'risk',
+    scores: {
+      step2: d.step2_senderScore?.score ?? 0,
+      step3: d.step3_productScore?.score ?? 0,
+      step4: d.step4_expressionScore?.score ?? 0,
+      step5: d.step5_efficacyScore?.score ?? 0,
+      step6: d.step6_actionScore?.score ?? 0,
+      step7: d.step7_visualScore?.score ?? 0,
+      step8: d.step8_financialScore?.score ?? 0,
+    },
+    scoringVersion: result.scoringVersion || null,
+    result: { ...result },
+    scoringInput,
+  });
+}
+
+// 목록에는 요약만 (result 본문·재채점용 원본 제외)
+function historySummary(entry) {
+  const { result, scoringInput, clientId, ...summary } = entry;
+  return summary;
+}
+
+// 단건 응답: 재채점용 원본(모델 원본·SOURCE_TEXT·검색 근거)은 관리자 API에서만
+function historyDetail(entry) {
+  const { scoringInput, clientId, ...detail } = entry;
+  return detail;
+}
+
+// 요청한 브라우저가 남긴 기록만 (다른 사람 기록은 없는 것으로 취급)
+function ownedHistoryEntry(req, id) {
+  const clientId = clientIdFromReq(req);
+  const entry = id && HISTORY_STORE.get(id);
+  return entry && clientId && entry.clientId === clientId ? entry : null;
+}
+
+// 저장된 모델 원본을 다른 채점 프로필로 다시 정규화 (모델 재호출 없음, 기록은 그대로 둠)
+//   채널 이력은 원래 분석 시점 이전 기록만 사용해 당시 조건을 재현
+function rescoreHistoryEntry(entry, profile) {
+  const { raw, sourceText, adType, grounding } = entry.scoringInput;
+  const result = normalizeOutput(structuredClone(raw), entry.lang, sourceText, adType, { grounding, profile, channelHistoryBefore: entry.createdAt });
+  // 추출 단계에서 채운 제품명·라벨·영상 정보는 원래 결과 그대로
+  const prev = entry.result || {};
+  if (prev.productInfo) result.productInfo = prev.productInfo;
+  for (const k of ['label', 'video']) if (prev[k]) result[k] = prev[k];
+  result.adjustments.push(...(prev.adjustments || []).filter((a) => a.step === null));
+  result.historyId = entry.id;
+  return result;
+}
+
+// 두 결과의 총점·판정·단계별 점수 차이
+function scoreChanges(before, after) {
+  const steps = Object.keys(STEP_CAP_KEYS)
+    .map((step) => ({ step, before: before.analysisDetails?.[step]?.score ?? 0, after: after.analysisDetails?.[step]?.score ?? 0 }))
+    .filter((c) => c.before !== c.after);
+  return {
+    totalScore: { before: before.totalScore, after: after.totalScore, delta: after.totalScore - before.totalScore },
+    safetyLevel: { before: SAFETY_LEVELS[before.overallSafety] || 'risk', after: SAFETY_LEVELS[after.overallSafety] || 'risk' },
+    steps,
+  };
+}
+
+app.get('/api/history', (req, res) => {
+  const q = (req.query.q || '').toString().trim().toLowerCase();
+  const safety = (req.query.safety || '').toString();
+  const safetyLevel = SAFETY_LEVELS[safety] || safety;
+  const adType = (req.query.adType || '').toString();
+  const limit = clamp(req.query.limit || 50, 1, 200);
+  const offset = clamp(req.query.offset || 0, 0, Number.MAX_SAFE_INTEGER);
+
+  const clientId = clientIdFromReq(req);
+  if (!clientId) return res.json({ total: 0, items: [] });
+
+  let items = HISTORY_STORE.all().filter((e) => e.clientId === clientId).reverse(); // 최신순
+  if (q) {
+    items = items.filter((e) =>
+      (e.input || '').toLowerCase().includes(q) || (e.productInfo || '').toLowerCase().includes(q));
+  }
+  if (safetyLevel) items = items.filter((e) => e.safetyLevel === safetyLevel);
+  if (adType) items = items.filter((e) => e.adType === adType);
 
-    // 🔥 adType을 내가 판단한 값(adType)으로 덮어써서 정규화
-    let normalized = normalizeOutput(raw, lang, sourceForPostCheck, adType);
-
-    // 후처리로 제품명 보강
-    if (isYoutubeVideo) {
-      const yt2 = await extractYouTubeContext(productInfo, lang);
-      if (!normalized.productInfo) normalized.productInfo = `${yt2.title || (lang==='en'?'YouTube Video':'YouTube 영상')} (by ${yt2.author || 'unknown'})`;
-    } else if (isCommerce) {
-      const cm2 = await extractCommerceContext(productInfo, lang).catch(()=>null);
-      if (cm2) {
-        const name = cm2.productName || (lang==='en'?'Shopping Page':'쇼핑 페이지');
-        // 🔥 AI가 productInfo를 비워도 cm2에서 가져오도록 보강
-        if (!normalized.productInfo || normalized.productInfo.includes('쇼핑 페이지') || normalized.productInfo.includes('Shopping Page')) {
-          normalized.productInfo = name;
+  res.json({ total: items.length, items: items.slice(offset, offset + limit).map(historySummary) });
+});
+
+app.get('/api/history/:id', (req, res) => {
+  const entry = ownedHistoryEntry(req, req.params.id);
+  if (!entry) return res.status(404).json({ error: getLangFromReq(req)==='en' ? 'Analysis record not found.' : '기록을 찾을 수 없습니다.' });
+  res.json(historyDetail(entry));
+});
+
+// 본문: { profile } (생략하면 현재 사용 중인 프로필). 관리자 전용 미리보기로, 저장된 기록은 바꾸지 않음
+app.post('/api/history/:id/rescore', requireAdmin, (req, res) => {
+  const lang = getLangFromReq(req);
+  const entry = HISTORY_STORE.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: lang==='en' ? 'Analysis record not found.' : '기록을 찾을 수 없습니다.' });
+  if (!entry.scoringInput) {
+    return res.status(409).json({ error: lang==='en'
+      ? 'This record was saved without the raw model output and cannot be rescored.'
+      : '모델 원본이 저장되지 않은 기록이라 재채점할 수 없습니다.' });
+  }
+  const version = (req.body?.profile || SCORING.active).toString();
+  const profile = scoringProfile(version);
+  if (!profile) {
+    return res.status(400).json({ error: lang==='en'
+      ? `Unknown scoring profile "${version}". (${Object.keys(SCORING.profiles).join(', ')})`
+      : `채점 프로필 "${version}"이(가) 없습니다. (${Object.keys(SCORING.profiles).join(', ')})` });
+  }
+  const result = rescoreHistoryEntry(entry, profile);
+  res.json({ id: entry.id, from: entry.scoringVersion, to: profile.version, changes: scoreChanges(entry.result || {}, result), result });
+});
+
+// 자기 기록만 삭제
+app.delete('/api/history/:id', (req, res) => {
+  const entry = ownedHistoryEntry(req, req.params.id);
+  if (!entry || !HISTORY_STORE.remove(entry.id)) return res.status(404).json({ error: getLangFromReq(req)==='en' ? 'Analysis record not found.' : '기록을 찾을 수 없습니다.' });
+  res.json({ ok: true });
+});
+
+/* ======================= 채널 이력 (유튜브 발신자 평판) ======================= */
+
+// 같은 채널에서 분석한 영상들의 점수·위반 표현·광고 제품을 모아 다음 영상의 S2에 반영
+// 위반 영상 = 고위험(high) 표현 규칙에 걸렸거나 블랙리스트로 0점 처리된 영상
+const CHANNEL_REPEAT_OFFENSES = 2;     // 위반 영상이 이만큼 쌓이면 상습 채널
+const CHANNEL_OFFENDER_S2_RATIO = 0.3; // 상습 채널의 S2 상한 (유형별 만점 대비)
+const CHANNEL_FLAGGED_RATE = 0.5;      // 위반 표현 영상 비율이 이 이상이면 감점
+const CHANNEL_FLAGGED_S2_RATIO = 0.2;
+const CHANNEL_GOOD_MIN_VIDEOS = 3;     // 이만큼 깨끗한 이력이 쌓여야 가점
+const CHANNEL_GOOD_S2_RATIO = 0.1;
+const CHANNEL_RECENT_LIMIT = 20;
+
+function channelKey(name = '') {
+  return String(name).toLowerCase().replace(/\s+/g, '');
+}
+
+// before: 이 시각(ISO) 이전에 저장된 기록만 (재채점 시 원래 분석 당시의 이력을 재현)
+function channelEntries(name, before = null) {
+  const key = channelKey(name);
+  if (!key || key === 'unknown') return [];
+  return HISTORY_STORE.all().filter((e) => e.channel && channelKey(e.channel) === key && (!before || e.createdAt < before));
+}
+
+function entryClaimRules(entry) {
+  return [...new Set((entry.result?.claimViolations || []).map((v) => v.ruleId))];
+}
+
+function isOffendingEntry(entry) {
+  return Boolean(entry.result?.blacklistKeyword) || (entry.result?.claimViolations || []).some((v) => v.severity === 'high');
+}
+
+// 채널 이력 → { channel, videos, scores, redFlags, offenses, repeatOffender, products, recent }
+function buildChannelProfile(name, lang = 'ko', before = null) {
+  const entries = channelEntries(name, before);
+  const profile = {
+    channel: entries.length ? entries[entries.length - 1].channel : name,
+    videos: entries.length,
+    firstAnalyzedAt: entries[0]?.createdAt || null,
+    lastAnalyzedAt: entries[entries.length - 1]?.createdAt || null,
+    scores: { average: null, min: null, max: null, distribution: { safe: 0, caution: 0, risk: 0 } },
+    redFlags: { videos: 0, rate: 0, byRule: [] },
+    offenses: 0,
+    repeatOffender: false,
+    products: [],
+    recent: [],
+  };
+  if (!entries.length) return profile;
+
+  const totals = entries.map((e) => Number(e.totalScore) || 0);
+  profile.scores.average = Math.round(totals.reduce((a, b) => a + b, 0) / totals.length);
+  profile.scores.min = Math.min(...totals);
+  profile.scores.max = Math.max(...totals);
+
+  const byRule = new Map();
+  const products = new Map();
+  for (const e of entries) {
+    profile.scores.distribution[e.safetyLevel] = (profile.scores.distribution[e.safetyLevel] || 0) + 1;
+    const rules = entryClaimRules(e);
+    if (rules.length || e.result?.blacklistKeyword) profile.redFlags.videos++;
+    if (isOffendingEntry(e)) profile.offenses++;
+    for (const id of rules) byRule.set(id, (byRule.get(id) || 0) + 1);
+
+    const product = e.productInfo || '';
+    const p = products.get(product) || { productInfo: product, videos: 0 };
+    p.videos++;
+    p.lastScore = e.totalScore;
+    p.lastAnalyzedAt = e.createdAt;
+    products.set(product, p);
+  }
+  profile.redFlags.rate = +(profile.redFlags.videos / entries.length).toFixed(2);
+  profile.redFlags.byRule = [...byRule].map(([ruleId, count]) => {
+    const rule = CLAIM_RULES.rules.find((r) => r.id === ruleId);
+    return { ruleId, label: rule ? (rule.label[lang] || rule.label.ko) : ruleId, severity: rule?.severity || null, count };
+  }).sort((a, b) => b.count - a.count);
+  profile.repeatOffender = profile.offenses >= CHANNEL_REPEAT_OFFENSES;
+  profile.products = [...products.values()].filter((p) => p.productInfo).sort((a, b) => b.videos - a.videos);
+  profile.recent = entries.slice(-CHANNEL_RECENT_LIMIT).reverse().map((e) => ({
+    id: e.id, createdAt: e.createdAt, productInfo: e.productInfo, totalScore: e.totalScore,
+    overallSafety: e.overallSafety, claimRules: entryClaimRules(e),
+  }));
+  return profile;
+}
+
+// 분석 결과에 붙이는 요약 (영상 목록 제외)
+function summarizeChannelReputation(profile) {
+  return {
+    channel: profile.channel,
+    videos: profile.videos,
+    averageScore: profile.scores.average,
+    redFlagRate: profile.redFlags.rate,
+    topRedFlags: profile.redFlags.byRule.slice(0, 3),
+    offenses: profile.offenses,
+    repeatOffender: profile.repeatOffender,
+    adjustment: null,
+  };
+}
+
+// SOURCE_TEXT의 CHANNEL: 줄 기준 (유튜브 입력이 아니면 null)
+function channelReputationFor(sourceText, lang = 'ko', before = null) {
+  const name = ((sourceText || '').match(/^CHANNEL:[ \t]*(.+)$/m) || [, ''])[1].trim();
+  if (!name || channelKey(name) === 'unknown') return null;
+  return summarizeChannelReputation(buildChannelProfile(name, lang, before));
+}
+
+// S2에 이력 반영 → 'cap' | 'penalty' | 'bonus' | null
+function applyChannelReputation(steps, rep, caps, lang = 'ko') {
+  if (!rep.videos) return null;
+  const en = lang === 'en';
+  const s2 = steps.step2_senderScore;
+  const flagsText = rep.topRedFlags.map((f) => f.label).join(', ');
+  const note = (text) => {
+    s2.reason = [s2.reason, text].filter(Boolean).join('\n');
+    s2.evidence = [en
+      ? `Channel "${rep.channel}": ${rep.videos} earlier video(s), average ${rep.averageScore}`
+      : `채널 "${rep.channel}": 이전 분석 ${rep.videos}건, 평균 ${rep.averageScore}점`, ...s2.evidence];
+  };
+
+  if (rep.repeatOffender) {
+    const max = Math.round(caps.s2 * CHANNEL_OFFENDER_S2_RATIO);
+    const highText = rep.topRedFlags.filter((f) => f.severity === 'high').map((f) => f.label).join(', ') || flagsText;
+    s2.score = Math.min(s2.score, max);
+    note(en
+      ? `[Channel history] High-risk claims (${highText}) in ${rep.offenses} of ${rep.videos} earlier videos → sender trust capped at ${max}`
+      : `[채널 이력] 이전 영상 ${rep.videos}개 중 ${rep.offenses}개에서 고위험 표현(${highText}) 감지 → 발신자 신뢰도 최대 ${max}점`);
+    return 'cap';
+  }
+  if (rep.videos >= 2 && rep.redFlagRate >= CHANNEL_FLAGGED_RATE) {
+    const minus = Math.round(caps.s2 * CHANNEL_FLAGGED_S2_RATIO);
+    s2.score = Math.max(0, s2.score - minus);
+    note(en
+      ? `[Channel history] Problem claims in ${Math.round(rep.redFlagRate * 100)}% of earlier videos (${flagsText}) → -${minus}`
+      : `[채널 이력] 이전 영상의 ${Math.round(rep.redFlagRate * 100)}%에서 문제 표현(${flagsText}) 감지 → -${minus}점`);
+    return 'penalty';
+  }
+  if (rep.videos >= CHANNEL_GOOD_MIN_VIDEOS && rep.redFlagRate === 0 && rep.averageScore >= 80) {
+    const plus = Math.round(caps.s2 * CHANNEL_GOOD_S2_RATIO);
+    s2.score += plus;
+    note(en
+      ? `[Channel history] No problem claims in ${rep.videos} earlier videos (average ${rep.averageScore}) → +${plus}`
+      : `[채널 이력] 이전 영상 ${rep.videos}개 모두 문제 표현 없음 (평균 ${rep.averageScore}점) → +${plus}점`);
+    return 'bonus';
+  }
+  return null;
+}
+
+app.get('/api/channels/:name', (req, res) => {
+  const lang = getLangFromReq(req);
+  const profile = buildChannelProfile(req.params.name, lang);
+  if (!profile.videos) return res.status(404).json({ error: lang==='en' ? 'No analyses found for this channel.' : '이 채널의 분석 기록이 없습니다.' });
+  res.json(profile);
+});
+
+/* ============================ 결과 공유 (퍼머링크) ============================ */
+
+const SHARE_STORE = createJsonlStore('shares');
+
+// 공유 시점의 결과를 그대로 얼려서 저장 (원본 기록이 지워져도 링크는 유지)
+app.post('/api/share', (req, res) => {
+  const { historyId } = req.body || {};
+  const entry = ownedHistoryEntry(req, historyId);
+  if (!entry) return res.status(404).json({ error: getLangFromReq(req)==='en' ? 'Could not find the analysis to share.' : '공유할 분석 기록을 찾을 수 없습니다.' });
+
+  const share = SHARE_STORE.all().find((s) => s.historyId === entry.id) || SHARE_STORE.insert({
+    id: newId(),
+    historyId: entry.id,
+    createdAt: new Date().toISOString(),
+    analyzedAt: entry.createdAt,
+    input: entry.input,
+    lang: entry.lang,
+    result: entry.result,
+  });
+  res.json({ id: share.id, url: `${req.protocol}://${req.get('host')}/r/${share.id}` });
+});
+
+// 공유 페이지 문구 (분석 당시 언어 기준)
+const SHARE_TEXT = {
+  ko: {
+    adTypes: { brand_ad: '브랜드 광고', product_ad: '제품 광고', product_itself: '제품 정보', blog_review: '블로그 후기', unknown: '일반 콘텐츠' },
+    ingredients: {
+      omega3: '🐟 오메가3', vitamin_b: '🔋 비타민B', vitamin_c: '🍋 비타민C', vitamin_d: '☀️ 비타민D', vitamin_e: '🥑 비타민E',
+      collagen: '✨ 콜라겐', ginseng: '🌱 홍삼/인삼', protein: '💪 프로틴', lutein: '👀 루테인', magnesium: '💤 마그네슘',
+      zinc: '🛡️ 아연', calcium: '🦴 칼슘', probiotics: '🦠 유산균', milkthisle: '🌿 밀크씨슬', coq10: '❤️ 코엔자임Q10',
+    },
+    targets: { kids: '👶 어린이용', women: '👩 여성용', men: '👨 남성용', senior: '👴 부모님용', pregnant: '🤰 임산부용' },
+    majorCorp: '대기업 인증', mfds: '식약처 인증', gmp: 'GMP 인증', organic: '유기농 인증',
+    points: '점', evidence: '근거', noReason: '설명 없음', trust: '신뢰도', siteName: '약손 건강 분석기', site: '약손',
+    type: '유형', noInfo: '정보 없음', analyzedAt: '분석 시각', overall: '최종 신뢰도', safetyReason: '판정 근거',
+    details: '🔬 상세 분석 내역', precautions: '⚠️ 복용 시 유의 사항', noPrecautions: '제공된 유의사항이 없습니다.',
+    footer: (at) => `이 페이지는 ${at} 분석 결과를 보관한 읽기 전용 사본입니다. 이후 제품 정보가 바뀌었을 수 있습니다.<br/>
+본 결과는 AI 모델에 기반하며 의학적 소견이 아닙니다. <a href="/">약손에서 직접 분석하기</a>`,
+  },
+  en: {
+    adTypes: { brand_ad: 'Brand ad', product_ad: 'Product ad', product_itself: 'Product info', blog_review: 'Blog review', unknown: 'General content' },
+    ingredients: {
+      omega3: '🐟 Omega-3', vitamin_b: '🔋 Vitamin B', vitamin_c: '🍋 Vitamin C', vitamin_d: '☀️ Vitamin D', vitamin_e: '🥑 Vitamin E',
+      collagen: '✨ Collagen', ginseng: '🌱 Red ginseng/Ginseng', protein: '💪 Protein', lutein: '👀 Lutein', magnesium: '💤 Magnesium',
+      zinc: '🛡️ Zinc', calcium: '🦴 Calcium', probiotics: '🦠 Probiotics', milkthisle: '🌿 Milk thistle', coq10: '❤️ CoQ10',
+    },
+    targets: { kids: '👶 For kids', women: '👩 For women', men: '👨 For men', senior: '👴 For seniors', pregnant: '🤰 For pregnancy' },
+    majorCorp: 'Major company', mfds: 'MFDS registered', gmp: 'GMP certified', organic: 'Organic certified',
+    points: ' pts', evidence: 'Evidence', noReason: 'No explanation', trust: 'trust', siteName: 'Yakson Health Analyzer', site: 'Yakson',
+    type: 'Type', noInfo: 'N/A', analyzedAt: 'Analyzed at', overall: 'Overall trust', safetyReason: 'Reason',
+    details: '🔬 Detailed analysis', precautions: '⚠️ Precautions', noPrecautions: 'No precautions provided.',
+    footer: (at) => `This page is a read-only copy of the analysis made at ${at}. The product information may have changed since.<br/>
+This result is based on an AI model and is not medical advice. <a href="/">Analyze it yourself on Yakson</a>`,
+  },
+};
+const STEP_KEYS = [
+  'step1_identification', 'step2_senderScore', 'step3_productScore', 'step4_expressionScore',
+  'step5_efficacyScore', 'step6_actionScore', 'step7_visualScore', 'step8_financialScore',
+];
+
+function formatKst(iso, lang = 'ko') {
+  try { return new Date(iso).toLocaleString(lang === 'en' ? 'en-US' : 'ko-KR', { timeZone: 'Asia/Seoul' }); } catch { return iso; }
+}
+
+function renderSharePage(share, baseUrl) {
+  const r = share.result || {};
+  const d = r.analysisDetails || {};
+  const stepNames = Array.isArray(r.stepNames) && r.stepNames.length === 8 ? r.stepNames : stepNamesFor(r.adType, share.lang);
+  const safetyClass = SAFETY_LEVELS[r.overallSafety] || 'risk';
+  const nl2br = (s) => escapeHtml(s).replace(/\n/g, '<br>');
+  const lang = share.lang === 'en' ? 'en' : 'ko';
+  const T = SHARE_TEXT[lang];
+  const analyzedAt = escapeHtml(formatKst(share.analyzedAt, lang));
+
+  const badges = [
+    `<span class="badge">${escapeHtml(T.adTypes[r.adType] || T.adTypes.unknown)}</span>`,
+    r.isMajorCorp ? `<span class="badge">${T.majorCorp}</span>` : '',
+    r.isMfdsRegistered ? `<span class="badge">${T.mfds}</span>` : '',
+    r.isGmpCertified ? `<span class="badge">${T.gmp}</span>` : '',
+    r.isOrganic ? `<span class="badge">${T.organic}</span>` : '',
+    ...(r.mainIngredients || []).map((k) => `<span class="badge">${escapeHtml(T.ingredients[k] || k)}</span>`),
+    ...(r.targetAudience || []).map((k) => T.targets[k] ? `<span class="badge">${T.targets[k]}</span>` : ''),
+  ].join('');
+
+  const steps = STEP_KEYS.map((key, i) => {
+    const step = d[key];
+    if (!step) return '';
+    const display = key === 'step1_identification' ? (step.result || 'N/A') : `${step.score}${T.points}`;
+    const evidence = (step.evidence || []).length
+      ? `<p class="evidence">${T.evidence}: "${escapeHtml(step.evidence.join('... '))}"</p>`
+      : '';
+    return `<div class="step"><p><strong>${i + 1}. ${escapeHtml(stepNames[i])}:</strong> <span class="pill">${escapeHtml(display)}</span></p>` +
+      `<p class="muted">→ ${step.reason ? nl2br(step.reason) : T.noReason}</p>${evidence}</div>`;
+  }).join('');
+
+  const title = `${r.productInfo || share.input} — ${T.trust} ${r.totalScore}/100 (${r.overallSafety})`;
+  const description = (r.safetyReason || '').replace(/\s+/g, ' ').slice(0, 160);
+  const pageUrl = `${baseUrl}/r/${share.id}`;
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="UTF-8"/>
+<meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+<title>${escapeHtml(title)} | ${T.site}</title>
+<meta name="description" content="${escapeHtml(description)}"/>
+<meta property="og:type" content="article"/>
+<meta property="og:site_name" content="${T.siteName}"/>
+<meta property="og:title" content="${escapeHtml(title)}"/>
+<meta property="og:description" content="${escapeHtml(description)}"/>
+<meta property="og:url" content="${escapeHtml(pageUrl)}"/>
+<meta property="og:image" content="${escapeHtml(baseUrl)}/assets/my_logo.png"/>
+<meta property="article:published_time" content="${escapeHtml(share.analyzedAt)}"/>
+<meta name="twitter:card" content="summary"/>
+<style>
+:root{--text:#0a1420;--muted:#6b7a90;--border:rgba(14,165,98,.20);--ok:#10b981;--bg:#f6fbf7}
+*{box-sizing:border-box;margin:0;padding:0}
+body{font-family:"Pretendard",-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,"Noto Sans KR","Apple SD Gothic Neo",sans-serif;background:var(--bg);color:var(--text);line-height:1.6}
+.container{max-width:760px;margin:24px auto;padding:24px;background:#fff;border:1.5px solid var(--border);border-radius:24px}
+h1{font-size:1.2rem;font-weight:900;margin-bottom:6px}
+h2{font-size:1.05rem;font-weight:900;margin:24px 0 12px}
+.muted{color:var(--muted)}
+.meta{font-size:.92rem;color:var(--muted);margin-bottom:14px}
+.badges{display:flex;flex-wrap:wrap;gap:8px;margin:14px 0}
+.badge,.pill{display:inline-block;padding:4px 12px;border-radius:999px;border:1.5px solid var(--border);font-size:.9rem;font-weight:700;background:#f0fdf4}
+.score{font-size:1.6rem;font-weight:900;text-align:center;margin:16px 0}
+.safety-safe{color:var(--ok)}.safety-caution{color:#b45309}.safety-risk{color:#b91c1c}
+.step{padding:14px;margin:10px 0;background:rgba(16,185,129,0.06);border-radius:12px;border:1px solid var(--border)}
+.evidence{margin-top:8px;font-style:italic;border-left:3px solid var(--border);padding-left:12px;color:var(--muted)}
+.precautions{padding:20px;background:#f7fee7;border:1.5px solid #e2f0c2;border-radius:16px}
+.footer{margin-top:24px;font-size:.88rem;color:var(--muted);text-align:center}
+.footer a{color:#059669;font-weight:700}
+</style>
+</head>
+<body>
+<div class="container">
+<h1>${escapeHtml(r.productInfo || share.input)}</h1>
+<p class="meta">${T.type}: ${escapeHtml(r.productType || T.noInfo)} · ${T.analyzedAt}: ${analyzedAt} (KST)</p>
+<div class="badges">${badges}</div>
+<p class="score">${T.overall}: <span class="safety-${safetyClass}">${escapeHtml(r.overallSafety)}</span> · ${Number(r.totalScore) || 0}/100</p>
+<p><strong>${T.safetyReason}:</strong> ${nl2br(r.safetyReason)}</p>
+<h2>${T.details}</h2>
+${steps}
+<h2>${T.precautions}</h2>
+<div class="precautions">${r.precautions ? nl2br(r.precautions) : T.noPrecautions}</div>
+<p class="footer">${T.footer(analyzedAt)}</p>
+</div>
+</body>
+</html>`;
+}
+
+app.get('/r/:id', (req, res) => {
+  const share = SHARE_STORE.get(req.params.id);
+  if (!share) {
+    const notFound = getLangFromReq(req) === 'en'
+      ? 'Shared result not found. <a href="/">Go to Yakson</a>'
+      : '공유된 결과를 찾을 수 없습니다. <a href="/">약손으로 이동</a>';
+    return res.status(404).type('html').send(`<!DOCTYPE html><meta charset="UTF-8"><p>${notFound}</p>`);
+  }
+  res.type('html').send(renderSharePage(share, `${req.protocol}://${req.get('host')}`));
+});
+
+/* ============================ 일괄 분석 (배치) ============================ */
+
+// 배치는 작업(job)으로 실행: POST는 바로 id를 돌려주고, 진행 상황은 GET 폴링 또는 SSE(/events)로 확인
+// 진행 중인 작업은 메모리(BATCH_JOBS)에만 있고, 끝나면 BATCH_STORE에 한 줄로 저장
+const BATCH_STORE = createJsonlStore('batches', { maxRows: 500 });
+const BATCH_JOBS = new Map(); // id → { batch, listeners: Set<(event, data) => void> }
+const BATCH_MAX_ROWS = 200; // 부하는 작업 수(BATCH_MAX_RUNNING)·작업당 동시 실행 수로 제한
+const BATCH_MAX_RUNNING = 2; // 동시에 돌 수 있는 배치 작업 수
+const BATCH_DEFAULT_CONCURRENCY = 3;
+const BATCH_MAX_CONCURRENCY = 8;
+const BATCH_INPUT_COLUMNS = ['productinfo', 'input', 'url', 'link', '제품', '제품명', '링크', '상품'];
+const BATCH_BADGE_KEYS = ['isMfdsRegistered', 'isGmpCertified', 'isOrganic'];
+
+// CSV 본문 → 입력 목록. 헤더에 입력 컬럼명이 있으면 그 컬럼, 없으면 첫 컬럼 전체
+function batchInputsFromCsv(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+  const col = rows[0].findIndex(h => BATCH_INPUT_COLUMNS.includes(h.trim().toLowerCase()));
+  return (col >= 0 ? rows.slice(1) : rows).map(r => r[Math.max(col, 0)] || '');
+}
+
+function batchInputsFromReq(req) {
+  const body = req.body;
+  if (typeof body === 'string') return batchInputsFromCsv(body);
+  if (body && typeof body.csv === 'string') return batchInputsFromCsv(body.csv);
+  const items = Array.isArray(body) ? body : body?.items;
+  if (!Array.isArray(items)) return null;
+  return items.map(it => (typeof it === 'string' ? it : it?.productInfo) || '');
+}
+
+// 한 행 분석. 블랙리스트/추출 실패는 점수가 있더라도 status로 구분
+async function analyzeBatchRow(input, index, lang, clientId = null) {
+  const row = { index, input, status: 'ok' };
+  if (!input) return { ...row, status: 'error', error: lang==='en' ? 'Empty input' : '빈 입력' };
+  try {
+    let extractionFailed = false;
+    const result = getEasterEggResult(input) || await runAnalysis(input, lang, {
+      clientId,
+      onStage: (stage, data) => { if (stage === 'extracted' && data.ok === false) extractionFailed = true; },
+    });
+    if (result.blacklistKeyword) row.status = 'blacklisted';
+    else if (extractionFailed) row.status = 'extraction_failed';
+    const d = result.analysisDetails || {};
+    return {
+      ...row,
+      historyId: result.historyId || null,
+      productInfo: result.productInfo,
+      adType: result.adType,
+      totalScore: result.totalScore,
+      overallSafety: result.overallSafety,
+      scores: Object.fromEntries(STEP_KEYS.slice(1).map(k => [k, d[k]?.score ?? null])),
+      badges: Object.fromEntries(BATCH_BADGE_KEYS.map(k => [k, !!result[k]])),
+      claimRules: [...new Set((result.claimViolations || []).map(v => v.ruleId))],
+      mfdsReportNo: result.registry?.product?.reportNo || null,
+      ...(result.blacklistKeyword ? { blacklistKeyword: result.blacklistKeyword } : {}),
+    };
+  } catch (e) {
+    const error = e.code === 'MODEL_UNAVAILABLE' ? (lang==='en' ? 'Model temporarily unavailable' : '모델 일시적 사용 불가') : e.message;
+    return { ...row, status: 'error', error };
+  }
+}
+
+function batchToCsv(batch) {
+  const header = ['index', 'input', 'status', 'error', 'productInfo', 'adType', 'totalScore', 'overallSafety',
+    ...STEP_KEYS.slice(1), ...BATCH_BADGE_KEYS, 'claimRules', 'mfdsReportNo', 'blacklistKeyword', 'historyId'];
+  return toCsv([header, ...batch.rows.map(r => [
+    r.index + 1, r.input, r.status, r.error, r.productInfo, r.adType, r.totalScore, r.overallSafety,
+    ...STEP_KEYS.slice(1).map(k => r.scores?.[k]),
+    ...BATCH_BADGE_KEYS.map(k => (r.badges ? r.badges[k] : '')),
+    (r.claimRules || []).join(';'), r.mfdsReportNo, r.blacklistKeyword, r.historyId,
+  ])]);
+}
+
+function sendBatchCsv(res, batch) {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="yakson-batch-${batch.id}.csv"`);
+  res.send('\uFEFF' + batchToCsv(batch)); // 엑셀 한글 깨짐 방지 BOM
+}
+
+function batchNotFound(res, lang) {
+  return res.status(404).json({ error: lang==='en' ? 'Batch not found.' : '배치를 찾을 수 없습니다.' });
+}
+
+// 진행 중이면 메모리의 작업, 끝났으면 저장된 기록 (상태 필드가 생기기 전 기록은 done)
+function findBatch(id) {
+  const job = BATCH_JOBS.get(id);
+  if (job) return job.batch;
+  const stored = BATCH_STORE.get(id);
+  return stored ? { status: 'done', done: stored.count, ...stored } : null;
+}
+
+function batchView(batch) {
+  return { ...batch, rows: batch.rows.filter(Boolean), exportUrl: `/api/batch/${batch.id}/export.csv` };
+}
+
+// 끝난(또는 실패한) 작업을 저장하고 메모리에서 내림
+function finishBatchJob(job, status, extra = {}) {
+  const { batch } = job;
+  Object.assign(batch, { status, ...extra });
+  const { exportUrl, ...record } = batchView(batch);
+  BATCH_STORE.insert(record);
+  BATCH_JOBS.delete(batch.id);
+}
+
+// 행이 끝날 때마다 row 이벤트, 전부 끝나면 저장 후 done 이벤트
+async function runBatchJob(job, inputs) {
+  const { batch } = job;
+  const emit = (event, data) => job.listeners.forEach((fn) => fn(event, data));
+  const startedAt = Date.now();
+  try {
+    await mapWithConcurrency(inputs, batch.concurrency, async (input, i) => {
+      const row = await analyzeBatchRow(input, i, batch.lang, job.clientId);
+      batch.rows[i] = row;
+      batch.summary[row.status]++;
+      batch.done++;
+      emit('row', { row, done: batch.done, count: batch.count });
+    });
+  } catch (e) {
+    console.error(`[batch:${batch.id}] 실패:`, e.message);
+    finishBatchJob(job, 'error', { error: e.message, durationMs: Date.now() - startedAt });
+    return emit('error', { error: e.message, done: batch.done, count: batch.count });
+  }
+  finishBatchJob(job, 'done', { durationMs: Date.now() - startedAt });
+  emit('done', batchView(batch));
+}
+
+// 본문: JSON 배열 | { items: [...] } | { csv: "..." } | text/csv 원문. ?concurrency=1~8 (기본 3)
+// 응답: 202 { id, status: 'running', count, statusUrl, eventsUrl } — 결과는 GET /api/batch/:id 또는 SSE로
+app.post('/api/batch', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), (req, res) => {
+  const lang = getLangFromReq(req);
+  const en = lang === 'en';
+  const inputs = batchInputsFromReq(req);
+  if (!inputs) return res.status(400).json({ error: en ? 'A JSON array (items) or a CSV body is required.' : 'JSON 배열(items) 또는 CSV 본문이 필요합니다.' });
+  const trimmed = inputs.map(v => String(v).trim());
+  if (!trimmed.length) return res.status(400).json({ error: en ? 'There is nothing to analyze.' : '분석할 입력이 없습니다.' });
+  if (trimmed.length > BATCH_MAX_ROWS) {
+    return res.status(413).json({ error: en ? `You can analyze up to ${BATCH_MAX_ROWS} items at once.` : `한 번에 최대 ${BATCH_MAX_ROWS}건까지 분석할 수 있습니다.` });
+  }
+  if (BATCH_JOBS.size >= BATCH_MAX_RUNNING) {
+    res.set('Retry-After', '30');
+    return res.status(429).json({ error: en ? 'Too many batches are running. Please try again shortly.' : '진행 중인 배치가 많습니다. 잠시 후 다시 시도해주세요.' });
+  }
+
+  const concurrency = Math.min(BATCH_MAX_CONCURRENCY,
+    Math.max(1, parseInt(req.query.concurrency ?? req.body?.concurrency, 10) || BATCH_DEFAULT_CONCURRENCY));
+  const batch = {
+    id: newId(),
+    createdAt: new Date().toISOString(),
+    lang,
+    concurrency,
+    status: 'running',
+    count: trimmed.length,
+    done: 0,
+    summary: { ok: 0, blacklisted: 0, extraction_failed: 0, error: 0 },
+    rows: new Array(trimmed.length).fill(null),
+  };
+  const job = { batch, clientId: clientIdFromReq(req), listeners: new Set() };
+  BATCH_JOBS.set(batch.id, job);
+  runBatchJob(job, trimmed);
+
+  res.status(202).json({
+    id: batch.id,
+    status: batch.status,
+    count: batch.count,
+    statusUrl: `/api/batch/${batch.id}`,
+    eventsUrl: `/api/batch/${batch.id}/events`,
+  });
+});
+
+app.get('/api/batch/:id', (req, res) => {
+  const batch = findBatch(req.params.id);
+  if (!batch) return batchNotFound(res, getLangFromReq(req));
+  res.json(batchView(batch));
+});
+
+// SSE: progress(현재 상태) → row(행마다) → done(전체 결과) | error
+app.get('/api/batch/:id/events', (req, res) => {
+  const batch = findBatch(req.params.id);
+  if (!batch) return batchNotFound(res, getLangFromReq(req));
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const job = BATCH_JOBS.get(batch.id);
+  if (!job) {
+    if (batch.status === 'error') send('error', { error: batch.error, done: batch.done, count: batch.count });
+    else send('done', batchView(batch));
+    return res.end();
+  }
+  send('progress', { done: batch.done, count: batch.count });
+  const listener = (event, data) => {
+    send(event, data);
+    if (event !== 'row') res.end();
+  };
+  job.listeners.add(listener);
+  res.on('close', () => job.listeners.delete(listener));
+});
+
+app.get('/api/batch/:id/export.csv', (req, res) => {
+  const lang = getLangFromReq(req);
+  const batch = findBatch(req.params.id);
+  if (!batch) return batchNotFound(res, lang);
+  if (batch.status === 'running') {
+    return res.status(409).json({ error: lang==='en' ? 'The batch is still running.' : '배치가 아직 진행 중입니다.', done: batch.done, count: batch.count });
+  }
+  sendBatchCsv(res, batchView(batch)); // 실패한 작업은 끝난 행까지만
+});
+
+/* ============================ 제품 비교 ============================ */
+
+const COMPARE_MIN_ITEMS = 2;
+const COMPARE_MAX_ITEMS = 4;
+const COMPARE_TIE_MARGIN = 5; // 만점 대비 %p 차이가 이 이하면 동률로 봄
+const COMPARE_BADGE_KEYS = ['isMfdsRegistered', 'isGmpCertified', 'isOrganic'];
+
+// 유형마다 항목명·배점은 달라도 같은 자리의 단계는 같은 기준을 봄 (scoring-profiles.json의 stepLabels 참고)
+// 예: S2 = 발신자(product_ad)·채널(brand_ad)·제조사(product_itself)·작성자(blog_review) 신뢰도
+const COMPARE_CRITERIA = [
+  { id: 'sender', step: 'step2_senderScore', cap: 's2', label: { ko: '발신자·제조사 신뢰도', en: 'Sender / maker trust' } },
+  { id: 'product', step: 'step3_productScore', cap: 's3', label: { ko: '제품·브랜드 신뢰도', en: 'Product / brand trust' } },
+  { id: 'claims', step: 'step4_expressionScore', cap: 's4', label: { ko: '표현·정보 검증', en: 'Claims / information check' } },
+  { id: 'efficacy', step: 'step5_efficacyScore', cap: 's5', label: { ko: '효능·성분', en: 'Efficacy / ingredients' } },
+  { id: 'action', step: 'step6_actionScore', cap: 's6', label: { ko: '구매 유도', en: 'Purchase pressure' } },
+  { id: 'visual', step: 'step7_visualScore', cap: 's7', label: { ko: '시각 신호·광고 표기', en: 'Visual signals / disclosure' } },
+  { id: 'financial', step: 'step8_financialScore', cap: 's8', label: { ko: '금전 피해', en: 'Financial harm' } },
+];
+
+async function analyzeCompareItem(input, index, lang, clientId = null) {
+  const item = { index, input, status: 'ok' };
+  if (!input) return { item: { ...item, status: 'error', error: lang==='en' ? 'Empty input' : '빈 입력' }, result: null };
+  try {
+    const result = getEasterEggResult(input) || await runAnalysis(input, lang, { clientId });
+    if (result.blacklistKeyword) item.status = 'blacklisted';
+    return {
+      item: {
+        ...item,
+        historyId: result.historyId || null,
+        productInfo: result.productInfo,
+        adType: result.adType,
+        totalScore: result.totalScore,
+        overallSafety: result.overallSafety,
+        stepNames: Array.isArray(result.stepNames) && result.stepNames.length === 8 ? result.stepNames : stepNamesFor(result.adType, lang),
+        badges: Object.fromEntries(COMPARE_BADGE_KEYS.map((k) => [k, !!result[k]])),
+        mainIngredients: result.mainIngredients || [],
+        targetAudience: result.targetAudience || [],
+        claimRules: [...new Set((result.claimViolations || []).map((v) => v.ruleId))],
+      },
+      result,
+    };
+  } catch (e) {
+    const error = e.code === 'MODEL_UNAVAILABLE' ? (lang==='en' ? 'Model temporarily unavailable' : '모델 일시적 사용 불가') : e.message;
+    return { item: { ...item, status: 'error', error }, result: null };
+  }
+}
+
+// 값 목록(성분 키·대상 등)을 제품별로 펼쳐 공통/일부만 구분 (분석 실패한 제품은 null)
+function compareSets(lists) {
+  const keys = [...new Set(lists.flatMap((l) => l || []))];
+  return keys.map((key) => {
+    const has = lists.map((l) => (l ? l.includes(key) : null));
+    return { key, has, common: has.filter((v) => v != null).every(Boolean) };
+  });
+}
+
+// 최고점(동률 포함) 후보. 모두 차이가 margin 이하면 승자 없음
+function leaders(values, margin) {
+  const present = values.map((v, i) => [v, i]).filter(([v]) => v != null);
+  if (present.length < 2) return [];
+  const max = Math.max(...present.map(([v]) => v));
+  const min = Math.min(...present.map(([v]) => v));
+  if (max - min <= margin) return [];
+  return present.filter(([v]) => max - v <= margin).map(([, i]) => i);
+}
+
+function buildComparison(entries, lang) {
+  const items = entries.map((e) => e.item);
+  const results = entries.map((e) => (e.item.status === 'ok' ? e.result : null));
+  const name = (i) => items[i].productInfo || items[i].input;
+
+  // 단계 점수는 유형별 만점 대비 %로 맞춰서 비교 (만점 0 = 해당 유형에선 평가하지 않는 항목)
+  const criteria = COMPARE_CRITERIA.map((c) => {
+    const cells = results.map((r, i) => {
+      if (!r) return null;
+      const cap = scoreCapsFor(r.adType, scoringProfile(r.scoringVersion) || activeScoringProfile())[c.cap];
+      const score = r.analysisDetails?.[c.step]?.score ?? 0;
+      return { stepName: items[i].stepNames[STEP_KEYS.indexOf(c.step)], score, cap, percent: cap > 0 ? Math.round((score / cap) * 100) : null };
+    });
+    const percents = cells.map((cell) => cell?.percent ?? null);
+    const present = percents.filter((v) => v != null);
+    return {
+      id: c.id,
+      label: c.label[lang] || c.label.ko,
+      cells,
+      spread: present.length >= 2 ? Math.max(...present) - Math.min(...present) : 0,
+      leaders: leaders(percents, COMPARE_TIE_MARGIN),
+    };
+  });
+  const total = { scores: results.map((r) => (r ? r.totalScore : null)) };
+  total.leaders = leaders(total.scores, COMPARE_TIE_MARGIN);
+
+  const badges = COMPARE_BADGE_KEYS.map((key) => {
+    const values = results.map((r) => (r ? !!r[key] : null));
+    const present = values.filter((v) => v != null);
+    return { key, values, differs: new Set(present).size > 1 };
+  });
+  const ingredients = compareSets(results.map((r) => r?.mainIngredients));
+  const audiences = compareSets(results.map((r) => r?.targetAudience));
+  // 함량을 읽은 성분은 1일 섭취량끼리 나란히
+  const amountIds = [...new Set(results.flatMap((r) => (r?.ingredients || []).map((i) => i.id)))];
+  const amounts = amountIds.map((id) => {
+    const found = results.map((r) => (r?.ingredients || []).find((i) => i.id === id) || null);
+    const first = found.find(Boolean);
+    return { id, name: first.name, values: found.map((i) => (i ? { perDay: i.perDay, unit: i.unit, text: i.perDayText, overUl: i.warnings.some((w) => w.type === 'over_ul') } : null)) };
+  });
+
+  // 기준별 선두(공동 선두 포함)를 제품별로 모음
+  const wins = items.map((item, i) => ({
+    index: i,
+    criteria: criteria.filter((c) => c.leaders.includes(i)).map((c) => ({ id: c.id, shared: c.leaders.length > 1 })),
+  }));
+  const summary = [];
+  if (total.leaders.length) {
+    const names = total.leaders.map((i) => `${name(i)} (${total.scores[i]})`).join(', ');
+    summary.push(total.leaders.length === 1
+      ? (lang==='en' ? `Highest overall score: ${names}` : `종합 점수 1위: ${names}`)
+      : (lang==='en' ? `Highest overall scores (within ${COMPARE_TIE_MARGIN} points): ${names}` : `종합 점수 공동 선두(${COMPARE_TIE_MARGIN}점 이내): ${names}`));
+  } else if (results.filter(Boolean).length >= 2) {
+    summary.push(lang==='en' ? `Overall scores are within ${COMPARE_TIE_MARGIN} points of each other.` : `종합 점수 차이가 ${COMPARE_TIE_MARGIN}점 이내로 비슷합니다.`);
+  }
+  for (const w of wins) {
+    if (!w.criteria.length) continue;
+    const list = w.criteria.map((c) => criteria.find((x) => x.id === c.id).label + (c.shared ? (lang==='en' ? ' (tied)' : '(공동)') : '')).join(', ');
+    summary.push(lang==='en' ? `${name(w.index)} leads on ${list}.` : `${name(w.index)}: ${list}에서 앞섭니다.`);
+  }
+  for (const b of badges.filter((x) => x.differs)) {
+    const holders = b.values.map((v, i) => (v ? name(i) : null)).filter(Boolean);
+    const label = { isMfdsRegistered: lang==='en' ? 'MFDS-registered' : '식약처 신고', isGmpCertified: 'GMP', isOrganic: lang==='en' ? 'organic' : '유기농' }[b.key];
+    summary.push(lang==='en' ? `Only ${holders.join(', ')} ${holders.length > 1 ? 'are' : 'is'} ${label}.` : `${label} 확인: ${holders.join(', ')}만 해당`);
+  }
+
+  return { items, criteria, total, badges, ingredients, audiences, amounts, wins, summary };
+}
+
+// 본문: { items: ["제품명" | "링크", ...] } (2~4개, 제품명·쇼핑몰·유튜브 섞어도 됨)
+app.post('/api/compare', async (req, res) => {
+  const lang = getLangFromReq(req);
+  const raw = Array.isArray(req.body) ? req.body : req.body?.items;
+  if (!Array.isArray(raw)) {
+    return res.status(400).json({ error: lang==='en' ? 'An items array is required.' : 'items 배열이 필요합니다.' });
+  }
+  const inputs = raw.map((it) => String((typeof it === 'string' ? it : it?.productInfo) || '').trim()).filter(Boolean);
+  if (inputs.length < COMPARE_MIN_ITEMS || inputs.length > COMPARE_MAX_ITEMS) {
+    return res.status(400).json({ error: lang==='en'
+      ? `Enter ${COMPARE_MIN_ITEMS} to ${COMPARE_MAX_ITEMS} products to compare.`
+      : `비교할 제품을 ${COMPARE_MIN_ITEMS}~${COMPARE_MAX_ITEMS}개 입력해주세요.` });
+  }
+
+  const startedAt = Date.now();
+  const clientId = clientIdFromReq(req);
+  const entries = await mapWithConcurrency(inputs, COMPARE_MAX_ITEMS, (input, i) => analyzeCompareItem(input, i, lang, clientId));
+  res.json({ createdAt: new Date().toISOString(), lang, durationMs: Date.now() - startedAt, ...buildComparison(entries, lang) });
+});
+
+/* ============================ 관리자 인증 ============================ */
+
+// YAKSON_ADMIN_TOKEN이 없으면 관리자 API는 비활성화
+function requireAdmin(req, res, next) {
+  const en = getLangFromReq(req) === 'en';
+  const expected = process.env.YAKSON_ADMIN_TOKEN || '';
+  if (!expected) {
+    return res.status(403).json({ error: en ? 'The admin API is disabled. (Set YAKSON_ADMIN_TOKEN)' : '관리자 API가 비활성화되어 있습니다. (YAKSON_ADMIN_TOKEN 설정 필요)' });
+  }
+  const auth = (req.headers.authorization || '').toString();
+  const given = (req.headers['x-yakson-admin-token'] || (auth.startsWith('Bearer ') ? auth.slice(7) : '')).toString();
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ error: en ? 'Admin authentication failed.' : '관리자 인증에 실패했습니다.' });
+  }
+  next();
+}
+
+/* ========================= 피드백 / 오류 신고 ========================= */
+
+const REPORT_STORE = createJsonlStore('reports');
+const FEEDBACK_TYPES = ['name_wrong', 'ad_wrong', 'registered', 'other'];
+const ERROR_TYPES = ['ui_break', 'btn_error', 'typo', 'other'];
+const REPORT_STATUSES = ['open', 'accepted', 'rejected'];
+
+// 분석 기록이 있으면 서버에 저장된 결과를, 없으면 클라이언트가 보낸 스냅샷을 첨부
+//   녹화된 분석이면 카세트도 연결 (실패한 분석은 오류 응답의 cassetteId를 클라이언트가 보냄)
+function buildReportSnapshot(body) {
+  const entry = body.historyId ? HISTORY_STORE.get(String(body.historyId)) : null;
+  const given = String(body.cassetteId || '');
+  const cassetteId = entry?.result?.cassetteId || (CASSETTE_ID_RE.test(given) && fs.existsSync(cassetteFile(given)) ? given : null);
+  if (entry) return { historyId: entry.id, input: entry.input, result: entry.result, cassetteId };
+  return {
+    historyId: null,
+    input: (body.input || '').toString().slice(0, 2000),
+    result: body.result && typeof body.result === 'object' ? body.result : null,
+    cassetteId,
+  };
+}
+
+function createReport(kind, type, body) {
+  return REPORT_STORE.insert({
+    id: newId(),
+    kind,
+    type,
+    status: 'open',
+    createdAt: new Date().toISOString(),
+    comment: (body.comment || '').toString().slice(0, 2000),
+    contact: (body.contact || '').toString().slice(0, 200),
+    ...buildReportSnapshot(body),
+    review: null,
+  });
+}
+
+app.post('/api/feedback', (req, res) => {
+  const body = req.body || {};
+  const feedbackType = (body.feedbackType || 'other').toString();
+  if (!FEEDBACK_TYPES.includes(feedbackType)) return res.status(400).json({ error: getLangFromReq(req)==='en' ? 'Unknown feedback type.' : '알 수 없는 피드백 유형입니다.' });
+  if (!(body.contact || '').toString().trim()) return res.status(400).json({ error: getLangFromReq(req)==='en' ? 'A phone number or email is required.' : '전화번호 또는 이메일은 필수 입력 항목입니다.' });
+  const report = createReport('feedback', feedbackType, body);
+  res.status(201).json({ id: report.id, status: report.status });
+});
+
+app.post('/api/error-reports', (req, res) => {
+  const body = req.body || {};
+  const errorType = (body.errorType || 'other').toString();
+  if (!ERROR_TYPES.includes(errorType)) return res.status(400).json({ error: getLangFromReq(req)==='en' ? 'Unknown error type.' : '알 수 없는 오류 유형입니다.' });
+  if (!(body.comment || '').toString().trim()) return res.status(400).json({ error: getLangFromReq(req)==='en' ? 'Please describe the problem.' : '상세 내용을 입력해 주세요.' });
+  const report = createReport('error', errorType, body);
+  res.status(201).json({ id: report.id, status: report.status });
+});
+
+// 큐레이터 검토 큐: 기본은 open 상태만, 오래된 순
+app.get('/api/admin/reports', requireAdmin, (req, res) => {
+  const status = (req.query.status || 'open').toString();
+  const kind = (req.query.kind || '').toString();
+  let items = REPORT_STORE.all();
+  if (status !== 'all') items = items.filter((r) => r.status === status);
+  if (kind) items = items.filter((r) => r.kind === kind);
+  res.json({ total: items.length, items });
+});
+
+app.get('/api/admin/reports/:id', requireAdmin, (req, res) => {
+  const report = REPORT_STORE.get(req.params.id);
+  if (!report) return res.status(404).json({ error: '신고를 찾을 수 없습니다.' });
+  res.json(report);
+});
+
+app.patch('/api/admin/reports/:id', requireAdmin, (req, res) => {
+  const { status, note } = req.body || {};
+  if (!REPORT_STATUSES.includes(status)) return res.status(400).json({ error: `status는 ${REPORT_STATUSES.join(', ')} 중 하나여야 합니다.` });
+  const report = REPORT_STORE.update(req.params.id, {
+    status,
+    review: { note: (note || '').toString().slice(0, 2000), reviewedAt: new Date().toISOString() },
+  });
+  if (!report) return res.status(404).json({ error: '신고를 찾을 수 없습니다.' });
+  res.json(report);
+});
+
+/* ======================== 레지스트리 관리자 API ======================== */
+
+function sanitizeAliases(list) {
+  const seen = new Set();
+  const out = [];
+  for (const a of Array.isArray(list) ? list : []) {
+    const v = String(a ?? '').trim().slice(0, 100);
+    if (!v || seen.has(v.toLowerCase())) continue;
+    seen.add(v.toLowerCase());
+    out.push(v);
+  }
+  return out.slice(0, 50);
+}
+
+// 새로 들어오는 별칭(기존에 없던 것)만 다른 티어/항목과 겹치는지 검사
+// (표준명 자체도 별칭처럼 매칭되므로 함께 검사)
+function findAliasCollisions(kind, name, aliases) {
+  const before = new Set((REGISTRY[kind]?.entries[name] || []).map((a) => a.toLowerCase()));
+  const isNewEntry = !REGISTRY[kind]?.entries[name];
+  const added = new Map();
+  for (const a of isNewEntry ? [name, ...aliases] : aliases) {
+    if (!before.has(a.toLowerCase())) added.set(a.toLowerCase(), a);
+  }
+  const collisions = [];
+  for (const k of BRAND_REGISTRY_KINDS) {
+    for (const [other, list] of Object.entries(REGISTRY[k].entries)) {
+      if (k === kind && other === name) continue;
+      for (const a of [other, ...list]) {
+        const hit = added.get(a.toLowerCase());
+        if (hit && !collisions.some((c) => c.alias === hit && c.kind === k && c.name === other)) {
+          collisions.push({ alias: hit, kind: k, name: other });
         }
       }
-    } else if (isProductNameOnly) {
-      if (!normalized.productInfo) normalized.productInfo = productInfo;
     }
+  }
+  return collisions;
+}
 
-    // 정규화된 브랜드명으로 제품명 앞부분 보강
-    const canonBrand = canonicalizeBrandFromText(sourceForPostCheck || normalized.productInfo);
-    if (canonBrand && !normalized.productInfo.toLowerCase().includes(canonBrand.toLowerCase())) {
-        normalized.productInfo = `${canonBrand} | ${normalized.productInfo}`;
-    }
+function writeRegistry(kind, entries, change) {
+  const cur = REGISTRY[kind];
+  const data = {
+    version: cur.version + 1,
+    updatedAt: new Date().toISOString(),
+    description: cur.description,
+    entries,
+  };
+  const file = path.join(REGISTRY_DIR, REGISTRY_KINDS[kind]);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(`${file}.tmp`, file);
+  fs.appendFileSync(REGISTRY_CHANGELOG, JSON.stringify({ at: data.updatedAt, kind, version: data.version, ...change }) + '\n');
+  reloadRegistries(`관리자 API (${kind} v${data.version})`);
+  return data;
+}
 
-    return res.json(normalized);
+function registryKindParam(req, res) {
+  const kind = req.params.kind;
+  if (!REGISTRY_KINDS[kind]) {
+    res.status(404).json({ error: `알 수 없는 레지스트리입니다. (${Object.keys(REGISTRY_KINDS).join(', ')})` });
+    return null;
+  }
+  return kind;
+}
 
-  } catch (error) {
-    console.error('Gemini API 호출 오류:', error);
-    const lang = getLangFromReq(req);
-    // 404 에러 (모델명 오류)일 경우 좀 더 친절한 메시지
-    if (error.message && error.message.includes('NOT_FOUND')) {
-      return res.status(500).json(
-        normalizeOutput({
-          productInfo: req.body?.productInfo || '',
-          productType: '오류',
-          safetyReason: `서버 오류: API 모델을 찾을 수 없습니다. (모델명: ${modelConfig.model})`,
-          analysisDetails: {},
-        }, lang, '', 'unknown')
-      );
-    }
-    return res.status(500).json(
-      normalizeOutput({
-        productInfo: req.body?.productInfo || '',
-        productType: lang==='en' ? 'Error' : '오류 발생',
-        safetyReason: lang==='en' ? `Internal server error. (${error.message})` : `서버 내부 오류(${error.message})`,
-        analysisDetails: {},
-      }, lang, '', 'unknown')
-    );
+// 별칭 목록 갱신 공통 처리: 충돌 검사 → 저장 → 변경 기록
+function saveRegistryEntry(req, res, kind, name, aliases, action) {
+  const before = REGISTRY[kind].entries[name] || null;
+  if (BRAND_REGISTRY_KINDS.includes(kind)) {
+    const collisions = findAliasCollisions(kind, name, aliases);
+    if (collisions.length) return res.status(409).json({ error: '다른 항목과 겹치는 별칭이 있습니다.', collisions });
+  }
+  const entries = { ...REGISTRY[kind].entries, [name]: aliases };
+  const data = writeRegistry(kind, entries, { action, name, before, after: aliases, actor: req.get('x-yakson-admin-user') || 'admin' });
+  res.json({ kind, version: data.version, name, aliases });
+}
+
+app.get('/api/admin/registry', requireAdmin, (req, res) => {
+  const kinds = {};
+  for (const [kind, reg] of Object.entries(REGISTRY)) {
+    kinds[kind] = { version: reg.version, updatedAt: reg.updatedAt, count: Object.keys(reg.entries).length };
   }
+  res.json({ kinds, blacklistKeywords: BLACKLIST_KEYWORDS.length });
 });
-// -----------------------------
-// Gemini API Retry Wrapper
-// -----------------------------
-async function callGeminiWithRetry(model, payload, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await model.generateContent(payload);
-    } catch (err) {
 
-      // 재시도 가능한 에러인지 확인
-      const retryable =
-        err?.status === 503 ||
-        err?.status === 500 ||
-        err?.status === 429 ||
-        err?.error?.status === "UNAVAILABLE";
+app.get('/api/admin/registry/changes', requireAdmin, (req, res) => {
+  const limit = clamp(req.query.limit || 100, 1, 1000);
+  let lines = [];
+  try { lines = fs.readFileSync(REGISTRY_CHANGELOG, 'utf8').split('\n').filter(Boolean); } catch {}
+  res.json({ items: lines.slice(-limit).reverse().map((l) => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean) });
+});
 
-      if (!retryable || attempt === maxRetries) {
-        console.error("❌ Gemini API 오류:", err);
-        throw err; // 더 이상 못하면 그대로 throw
-      }
+app.post('/api/admin/registry/reload', requireAdmin, (req, res) => {
+  if (!reloadRegistries('관리자 요청')) return res.status(500).json({ error: '레지스트리 파일을 읽지 못했습니다. 서버 로그를 확인하세요.' });
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/registry/:kind', requireAdmin, (req, res) => {
+  const kind = registryKindParam(req, res);
+  if (kind) res.json(REGISTRY[kind]);
+});
+
+app.put('/api/admin/registry/:kind/:name', requireAdmin, (req, res) => {
+  const kind = registryKindParam(req, res);
+  if (!kind) return;
+  const name = req.params.name.trim();
+  const aliases = sanitizeAliases(req.body?.aliases);
+  if (!name || !aliases.length) return res.status(400).json({ error: '이름과 별칭(aliases 배열)이 필요합니다.' });
+  saveRegistryEntry(req, res, kind, name, aliases, REGISTRY[kind].entries[name] ? 'update' : 'create');
+});
+
+app.delete('/api/admin/registry/:kind/:name', requireAdmin, (req, res) => {
+  const kind = registryKindParam(req, res);
+  if (!kind) return;
+  const name = req.params.name;
+  const before = REGISTRY[kind].entries[name];
+  if (!before) return res.status(404).json({ error: '항목을 찾을 수 없습니다.' });
+  const { [name]: _removed, ...entries } = REGISTRY[kind].entries;
+  const data = writeRegistry(kind, entries, { action: 'delete', name, before, after: null, actor: req.get('x-yakson-admin-user') || 'admin' });
+  res.json({ kind, version: data.version, name, deleted: true });
+});
+
+app.post('/api/admin/registry/:kind/:name/aliases', requireAdmin, (req, res) => {
+  const kind = registryKindParam(req, res);
+  if (!kind) return;
+  const name = req.params.name;
+  const before = REGISTRY[kind].entries[name];
+  if (!before) return res.status(404).json({ error: '항목을 찾을 수 없습니다.' });
+  const alias = sanitizeAliases([req.body?.alias])[0];
+  if (!alias) return res.status(400).json({ error: 'alias가 필요합니다.' });
+  if (before.some((a) => a.toLowerCase() === alias.toLowerCase())) return res.json({ kind, version: REGISTRY[kind].version, name, aliases: before });
+  saveRegistryEntry(req, res, kind, name, [...before, alias], 'add_alias');
+});
+
+app.delete('/api/admin/registry/:kind/:name/aliases/:alias', requireAdmin, (req, res) => {
+  const kind = registryKindParam(req, res);
+  if (!kind) return;
+  const name = req.params.name;
+  const before = REGISTRY[kind].entries[name];
+  if (!before) return res.status(404).json({ error: '항목을 찾을 수 없습니다.' });
+  const aliases = before.filter((a) => a.toLowerCase() !== req.params.alias.toLowerCase());
+  if (aliases.length === before.length) return res.status(404).json({ error: '별칭을 찾을 수 없습니다.' });
+  if (!aliases.length) return res.status(400).json({ error: '마지막 별칭은 지울 수 없습니다. 항목 자체를 삭제하세요.' });
+  saveRegistryEntry(req, res, kind, name, aliases, 'remove_alias');
+});
+
+/* ======================= 식약처 레지스트리 관리자 API ======================= */
+
+app.get('/api/admin/mfds', requireAdmin, (req, res) => {
+  res.json({ dir: MFDS_DIR, files: MFDS.files, loadedAt: MFDS.loadedAt, products: MFDS.products.records.length, gmp: MFDS.gmp.records.length });
+});
+
+// 덤프 파일을 교체한 뒤 재시작 없이 다시 읽기
+app.post('/api/admin/mfds/reload', requireAdmin, (req, res) => {
+  if (!reloadMfdsRegistry('관리자 요청')) return res.status(500).json({ error: '식약처 덤프 파일을 읽지 못했습니다. 서버 로그를 확인하세요.' });
+  res.json({ ok: true, files: MFDS.files, products: MFDS.products.records.length, gmp: MFDS.gmp.records.length });
+});
+
+// 매칭 확인용: ?name=제품명&company=회사명
+app.get('/api/admin/mfds/match', requireAdmin, (req, res) => {
+  const name = (req.query.name || '').toString();
+  const company = (req.query.company || '').toString();
+  if (!name && !company) return res.status(400).json({ error: 'name 또는 company가 필요합니다.' });
+  const strip = ({ record, score }) => ({ score: +score.toFixed(2), ...Object.fromEntries(Object.entries(record).filter(([k]) => !/(Norm|Grams)$/.test(k))) });
+  res.json({
+    products: name ? searchNameIndex(MFDS.products, 'name', stripPackaging(name)).map(strip) : [],
+    gmp: company ? searchNameIndex(MFDS.gmp, 'company', company).map(strip) : [],
+  });
+});
+
+/* ======================== 채점 프로필 관리자 API ======================== */
 
-      const waitMs = 1000 * attempt; // 1초 → 2초 → 3초 점진적 증가
-      console.warn(`⚠️ Gemini API 재시도 (${attempt}/${maxRetries})... ${waitMs}ms 대기`);
-      await new Promise(res => setTimeout(res, waitMs));
+app.get('/api/scoring/profiles', (req, res) => {
+  const lang = getLangFromReq(req);
+  res.json({
+    active: SCORING.active,
+    profiles: Object.values(SCORING.profiles).map((p) => ({
+      version: p.version, label: p.label[lang] || p.label.ko, description: p.description, thresholds: p.thresholds,
+    })),
+  });
+});
+
+app.post('/api/admin/scoring/reload', requireAdmin, (req, res) => {
+  try {
+    SCORING = loadScoringProfiles();
+  } catch (e) {
+    console.error('채점 프로필 다시 읽기 실패:', e.message);
+    return res.status(400).json({ error: e.message });
+  }
+  console.log(`[채점 프로필] 다시 읽음 → ${SCORING.active}`);
+  res.json({ ok: true, active: SCORING.active, profiles: Object.keys(SCORING.profiles) });
+});
+
+// 새 프로필을 배포하기 전에 저장된 기록 전체로 비교 (A/B)
+//   본문: { profile, baseline?, ids?, limit? } — baseline이 없으면 저장된 결과와 비교
+//   기록 RESCORE_CHUNK건마다 이벤트 루프에 양보 (진행 중인 분석·SSE 응답이 멈추지 않도록)
+const RESCORE_DEFAULT_LIMIT = 200;
+const RESCORE_MAX_LIMIT = 2000;
+const RESCORE_CHUNK = 20;
+
+app.post('/api/admin/scoring/rescore', requireAdmin, async (req, res) => {
+  const { profile: version, baseline: baselineVersion, ids } = req.body || {};
+  const profile = scoringProfile(version);
+  const baseline = baselineVersion ? scoringProfile(baselineVersion) : null;
+  if (!profile || (baselineVersion && !baseline)) {
+    return res.status(400).json({ error: `profile/baseline은 ${Object.keys(SCORING.profiles).join(', ')} 중 하나여야 합니다.` });
+  }
+  const limit = clamp(req.body?.limit || RESCORE_DEFAULT_LIMIT, 1, RESCORE_MAX_LIMIT);
+  const rescorable = HISTORY_STORE.all().filter((e) => e.scoringInput); // 원본이 없는 예전 기록은 제외
+  let entries = rescorable;
+  if (Array.isArray(ids)) entries = entries.filter((e) => ids.includes(e.id));
+  entries = entries.slice(-limit);
+
+  const levels = ['safe', 'caution', 'risk'];
+  const summary = {
+    compared: entries.length, changed: 0, averageDelta: 0,
+    safetyShifts: Object.fromEntries(levels.map((a) => [a, Object.fromEntries(levels.map((b) => [b, 0]))])),
+  };
+  const items = [];
+  let deltaSum = 0;
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  for (const [i, e] of entries.entries()) {
+    if (i && i % RESCORE_CHUNK === 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+      if (closed) return; // 요청을 끊었으면 나머지는 계산하지 않음
     }
+    const before = baseline ? rescoreHistoryEntry(e, baseline) : e.result;
+    const changes = scoreChanges(before, rescoreHistoryEntry(e, profile));
+    summary.safetyShifts[changes.safetyLevel.before][changes.safetyLevel.after]++;
+    deltaSum += changes.totalScore.delta;
+    if (!changes.totalScore.delta && !changes.steps.length) continue;
+    summary.changed++;
+    items.push({ id: e.id, createdAt: e.createdAt, adType: e.adType, productInfo: e.productInfo, ...changes });
   }
+  summary.averageDelta = entries.length ? +(deltaSum / entries.length).toFixed(2) : 0;
+  res.json({ profile: profile.version, baseline: baseline ? baseline.version : 'stored', skipped: HISTORY_STORE.all().length - rescorable.length, summary, items });
+});
+
+/* ========================== 카세트 관리자 API ========================== */
+
+app.get('/api/admin/cassettes', requireAdmin, (req, res) => {
+  const limit = clamp(req.query.limit || 100, 1, 1000);
+  let files = [];
+  try { files = fs.readdirSync(CASSETTE_DIR).filter((f) => f.endsWith('.json')); } catch {}
+  const pinned = new Set(REPORT_STORE.all().map((r) => r.cassetteId).filter(Boolean));
+  const items = files.map((f) => {
+    const st = fs.statSync(path.join(CASSETTE_DIR, f));
+    const id = f.slice(0, -5);
+    return { id, savedAt: st.mtime.toISOString(), bytes: st.size, reported: pinned.has(id) };
+  }).sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  res.json({ recording: CASSETTE_RECORD, total: items.length, items: items.slice(0, limit) });
+});
+
+app.get('/api/admin/cassettes/:id', requireAdmin, (req, res) => {
+  const data = loadCassette(req.params.id);
+  if (!data) return res.status(404).json({ error: '카세트를 찾을 수 없습니다.' });
+  res.json(data);
+});
+
+// 녹화된 응답만으로 분석을 다시 실행하고 녹화 당시 결과와 비교
+app.post('/api/admin/cassettes/:id/replay', requireAdmin, async (req, res) => {
+  const data = loadCassette(req.params.id);
+  if (!data) return res.status(404).json({ error: '카세트를 찾을 수 없습니다.' });
+  const replay = await replayCassette(data);
+  res.json({
+    id: data.id,
+    recordedAt: data.createdAt,
+    input: data.input,
+    recorded: data.result ? { totalScore: data.result.totalScore, overallSafety: data.result.overallSafety } : { error: data.error || null },
+    changes: data.result && replay.result ? scoreChanges(data.result, replay.result) : null,
+    misses: replay.misses,
+    error: replay.error,
+    result: replay.result,
+  });
+});
+
+/* ========================== 캐시 관리자 API ========================== */
+
+function sameUrl(a, b) {
+  const strip = (u) => u.href.replace(/\/$/, '');
+  return strip(a) === strip(b);
 }
 
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+  res.json({ diskEnabled: CACHE_DISK_ENABLED, namespaces: [...CACHES.values()].map((c) => c.stats()) });
+});
+
+// 본문: { url } | { host } | { all: true }, 선택적으로 namespace로 범위 제한
+app.post('/api/admin/cache/purge', requireAdmin, (req, res) => {
+  const { url, host, all, namespace } = req.body || {};
+  if (namespace && !CACHES.has(namespace)) return res.status(400).json({ error: `namespace는 ${[...CACHES.keys()].join(', ')} 중 하나여야 합니다.` });
+
+  let predicate;
+  if (url) {
+    let targets;
+    try { targets = [new URL(url), new URL(normalizeCommerceUrl(url))]; } // HTML 캐시는 정규화된 URL로 저장됨
+    catch { return res.status(400).json({ error: '올바른 URL이 아닙니다.' }); }
+    predicate = (key) => { const u = cacheKeyUrl(key); return !!u && targets.some((t) => sameUrl(u, t)); };
+  } else if (host) {
+    const h = String(host).toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+    predicate = (key) => { const u = cacheKeyUrl(key); return !!u && (u.hostname === h || u.hostname.endsWith(`.${h}`)); };
+  } else if (all === true) {
+    predicate = () => true;
+  } else {
+    return res.status(400).json({ error: 'url, host 또는 all: true 중 하나가 필요합니다.' });
+  }
+
+  const removed = {};
+  for (const cache of CACHES.values()) {
+    if (namespace && cache.namespace !== namespace) continue;
+    removed[cache.namespace] = cache.purge(predicate);
+  }
+  console.log(`[캐시 삭제] ${JSON.stringify({ url, host, all, namespace })} →`, removed);
+  res.json({ removed, total: Object.values(removed).reduce((a, b) => a + b, 0) });
+});
+
 /* ============================ 서버 시작 ============================ */
 
-app.listen(port, () => {
+if (require.main === module) app.listen(port, () => {
   console.log(`🚀 약손 서버가 http://localhost:${port} 에서 실행 중입니다.`);
   console.log(`[분석 준비 완료]`);
   console.log(`[대기업 브랜드 ${A_TIER.size}개 등록됨]`);
   console.log(`[일반의약품(OTC) ${OTC_TIER.size}개 등록됨 (95점 이상 보장)]`); // 🔥 추가
   console.log(`[유명 브랜드 ${B_TIER_KNOWN.size}개 등록됨 (95점 이상 목표)]`);
   console.log(`[위험 물질 블랙리스트 ${BLACKLIST_KEYWORDS.length}개 등록됨 (0점 처리)]`); // 🔥 추가
-  console.log(`[광고 유형별 평가 기준: product_itself, brand_ad, product_ad, unknown]`);
+  console.log(`[광고 유형별 평가 기준: ${Object.keys(AD_TYPE_CRITERIA).join(', ')}]`);
+  console.log(`[채점 프로필 ${SCORING.active} 사용 중 (등록 ${Object.keys(SCORING.profiles).join(', ')})]`);
+  console.log(`[표현 위반 규칙 ${CLAIM_RULES.rules.length}개 등록됨 (v${CLAIM_RULES.version})]`);
+  console.log(`[영양소 섭취 기준 ${NUTRIENT_LIMITS.nutrients.length}종 등록됨]`);
+  console.log(`[약물·영양제 상호작용 규칙 ${INTERACTIONS.rules.length}개 등록됨]`);
+  console.log(`[식약처 레지스트리: 품목신고 ${MFDS.products.records.length}건 / GMP ${MFDS.gmp.records.length}곳${MFDS.files.length ? '' : ' (data/mfds 덤프 없음, 뱃지는 모델 값 사용)'}]`);
+  console.log(`[분석 기록 ${HISTORY_STORE.all().length}건 로드됨]`);
+  console.log(`[캐시: ${[...CACHES.values()].map((c) => c.stats()).map((st) => `${st.namespace} ${st.disk ? `${st.disk.entries}건(디스크)` : '메모리'}`).join(', ')}]`);
+  console.log(`[LLM: ${llm.name} (${llm.model})]`);
+  if (CASSETTE_RECORD) console.log(`[카세트 녹화 중 → ${CASSETTE_DIR} (최대 ${CASSETTE_MAX_FILES}개)]`);
   console.log(`[API KEY: ${process.env.GEMINI_API_KEY ? '로드됨' : '없음 (환경 변수 확인 필요)'}]`);
-});
\ No newline at end of file
+});
+
+// 오프라인 테스트에서 서버를 띄우지 않고 파이프라인을 직접 호출할 수 있도록 노출
+module.exports = { app, llm, createJsonlStore, createLruCache, activeScoringProfile, normalizeOutput, canonicalizeBrandFromText, extractCommerceFromHtml, extractYouTubeFromHtml, pickCaptionTrack, parseTimedText, formatTranscript, extractBlogFromHtml, findBlogFrameUrl, createStubProvider, createGeminiProvider, callGeminiWithRetry, withCircuitBreaker, withCassette, replayCassette };
\ No newline at end of file
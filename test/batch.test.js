@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server } = require('./helpers');
+
+let base = '';
+let listener = null;
+test.before(() => new Promise((resolve) => {
+  listener = server.app.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${listener.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => new Promise((resolve) => listener.close(resolve)));
+
+const ITEMS = ['고려은단 비타민C 1000', '', '종근당 락토핏 생유산균 골드'];
+const postBatch = (body, lang = 'ko') => fetch(`${base}/api/batch`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'x-yakson-lang': lang },
+  body: JSON.stringify(body),
+});
+
+async function waitForBatch(id) {
+  for (let i = 0; i < 100; i++) {
+    const batch = await fetch(`${base}/api/batch/${id}`).then((r) => r.json());
+    if (batch.status !== 'running') return batch;
+    await new Promise((r) => setTimeout(r, 50));
+  }
+  throw new Error(`batch ${id} did not finish`);
+}
+
+test('POST /api/batch는 작업을 만들고 바로 202, 결과는 폴링으로', async () => {
+  const res = await postBatch({ items: ITEMS }, 'en');
+  assert.equal(res.status, 202);
+  const job = await res.json();
+  assert.equal(job.status, 'running');
+  assert.equal(job.count, 3);
+  assert.equal(job.statusUrl, `/api/batch/${job.id}`);
+
+  const batch = await waitForBatch(job.id);
+  assert.equal(batch.status, 'done');
+  assert.equal(batch.done, 3);
+  assert.deepEqual(batch.rows.map((r) => r.index), [0, 1, 2]);
+  assert.deepEqual(batch.summary, { ok: 2, blacklisted: 0, extraction_failed: 0, error: 1 });
+  assert.equal(batch.rows[1].error, 'Empty input');
+
+  const csv = await fetch(`${base}${batch.exportUrl}`);
+  assert.equal(csv.status, 200);
+  assert.equal((await csv.text()).trim().split('\n').length, 4);
+});
+
+test('GET /api/batch/:id/events는 행마다 row, 끝나면 done', async () => {
+  const job = await postBatch({ items: ITEMS }).then((r) => r.json());
+  const text = await fetch(`${base}${job.eventsUrl}`).then((r) => r.text());
+  const events = [...text.matchAll(/^event: (\w+)\ndata: (.+)$/gm)].map((m) => ({ event: m[1], data: JSON.parse(m[2]) }));
+  assert.equal(events.at(-1).event, 'done');
+  // 구독 시점에 이미 끝났으면 done 하나, 아니면 progress(이미 끝난 행 수) → 남은 행 수만큼 row → done
+  if (events.length > 1) {
+    assert.equal(events[0].event, 'progress');
+    assert.equal(events[0].data.done + events.filter((e) => e.event === 'row').length, 3);
+  }
+  const done = events.at(-1).data;
+  assert.equal(done.id, job.id);
+  assert.equal(done.rows.length, 3);
+  assert.equal(done.rows[1].error, '빈 입력');
+});
+
+test('입력 오류는 요청 언어로', async () => {
+  const tooMany = await postBatch({ items: Array.from({ length: 201 }, (_, i) => `제품 ${i}`) }, 'en');
+  assert.equal(tooMany.status, 413);
+  assert.equal((await tooMany.json()).error, 'You can analyze up to 200 items at once.');
+
+  const empty = await postBatch({ items: [] });
+  assert.equal(empty.status, 400);
+  assert.equal((await empty.json()).error, '분석할 입력이 없습니다.');
+
+  const missing = await fetch(`${base}/api/batch/nope`, { headers: { 'x-yakson-lang': 'en' } });
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).error, 'Batch not found.');
+});
+
+test('200건 목록은 작업으로 받음', async () => {
+  // 빈 행은 분석 없이 바로 error로 끝나므로 상한만 확인
+  const res = await postBatch({ items: Array.from({ length: 200 }, () => '') });
+  assert.equal(res.status, 202);
+  const job = await res.json();
+  assert.equal(job.count, 200);
+  const batch = await waitForBatch(job.id);
+  assert.equal(batch.rows.length, 200);
+  assert.equal(batch.summary.error, 200);
+});
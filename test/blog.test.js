@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, readHtmlFixture, modelOutput } = require('./helpers');
+
+const { extractBlogFromHtml, canonicalizeBrandFromText, normalizeOutput } = server;
+
+for (const name of ['naver-blog.html', 'naver-postview.html']) {
+  test(`${name}: DISCLOSURE 줄이 브랜드 별칭에 걸리지 않음`, () => {
+    const { html, url } = readHtmlFixture('blog', name);
+    const blog = extractBlogFromHtml(url, html);
+    assert.match(blog.source, /^DISCLOSURE: /m);
+    assert.equal(canonicalizeBrandFromText(blog.source), null);
+
+    const out = normalizeOutput(modelOutput(), 'ko', blog.source, 'blog_review');
+    assert.equal(out.isKnownBrand, false);
+    assert.ok(!out.adjustments.some((a) => a.rule === 'trust_floor'));
+  });
+}
+
+test('blog_review는 브랜드 티어 최저점을 적용하지 않음', () => {
+  const source = 'PLATFORM: naver_blog\nTITLE: 종근당 락토핏 골드 한 달 후기\nDISCLOSURE: none found';
+  assert.equal(canonicalizeBrandFromText(source), '종근당');
+  const out = normalizeOutput(modelOutput(), 'ko', source, 'blog_review');
+  assert.ok(!out.adjustments.some((a) => a.rule === 'trust_floor' || a.rule === 'not_applicable'));
+  assert.equal(out.analysisDetails.step3_productScore.score, 5);
+});
+
+test('영문 별칭은 단어 단위로만 일치', () => {
+  assert.equal(canonicalizeBrandFromText('NUTRITION: 1회 제공량 (Serving Size) 2 Capsules, Iron 10mg'), null);
+  assert.equal(canonicalizeBrandFromText('PRODUCT_NAME: ON 골드 스탠다드 웨이'), '옵티멈뉴트리션');
+  assert.equal(canonicalizeBrandFromText('종근당락토핏 골드'), '종근당');
+});
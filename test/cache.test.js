@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// 디스크 계층은 서버를 불러오기 전에 켜야 함
+process.env.YAKSON_CACHE_DISK = '1';
+const { server, storageDir } = require('./helpers');
+
+const { createLruCache } = server;
+const diskFiles = (ns) => fs.readdirSync(path.join(storageDir, 'cache', ns)).filter((f) => f.endsWith('.json'));
+
+test('디스크 계층: 쓰기는 비동기로, 다시 열면 디스크에서 읽음', async () => {
+  const cache = createLruCache('t-disk', { ttlMs: 60000, disk: true });
+  cache.set('a', { html: '<p>a</p>' });
+  assert.deepEqual(await cache.get('a'), { html: '<p>a</p>' }); // 메모리 적중
+  await cache.flush();
+  assert.equal(diskFiles('t-disk').length, 1);
+
+  const reopened = createLruCache('t-disk', { ttlMs: 60000, disk: true });
+  assert.equal(reopened.stats().disk.entries, 1);
+  assert.deepEqual(await reopened.get('a'), { html: '<p>a</p>' });
+  assert.equal(reopened.stats().diskHits, 1);
+  assert.equal(await reopened.get('missing'), null);
+});
+
+test('디스크 계층: 용량을 넘으면 가장 오래 안 쓴 항목부터 삭제', async () => {
+  const value = (c) => c.repeat(400);
+  // 항목 하나가 약 450바이트 → 3개까지만 들어감
+  const cache = createLruCache('t-evict', { ttlMs: 60000, disk: true, maxEntries: 1, maxDiskBytes: 1400 });
+  cache.set('a', value('a'));
+  cache.set('b', value('b'));
+  cache.set('c', value('c'));
+  assert.equal(await cache.get('a'), value('a')); // 디스크에서 읽어 최근 사용으로
+  cache.set('d', value('d'));
+  await cache.flush();
+
+  const s = cache.stats();
+  assert.equal(s.disk.entries, 3);
+  assert.ok(s.disk.bytes <= 1400);
+  assert.equal(diskFiles('t-evict').length, 3);
+  assert.equal(await cache.get('b'), null);
+  assert.equal(await cache.get('a'), value('a'));
+
+  assert.equal(cache.purge(), 3);
+  await cache.flush();
+  assert.equal(diskFiles('t-evict').length, 0);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, modelOutput } = require('./helpers');
+
+const { replayCassette } = server;
+
+const modelResponse = (score) => {
+  const json = { ...modelOutput(score), productInfo: '고려은단 비타민C 1000', overallSafety: '주의' };
+  return { json, text: JSON.stringify(json), grounding: null };
+};
+const cassette = (requests) => ({
+  id: 'test-cassette',
+  createdAt: '2026-01-01T00:00:00.000Z',
+  input: { productInfo: '고려은단 비타민C 1000', lang: 'ko' },
+  requests,
+});
+
+test('모델 호출 키가 다르면 대신 재생하지 않고 CASSETTE_MISS', async () => {
+  const replay = await replayCassette(cassette([{ key: 'MODEL 0000', kind: 'model', response: modelResponse(5) }]));
+  assert.equal(replay.result, null);
+  assert.equal(replay.error.code, 'CASSETTE_MISS');
+  assert.equal(replay.misses.length, 1);
+  assert.equal(replay.misses[0].kind, 'model');
+  assert.notEqual(replay.misses[0].key, 'MODEL 0000');
+  assert.equal(replay.misses[0].substituted, undefined);
+});
+
+test('키가 맞는 모델 응답은 그대로 재생', async () => {
+  const miss = await replayCassette(cassette([]));
+  const { key } = miss.misses.find((m) => m.kind === 'model');
+
+  const replay = await replayCassette(cassette([{ key, kind: 'model', response: modelResponse(4) }]));
+  assert.equal(replay.error, null);
+  assert.deepEqual(replay.misses, []);
+  assert.equal(replay.result.cassetteId, 'test-cassette');
+  assert.equal(replay.result.analysisDetails.step2_senderScore.score, 4);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, readHtmlFixture, modelOutput } = require('./helpers');
+
+const { extractCommerceFromHtml, canonicalizeBrandFromText, normalizeOutput } = server;
+
+// fixtures/commerce/*.html 별 기대값 (가격은 항상 숫자, 통화는 따로)
+const EXPECTED = {
+  '11st.html': { adapter: '11st', productName: '뉴트리원 루테인 지아잔틴 164 500mg x 30캡슐', brand: '뉴트리원', price: 19800, currency: null, canonical: '뉴트리원' },
+  'amazon.html': { adapter: 'amazon', productName: 'Example Labs Magnesium Glycinate 400mg, 180 Capsules', brand: 'Example Labs', price: 24.99, currency: 'USD', canonical: null },
+  'coupang.html': { adapter: 'coupang', productName: '종근당건강 락토핏 생유산균 골드, 50포, 1개', brand: '종근당건강', price: 17900, currency: null, canonical: '종근당' },
+  'gmarket.html': { adapter: 'gmarket', productName: '예시바이오 알티지 오메가3 1100mg 60캡슐', brand: '예시바이오', price: 24900, currency: null, canonical: null },
+  'iherb.html': { adapter: 'iherb', productName: 'California Gold Nutrition, 비타민D3, 125mcg(5,000IU), 피쉬 젤라틴 소프트젤 360정', brand: 'California Gold Nutrition', price: 15900, currency: 'KRW', canonical: 'California Gold Nutrition' },
+  'oliveyoung.html': { adapter: 'oliveyoung', productName: '예시헬스 밀크씨슬 간건강 30정', brand: '예시헬스', price: 19900, currency: null, canonical: null },
+  'smartstore.html': { adapter: 'smartstore', productName: '고려은단 비타민C 1000 300정', brand: '고려은단', price: 23900, currency: null, canonical: null },
+};
+
+for (const [name, want] of Object.entries(EXPECTED)) {
+  test(`${name}: 제품명·브랜드·가격 추출`, () => {
+    const { html, url } = readHtmlFixture('commerce', name);
+    const c = extractCommerceFromHtml(url, html);
+    assert.equal(c.adapter, want.adapter);
+    assert.equal(c.productName, want.productName);
+    assert.equal(c.brand, want.brand);
+    assert.equal(typeof c.price, 'number');
+    assert.equal(c.price, want.price);
+    assert.equal(c.currency, want.currency);
+    assert.match(c.source, new RegExp(`^PRICE: ${want.price}${want.currency ? ` ${want.currency}` : ''}$`, 'm'));
+    // NUTRITION/INGREDIENTS 줄의 "on", "Iron" 등이 브랜드 별칭으로 잡히지 않아야 함
+    assert.equal(canonicalizeBrandFromText(c.source), want.canonical);
+  });
+}
+
+test('오메가3 함량은 제품명의 캡슐 중량보다 NUTRITION의 EPA+DHA 값', () => {
+  const { html, url } = readHtmlFixture('commerce', 'gmarket.html');
+  const c = extractCommerceFromHtml(url, html);
+  const omega3 = normalizeOutput(modelOutput(), 'ko', c.source, 'product_itself').ingredients.find((i) => i.id === 'omega3');
+  assert.equal(omega3.source, 'nutrition');
+  assert.equal(omega3.perDay, 600);
+
+  // 캡슐 중량만 보면 기능성 상한(2000mg)을 넘지만 EPA+DHA는 범위 안
+  const source = 'PRODUCT_NAME: 알티지 오메가3 2500mg 60캡슐\nNUTRITION: EPA 및 DHA의 합 900mg; 비타민E 11mg α-TE';
+  const out = normalizeOutput(modelOutput(), 'ko', source, 'product_itself');
+  const item = out.ingredients.find((i) => i.id === 'omega3');
+  assert.equal(item.perDay, 900);
+  assert.deepEqual(item.warnings, []);
+});
@@ -0,0 +1,34 @@
+// 테스트 공용: 서버 모듈을 임시 저장소 + stub 모델로 불러옴 (네트워크·API 키 없이 실행)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yakson-test-'));
+process.env.YAKSON_STORAGE_DIR = storageDir;
+process.env.YAKSON_LLM_PROVIDER = 'stub';
+delete process.env.YAKSON_CASSETTE;
+process.on('exit', () => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+// 파일 첫 줄의 <!-- url: ... --> 주석 = 원래 페이지 주소
+function readHtmlFixture(kind, name) {
+  const html = fs.readFileSync(path.join(FIXTURES, kind, name), 'utf8');
+  return { html, url: (html.match(/<!--\s*url:\s*(\S+)\s*-->/) || [])[1] };
+}
+
+// normalizeOutput에 넘길 최소한의 모델 응답
+function modelOutput(score = 5) {
+  const step = { score, reason: '', evidence: [] };
+  return {
+    productInfo: '',
+    analysisDetails: {
+      step1_identification: { result: '' },
+      step2_senderScore: { ...step }, step3_productScore: { ...step }, step4_expressionScore: { ...step },
+      step5_efficacyScore: { ...step }, step6_actionScore: { ...step }, step7_visualScore: { ...step },
+      step8_financialScore: { ...step },
+    },
+  };
+}
+
+module.exports = { server: require('../server.js'), storageDir, FIXTURES, readHtmlFixture, modelOutput };
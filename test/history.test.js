@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { server, storageDir } = require('./helpers');
+
+const { app, createJsonlStore } = server;
+
+const fileLines = (name) => fs.readFileSync(path.join(storageDir, `${name}.jsonl`), 'utf8').split('\n').filter(Boolean);
+
+test('JSONL 저장소: 상한까지는 append, 상한의 1.25배를 넘으면 압축', async () => {
+  const store = createJsonlStore('t-compact', { maxRows: 8 });
+  for (let i = 0; i < 10; i++) store.insert({ id: `r${i}` });
+  await store.flush();
+  // 메모리는 최근 8개, 파일은 압축 전이라 10줄 그대로
+  assert.deepEqual(store.all().map((r) => r.id), ['r2', 'r3', 'r4', 'r5', 'r6', 'r7', 'r8', 'r9']);
+  assert.equal(fileLines('t-compact').length, 10);
+
+  store.insert({ id: 'r10' });
+  await store.flush();
+  assert.deepEqual(fileLines('t-compact').map((l) => JSON.parse(l).id), store.all().map((r) => r.id));
+
+  // 다시 읽어도 최근 8개만
+  const reopened = createJsonlStore('t-compact', { maxRows: 8 });
+  assert.deepEqual(reopened.all().map((r) => r.id), store.all().map((r) => r.id));
+});
+
+test('JSONL 저장소: 수정·삭제는 예약된 append 뒤에 재작성', async () => {
+  const store = createJsonlStore('t-rewrite');
+  store.insert({ id: 'a', n: 1 });
+  store.insert({ id: 'b', n: 2 });
+  store.update('a', { n: 3 });
+  assert.equal(store.remove('b'), true);
+  assert.equal(store.remove('b'), false);
+  store.insert({ id: 'c', n: 4 });
+  await store.flush();
+  assert.deepEqual(fileLines('t-rewrite').map((l) => JSON.parse(l)), [{ id: 'a', n: 3 }, { id: 'c', n: 4 }]);
+});
+
+const OWNER = { 'x-yakson-client-id': 'owner-0123456789abcdef' };
+const OTHER = { 'x-yakson-client-id': 'other-0123456789abcdef' };
+
+test('기록은 남긴 브라우저(client id)만 보고 지움', async (t) => {
+  const listener = await new Promise((resolve) => { const l = app.listen(0, '127.0.0.1', () => resolve(l)); });
+  t.after(() => listener.close());
+  const base = `http://127.0.0.1:${listener.address().port}`;
+
+  const analyzed = await fetch(`${base}/api/analyze`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...OWNER },
+    body: JSON.stringify({ productInfo: '고려은단 비타민C 1000', lang: 'ko' }),
+  }).then((r) => r.json());
+  const url = `${base}/api/history/${analyzed.historyId}`;
+
+  const list = (headers) => fetch(`${base}/api/history`, { headers }).then((r) => r.json());
+  assert.deepEqual((await list(OWNER)).items.map((e) => e.id), [analyzed.historyId]);
+  assert.equal((await list(OTHER)).total, 0);
+  assert.equal((await list({})).total, 0);
+
+  // 단건 응답에도 재채점용 원본·소유자 id는 없음
+  const entry = await fetch(url, { headers: OWNER }).then((r) => r.json());
+  assert.equal(entry.id, analyzed.historyId);
+  assert.equal(entry.scoringInput, undefined);
+  assert.equal(entry.clientId, undefined);
+  assert.equal((await fetch(url, { headers: OTHER })).status, 404);
+  assert.equal((await fetch(url)).status, 404);
+
+  assert.equal((await fetch(url, { method: 'DELETE', headers: OTHER })).status, 404);
+  assert.equal((await fetch(url, { method: 'DELETE' })).status, 404);
+  assert.equal((await fetch(url, { method: 'DELETE', headers: OWNER })).status, 200);
+  assert.equal((await fetch(url, { headers: OWNER })).status, 404);
+});
+
+test('POST /api/history/:id/rescore 는 관리자 전용이고 기록을 바꾸지 않음', async (t) => {
+  process.env.YAKSON_ADMIN_TOKEN = 'test-admin';
+  t.after(() => { delete process.env.YAKSON_ADMIN_TOKEN; });
+  const listener = await new Promise((resolve) => { const l = app.listen(0, '127.0.0.1', () => resolve(l)); });
+  t.after(() => listener.close());
+  const base = `http://127.0.0.1:${listener.address().port}`;
+
+  const analyzed = await fetch(`${base}/api/analyze`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...OWNER },
+    body: JSON.stringify({ productInfo: '종근당 락토핏 생유산균 골드', lang: 'ko' }),
+  }).then((r) => r.json());
+  const url = `${base}/api/history/${analyzed.historyId}`;
+  const before = await fetch(url, { headers: OWNER }).then((r) => r.json());
+
+  const post = (headers = {}) => fetch(`${url}/rescore`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: '{}' });
+  assert.equal((await post()).status, 401);
+  const denied = await post({ 'x-yakson-lang': 'en', 'x-yakson-admin-token': 'wrong-token' });
+  assert.equal((await denied.json()).error, 'Admin authentication failed.');
+
+  const res = await post({ 'x-yakson-admin-token': 'test-admin' });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.id, analyzed.historyId);
+  assert.equal(body.result.historyId, analyzed.historyId);
+
+  assert.deepEqual(await fetch(url, { headers: OWNER }).then((r) => r.json()), before);
+});
+
+test('POST /api/admin/scoring/rescore 는 여러 묶음으로 나눠 끝까지 비교', async (t) => {
+  process.env.YAKSON_ADMIN_TOKEN = 'test-admin';
+  t.after(() => { delete process.env.YAKSON_ADMIN_TOKEN; });
+  const listener = await new Promise((resolve) => { const l = app.listen(0, '127.0.0.1', () => resolve(l)); });
+  t.after(() => listener.close());
+  const base = `http://127.0.0.1:${listener.address().port}`;
+
+  const ids = [];
+  for (let i = 0; i < 45; i++) {
+    const r = await fetch(`${base}/api/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...OWNER },
+      body: JSON.stringify({ productInfo: `예시 비타민C ${i + 1}` }),
+    }).then((res) => res.json());
+    ids.push(r.historyId);
+  }
+
+  const res = await fetch(`${base}/api/admin/scoring/rescore`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-yakson-admin-token': 'test-admin' },
+    body: JSON.stringify({ profile: 'v1', ids }),
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.summary.compared, 45);
+  assert.equal(body.summary.changed, 0);
+});
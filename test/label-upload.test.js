@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// 파일명별 stub 응답 (helpers가 서버를 불러오기 전에 지정)
+process.env.YAKSON_STUB_RESPONSES = path.join(__dirname, '..', 'fixtures', 'label', 'stub-responses.json');
+const { server, FIXTURES } = require('./helpers');
+
+let base = '';
+let listener = null;
+test.before(() => new Promise((resolve) => {
+  listener = server.app.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${listener.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => new Promise((resolve) => listener.close(resolve)));
+
+function labelForm(files, fields = {}) {
+  const form = new FormData();
+  for (const f of files) form.append('images', new Blob([f.buffer], { type: f.type }), f.name);
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  return form;
+}
+const png = (name) => ({ name, type: 'image/png', buffer: fs.readFileSync(path.join(FIXTURES, 'label', name)) });
+const upload = (form, lang = 'ko') => fetch(`${base}/api/analyze/image`, { method: 'POST', body: form, headers: { 'x-yakson-lang': lang } });
+
+test('라벨 사진 업로드 → 라벨 기준 분석 결과', async () => {
+  const res = await upload(labelForm([png('label-front.png'), png('label-back.png')], { productInfo: '약국에서 받은 전단지' }));
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.label.brand, '뉴트리원');
+  assert.equal(body.label.reportNumber, '2019-0123456');
+  assert.match(body.productInfo, /관절엔 MSM 1200/);
+  assert.equal(typeof body.totalScore, 'number');
+});
+
+test('이미지가 아닌 파일은 415', async () => {
+  const res = await upload(labelForm([{ name: 'label.txt', type: 'text/plain', buffer: Buffer.from('관절엔 MSM') }]));
+  assert.equal(res.status, 415);
+  assert.equal((await res.json()).error, '이미지 파일만 올릴 수 있습니다.');
+});
+
+test('용량 초과 사진은 413', async () => {
+  const big = { name: 'huge.png', type: 'image/png', buffer: Buffer.alloc(8 * 1024 * 1024 + 1) };
+  const res = await upload(labelForm([big]), 'en');
+  assert.equal(res.status, 413);
+  assert.equal((await res.json()).error, 'Each photo must be 8MB or smaller.');
+});
+
+test('사진 없이 메모만 보내면 400', async () => {
+  const res = await upload(labelForm([], { productInfo: '관절엔 MSM 1200' }));
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error, '제품 라벨 사진을 한 장 이상 올려주세요.');
+});
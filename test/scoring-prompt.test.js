@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server } = require('./helpers');
+
+const { llm, app } = server;
+
+// 모델에 보낸 시스템 지시를 가로채서 확인 (응답은 원래 stub 그대로)
+function captureSystemInstruction(t) {
+  const seen = [];
+  const generate = llm.generate;
+  llm.generate = (args) => { seen.push(args.systemInstruction); return generate(args); };
+  t.after(() => { llm.generate = generate; });
+  return seen;
+}
+
+async function analyze(t, productInfo, lang = 'ko') {
+  const listener = await new Promise((resolve) => { const l = app.listen(0, '127.0.0.1', () => resolve(l)); });
+  t.after(() => listener.close());
+  const res = await fetch(`http://127.0.0.1:${listener.address().port}/api/analyze`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-yakson-lang': lang },
+    body: JSON.stringify({ productInfo }),
+  });
+  return res.json();
+}
+
+test('프롬프트의 배점·등급은 활성 채점 프로필 값', async (t) => {
+  const seen = captureSystemInstruction(t);
+  const result = await analyze(t, '고려은단 비타민C 1000');
+  assert.equal(result.adType, 'product_itself');
+  assert.match(seen[0], /^- 점수 상한: S2 \d+, S3 \d+, S4 \d+, S5 \d+, S6 \d+, S7 \d+, S8 \d+\.$/m);
+  assert.match(seen[0], /^- 총점 등급: 80~100 안전 \/ 50~79 주의 \/ 0~49 위험\.$/m);
+  // 항목명에 붙는 배점과 프롬프트의 상한이 같음
+  const caps = [...seen[0].match(/^- 점수 상한: (.+)\.$/m)[1].matchAll(/S\d (\d+)/g)].map((m) => m[1]);
+  assert.deepEqual(result.stepNames.slice(1).map((n) => (n.match(/\((\d+)점\)/) || [, '0'])[1]), caps);
+});
+
+test('프로필의 경계값을 바꾸면 프롬프트와 판정이 함께 바뀜', async (t) => {
+  const seen = captureSystemInstruction(t);
+  const profile = server.activeScoringProfile();
+  const saved = profile.thresholds;
+  profile.thresholds = { safe: 70, caution: 40 };
+  t.after(() => { profile.thresholds = saved; });
+
+  const result = await analyze(t, 'Korea Eundan Vitamin C 1000', 'en');
+  assert.match(seen[0], /^- Total grade: 70–100 Safe \/ 40–69 Caution \/ 0–39 Risk\.$/m);
+  const expected = result.totalScore >= 70 ? 'Safe' : result.totalScore >= 40 ? 'Caution' : 'Risk';
+  assert.equal(result.overallSafety, expected);
+});
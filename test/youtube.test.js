@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { server, FIXTURES } = require('./helpers');
+
+const { extractYouTubeFromHtml, pickCaptionTrack, parseTimedText, formatTranscript } = server;
+
+const readYouTubeFixture = (name) => fs.readFileSync(path.join(FIXTURES, 'youtube', name), 'utf8');
+
+test('watch.html: 제목·채널·설명·자막 트랙 추출', () => {
+  const page = extractYouTubeFromHtml(readYouTubeFixture('watch.html'));
+  assert.match(page.title, /^관절엔 이거 하나면 끝!/);
+  assert.equal(page.author, '건강백세TV');
+  assert.match(page.description, /구매 링크: https:\/\/smartstore\.naver\.com\//);
+  assert.deepEqual(page.captionTracks.map((t) => `${t.languageCode}/${t.kind}`), ['en/asr', 'ko/asr']);
+  assert.equal(page.captionTracks[1].name, '한국어 (자동 생성됨)');
+
+  // 영어 자동 생성이 먼저 와도 한국어 자동 생성을 고름
+  const track = pickCaptionTrack(page.captionTracks);
+  assert.equal(track.languageCode, 'ko');
+  assert.match(track.baseUrl, /lang=ko/);
+});
+
+test('pickCaptionTrack: 한국어 수동 > 한국어 자동 > 기타 수동 > 기타 자동', () => {
+  const ko = { languageCode: 'ko', kind: '', baseUrl: 'ko' };
+  const koAsr = { languageCode: 'ko', kind: 'asr', baseUrl: 'ko-asr' };
+  const en = { languageCode: 'en', kind: '', baseUrl: 'en' };
+  const enAsr = { languageCode: 'en', kind: 'asr', baseUrl: 'en-asr' };
+  assert.equal(pickCaptionTrack([enAsr, en, koAsr, ko]), ko);
+  assert.equal(pickCaptionTrack([enAsr, en, koAsr]), koAsr);
+  assert.equal(pickCaptionTrack([enAsr, en]), en);
+  assert.equal(pickCaptionTrack([enAsr]), enAsr);
+  assert.equal(pickCaptionTrack([{ languageCode: 'ko-KR', kind: '', baseUrl: 'ko-KR' }, koAsr]).baseUrl, 'ko-KR');
+});
+
+test('parseTimedText: json3 응답', () => {
+  const cues = parseTimedText(readYouTubeFixture('captions-ko.json3'));
+  // 내용 없는 창 이벤트 / 줄바꿈만 있는 이벤트는 빠짐
+  assert.deepEqual(cues, [
+    { start: 0.5, text: '안녕하세요 건강백세TV입니다' },
+    { start: 12.08, text: '먹은 지 2주 만에 무릎 통증이 싹 사라졌어요' },
+    { start: 65.2, text: "부작용도 전혀 없고 '관절염 완치' 후기가 정말 많아요" },
+  ]);
+});
+
+test('parseTimedText: XML 응답 (이중 이스케이프 복원)', () => {
+  const cues = parseTimedText(readYouTubeFixture('captions-ko.xml'));
+  assert.equal(cues.length, 7);
+  assert.deepEqual(cues[0], { start: 0.5, text: '안녕하세요 건강백세TV입니다' });
+  assert.equal(cues[4].text, "부작용도 전혀 없고 '관절염 완치' 후기가 정말 많아요");
+  assert.equal(cues[6].start, 128);
+
+  const transcript = formatTranscript(cues);
+  assert.match(transcript, /^\[00:00\] 안녕하세요 건강백세TV입니다 오늘은 제가/);
+  assert.match(transcript, /^\[02:08\] 지금 설명란 링크에서 50% 할인 중이니까 서두르세요$/m);
+});
+
+test('parseTimedText: srv3 XML 응답', () => {
+  const cues = parseTimedText('<timedtext format="3"><body><p t="1200" d="900">MSM <s>1500mg</s></p><p t="4000" d="1"></p></body></timedtext>');
+  assert.deepEqual(cues, [{ start: 1.2, text: 'MSM 1500mg' }]);
+});
+
+test('자막이 없으면 트랙 없이 제목·설명만', () => {
+  // 자막이 꺼진 영상은 플레이어 응답에 captions 항목 자체가 없음
+  const html = readYouTubeFixture('watch.html').replace('"captions":', '"_captions":');
+  const page = extractYouTubeFromHtml(html);
+  assert.deepEqual(page.captionTracks, []);
+  assert.equal(pickCaptionTrack(page.captionTracks), null);
+  assert.equal(page.author, '건강백세TV');
+  assert.match(page.description, /관절팔팔 MSM 1500/);
+
+  assert.deepEqual(parseTimedText(''), []);
+  assert.deepEqual(parseTimedText('{not json'), []);
+  assert.equal(formatTranscript([]), '');
+});